@@ -0,0 +1,11 @@
+-- Derived Targets Override Flags
+-- monthly_contribution_target, contribution_per_box, target_boxes_per_month and
+-- target_boxes_per_week are derived from annual_turnover, base_box_price and
+-- gross_margin_pct (see src/lib/targets.js) unless their *_manual flag is set,
+-- in which case the stored value is used as entered.
+
+ALTER TABLE box_control_settings
+ADD COLUMN IF NOT EXISTS monthly_contribution_target_manual BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS contribution_per_box_manual BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS target_boxes_per_month_manual BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS target_boxes_per_week_manual BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,27 @@
+-- Effective-Dated Target Versions
+-- Every settings change is recorded as a snapshot with the date it takes effect,
+-- so past weeks and months are judged against the targets in force at the time.
+-- box_control_settings remains the working copy edited in the settings panel.
+
+CREATE TABLE IF NOT EXISTS settings_versions (
+    id SERIAL PRIMARY KEY,
+    valid_from DATE NOT NULL,
+    settings JSONB NOT NULL,
+    changed_by TEXT,
+    change_note TEXT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_settings_versions_valid_from ON settings_versions(valid_from, id);
+
+-- Baseline version covering all history before the first recorded change
+INSERT INTO settings_versions (valid_from, settings, changed_by, change_note)
+SELECT
+    DATE '1970-01-01',
+    to_jsonb(s) - 'id' - 'updated_at',
+    'system',
+    'Baseline targets at time of migration'
+FROM box_control_settings s
+WHERE NOT EXISTS (SELECT 1 FROM settings_versions)
+ORDER BY s.id
+LIMIT 1;
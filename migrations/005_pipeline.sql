@@ -0,0 +1,20 @@
+-- Order Pipeline
+-- Booked and prospective orders for future weeks, feeding the dashboard forward look.
+-- probability is 0-1; each stage has a default (see src/routes/pipeline.js)
+
+CREATE TABLE IF NOT EXISTS pipeline_orders (
+    id SERIAL PRIMARY KEY,
+    week_commencing DATE NOT NULL,
+    order_ref TEXT,
+    customer TEXT,
+    boxes INTEGER NOT NULL CHECK (boxes >= 0),
+    includes_install BOOLEAN NOT NULL DEFAULT FALSE,
+    extras_value NUMERIC NOT NULL DEFAULT 0,
+    stage TEXT NOT NULL DEFAULT 'enquiry' CHECK (stage IN ('enquiry', 'quoted', 'committed', 'booked')),
+    probability NUMERIC NOT NULL DEFAULT 0.2 CHECK (probability >= 0 AND probability <= 1),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_week_commencing ON pipeline_orders(week_commencing);
@@ -0,0 +1,22 @@
+-- Sales Order Ledger
+-- One row per customer order. Weekly totals (boxes, installs, revenue) roll up
+-- by the Monday of order_date and are reconciled against sales_weekly.
+-- All prices ex-VAT
+
+CREATE TABLE IF NOT EXISTS sales_orders (
+    id SERIAL PRIMARY KEY,
+    order_ref TEXT UNIQUE NOT NULL,
+    customer TEXT,
+    order_date DATE NOT NULL,
+    box_type TEXT,
+    boxes INTEGER NOT NULL DEFAULT 1 CHECK (boxes >= 0),
+    includes_install BOOLEAN NOT NULL DEFAULT FALSE,
+    box_revenue NUMERIC NOT NULL DEFAULT 0,
+    extras_revenue NUMERIC NOT NULL DEFAULT 0,
+    install_revenue NUMERIC NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_orders_order_date ON sales_orders(order_date);
@@ -0,0 +1,16 @@
+-- Named user accounts
+-- Replaces the shared APP_PASSCODE. Passwords are stored as scrypt hashes
+-- (see src/lib/credentials.js); role decides what each user may change.
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    display_name TEXT,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer'
+        CHECK (role IN ('admin', 'sales', 'production', 'viewer')),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,19 @@
+-- Audit trail
+-- One row per change to weekly sales/production figures or settings, with the
+-- whole row before and after (NULL before = created, NULL after = deleted).
+-- Written in the same transaction as the change itself.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    table_name TEXT NOT NULL,
+    week_commencing DATE,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore')),
+    before_data JSONB,
+    after_data JSONB,
+    changed_by TEXT,
+    session_id TEXT,
+    note TEXT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_week ON audit_log(table_name, week_commencing, changed_at DESC);
@@ -0,0 +1,12 @@
+-- Soft delete for weekly figures
+-- Deleting a week sets deleted_at instead of removing the row, so it can be
+-- restored; rows deleted longer ago than the retention period are purged.
+-- Every report query filters on deleted_at IS NULL.
+
+ALTER TABLE sales_weekly ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE sales_weekly ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+ALTER TABLE production_weekly ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE production_weekly ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_sales_weekly_deleted ON sales_weekly(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_production_weekly_deleted ON production_weekly(deleted_at) WHERE deleted_at IS NOT NULL;
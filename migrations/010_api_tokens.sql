@@ -0,0 +1,25 @@
+-- API tokens for machine access
+-- Scripts and other systems call /api/* with "Authorization: Bearer <token>"
+-- instead of a session cookie. Only a SHA-256 hash of each token is stored;
+-- the token itself is shown once when it is created.
+-- Personal tokens act as their owner (and never beyond the owner's role);
+-- service tokens belong to no one and can do only what their scopes allow.
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'personal' CHECK (kind IN ('personal', 'service')),
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute > 0),
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_by TEXT,
+    CHECK (kind = 'service' OR user_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
@@ -0,0 +1,7 @@
+-- Configurable RAG Thresholds
+-- Per-KPI direction and red/amber band edges, edited in the settings panel.
+-- Stored on the settings row so each change is versioned with the targets;
+-- KPIs missing from the object use the defaults in src/lib/kpis.js.
+
+ALTER TABLE box_control_settings
+ADD COLUMN IF NOT EXISTS rag_thresholds JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,21 @@
+-- Right First Time as Counts
+-- Right first time is recorded as boxes passed out of boxes inspected, so it
+-- can be weighted across weeks. right_first_time_pct is kept as passed /
+-- inspected for exports and the API.
+
+ALTER TABLE production_weekly ADD COLUMN IF NOT EXISTS boxes_inspected INTEGER;
+ALTER TABLE production_weekly ADD COLUMN IF NOT EXISTS boxes_passed INTEGER;
+
+-- Weeks entered as a percentage count every box produced as inspected
+UPDATE production_weekly
+SET boxes_inspected = boxes_produced,
+    boxes_passed = ROUND(LEAST(GREATEST(right_first_time_pct, 0), 1) * boxes_produced)
+WHERE right_first_time_pct IS NOT NULL AND boxes_inspected IS NULL;
+
+UPDATE production_weekly
+SET right_first_time_pct = CASE WHEN boxes_inspected > 0 THEN boxes_passed::numeric / boxes_inspected END
+WHERE boxes_inspected IS NOT NULL;
+
+ALTER TABLE production_weekly
+ADD CONSTRAINT production_weekly_boxes_passed_check
+CHECK (boxes_inspected >= 0 AND boxes_passed >= 0 AND boxes_passed <= boxes_inspected);
@@ -0,0 +1,85 @@
+-- Week Calendar
+-- Weeks commence on a Monday. Rows entered against another day move to the
+-- Monday of the working week they stand for: a Sunday to the day after, any
+-- other day back to its own Monday (see normaliseWeekCommencing in
+-- src/lib/calendar.js). Where that leaves two rows for one week, the row
+-- already on the Monday is kept, otherwise the most recently entered, and
+-- the other is soft deleted so it can still be looked at until it is purged.
+
+CREATE TABLE IF NOT EXISTS factory_shutdowns (
+    id SERIAL PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason TEXT NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_factory_shutdowns_dates ON factory_shutdowns(start_date, end_date);
+
+-- Sales weeks
+WITH ranked AS (
+    SELECT id, ROW_NUMBER() OVER (
+        PARTITION BY CASE WHEN EXTRACT(ISODOW FROM week_commencing) = 7 THEN week_commencing + 1
+                          ELSE week_commencing - (EXTRACT(ISODOW FROM week_commencing)::int - 1) END
+        ORDER BY (EXTRACT(ISODOW FROM week_commencing) = 1) DESC, created_at DESC NULLS LAST, id DESC
+    ) AS rank
+    FROM sales_weekly
+    WHERE deleted_at IS NULL
+)
+UPDATE sales_weekly s
+SET deleted_at = CURRENT_TIMESTAMP, deleted_by = 'system: duplicate week'
+FROM ranked
+WHERE s.id = ranked.id AND ranked.rank > 1;
+
+-- A deleted row already on the target Monday gives way to the live one
+DELETE FROM sales_weekly d
+USING sales_weekly s
+WHERE d.deleted_at IS NOT NULL
+  AND s.deleted_at IS NULL
+  AND EXTRACT(ISODOW FROM s.week_commencing) <> 1
+  AND d.week_commencing = CASE WHEN EXTRACT(ISODOW FROM s.week_commencing) = 7 THEN s.week_commencing + 1
+                               ELSE s.week_commencing - (EXTRACT(ISODOW FROM s.week_commencing)::int - 1) END;
+
+UPDATE sales_weekly
+SET week_commencing = CASE WHEN EXTRACT(ISODOW FROM week_commencing) = 7 THEN week_commencing + 1
+                           ELSE week_commencing - (EXTRACT(ISODOW FROM week_commencing)::int - 1) END
+WHERE deleted_at IS NULL AND EXTRACT(ISODOW FROM week_commencing) <> 1;
+
+-- Production weeks, the same way
+WITH ranked AS (
+    SELECT id, ROW_NUMBER() OVER (
+        PARTITION BY CASE WHEN EXTRACT(ISODOW FROM week_commencing) = 7 THEN week_commencing + 1
+                          ELSE week_commencing - (EXTRACT(ISODOW FROM week_commencing)::int - 1) END
+        ORDER BY (EXTRACT(ISODOW FROM week_commencing) = 1) DESC, created_at DESC NULLS LAST, id DESC
+    ) AS rank
+    FROM production_weekly
+    WHERE deleted_at IS NULL
+)
+UPDATE production_weekly p
+SET deleted_at = CURRENT_TIMESTAMP, deleted_by = 'system: duplicate week'
+FROM ranked
+WHERE p.id = ranked.id AND ranked.rank > 1;
+
+DELETE FROM production_weekly d
+USING production_weekly p
+WHERE d.deleted_at IS NOT NULL
+  AND p.deleted_at IS NULL
+  AND EXTRACT(ISODOW FROM p.week_commencing) <> 1
+  AND d.week_commencing = CASE WHEN EXTRACT(ISODOW FROM p.week_commencing) = 7 THEN p.week_commencing + 1
+                               ELSE p.week_commencing - (EXTRACT(ISODOW FROM p.week_commencing)::int - 1) END;
+
+UPDATE production_weekly
+SET week_commencing = CASE WHEN EXTRACT(ISODOW FROM week_commencing) = 7 THEN week_commencing + 1
+                           ELSE week_commencing - (EXTRACT(ISODOW FROM week_commencing)::int - 1) END
+WHERE deleted_at IS NULL AND EXTRACT(ISODOW FROM week_commencing) <> 1;
+
+-- Soft-deleted rows keep the date they were entered with until purged
+ALTER TABLE sales_weekly
+ADD CONSTRAINT sales_weekly_monday_check
+CHECK (deleted_at IS NOT NULL OR EXTRACT(ISODOW FROM week_commencing) = 1);
+
+ALTER TABLE production_weekly
+ADD CONSTRAINT production_weekly_monday_check
+CHECK (deleted_at IS NOT NULL OR EXTRACT(ISODOW FROM week_commencing) = 1);
@@ -0,0 +1,22 @@
+-- Reminders for missing weeks
+-- A daily job (src/reminders.js) records one reminder per sales or production
+-- week that has ended without figures being entered, and emails it when SMTP
+-- is configured. A reminder stays open until the week is entered or someone
+-- dismisses it (e.g. a week before the dashboard was in use).
+
+CREATE TABLE IF NOT EXISTS data_reminders (
+    id SERIAL PRIMARY KEY,
+    table_name TEXT NOT NULL CHECK (table_name IN ('sales', 'production')),
+    week_commencing DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    emailed_at TIMESTAMP,
+    email_error TEXT,
+    resolved_at TIMESTAMP,
+    dismissed_at TIMESTAMP,
+    dismissed_by TEXT,
+    UNIQUE (table_name, week_commencing)
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_reminders_open
+    ON data_reminders(week_commencing)
+    WHERE resolved_at IS NULL AND dismissed_at IS NULL;
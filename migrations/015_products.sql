@@ -0,0 +1,39 @@
+-- Product Catalogue and Weekly Quantities by Product
+-- Each box type has a list price, a standard cost and standard labour hours.
+-- Sales and production weeks can be broken down by product; the weekly
+-- totals stay as entered, and any boxes not assigned to a product are shown
+-- as unassigned. A breakdown belongs to its week: it is removed when the week
+-- is purged and follows it if the week's date changes.
+
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    code TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    list_price NUMERIC NOT NULL DEFAULT 0 CHECK (list_price >= 0),
+    standard_cost NUMERIC NOT NULL DEFAULT 0 CHECK (standard_cost >= 0),
+    standard_labour_hours NUMERIC NOT NULL DEFAULT 0 CHECK (standard_labour_hours >= 0),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sales_weekly_products (
+    week_commencing DATE NOT NULL
+        REFERENCES sales_weekly(week_commencing) ON DELETE CASCADE ON UPDATE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    boxes_sold INTEGER NOT NULL DEFAULT 0 CHECK (boxes_sold >= 0),
+    box_revenue NUMERIC NOT NULL DEFAULT 0 CHECK (box_revenue >= 0),
+    PRIMARY KEY (week_commencing, product_id)
+);
+
+CREATE TABLE IF NOT EXISTS production_weekly_products (
+    week_commencing DATE NOT NULL
+        REFERENCES production_weekly(week_commencing) ON DELETE CASCADE ON UPDATE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    boxes_produced INTEGER NOT NULL DEFAULT 0 CHECK (boxes_produced >= 0),
+    boxes_over_cost INTEGER NOT NULL DEFAULT 0 CHECK (boxes_over_cost >= 0 AND boxes_over_cost <= boxes_produced),
+    PRIMARY KEY (week_commencing, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_weekly_products_product ON sales_weekly_products(product_id);
+CREATE INDEX IF NOT EXISTS idx_production_weekly_products_product ON production_weekly_products(product_id);
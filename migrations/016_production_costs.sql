@@ -0,0 +1,20 @@
+-- Actual Production Costs
+-- Production weeks can record what the week's boxes actually cost: material
+-- cost and labour hours, with rework hours (already recorded) costed at the
+-- same labour rate. Both are optional, so weeks entered before costs were
+-- captured, or without them, are left out of cost variance rather than read
+-- as costing nothing.
+
+ALTER TABLE production_weekly ADD COLUMN IF NOT EXISTS material_cost NUMERIC CHECK (material_cost >= 0);
+ALTER TABLE production_weekly ADD COLUMN IF NOT EXISTS labour_hours NUMERIC CHECK (labour_hours >= 0);
+
+-- The labour rate costs labour and rework hours. Boxes not split by product
+-- are held to standard_cost_per_box; it starts from the cost implied by the
+-- base box price and gross margin, where those are set.
+ALTER TABLE box_control_settings
+ADD COLUMN IF NOT EXISTS labour_rate NUMERIC NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS standard_cost_per_box NUMERIC NOT NULL DEFAULT 0;
+
+UPDATE box_control_settings
+SET standard_cost_per_box = ROUND(base_box_price * (1 - gross_margin_pct), 2)
+WHERE standard_cost_per_box = 0 AND base_box_price > 0 AND gross_margin_pct BETWEEN 0 AND 1;
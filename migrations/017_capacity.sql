@@ -0,0 +1,46 @@
+-- Production Capacity
+-- Capacity is the boxes the workshop can build in a week: headcount × hours
+-- per person per week, scaled to the week's working days and less planned
+-- holidays, divided by the standard hours a box takes. It is compared with
+-- the production plan and the forecast sales demand on the Capacity page.
+
+-- Capacity settings are versioned with the other settings, so a change of
+-- headcount can be entered ahead of the date it takes effect. Standard hours
+-- per box starts from the average of the active products' standard labour
+-- hours, where any are set.
+ALTER TABLE box_control_settings
+ADD COLUMN IF NOT EXISTS headcount INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS hours_per_week NUMERIC NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS standard_hours_per_box NUMERIC NOT NULL DEFAULT 0;
+
+UPDATE box_control_settings
+SET standard_hours_per_box = (
+    SELECT ROUND(AVG(standard_labour_hours), 2) FROM products
+    WHERE active AND standard_labour_hours > 0
+)
+WHERE standard_hours_per_box = 0
+  AND EXISTS (SELECT 1 FROM products WHERE active AND standard_labour_hours > 0);
+
+-- Staff holidays: the number of people away on each working day from start
+-- to end inclusive. Bank holidays and factory shutdowns are already
+-- non-working days and take nothing further off.
+CREATE TABLE IF NOT EXISTS planned_holidays (
+    id SERIAL PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    people INTEGER NOT NULL CHECK (people > 0),
+    reason TEXT NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_planned_holidays_dates ON planned_holidays(start_date, end_date);
+
+-- Boxes planned to be built each week
+CREATE TABLE IF NOT EXISTS production_plan (
+    week_commencing DATE PRIMARY KEY CHECK (EXTRACT(ISODOW FROM week_commencing) = 1),
+    planned_boxes INTEGER NOT NULL CHECK (planned_boxes >= 0),
+    updated_by TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
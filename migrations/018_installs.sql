@@ -0,0 +1,31 @@
+-- Install Scheduling
+-- Each sold install is tracked from sale, through scheduling with an install
+-- date and crew, to completion. installs counts boxes to install, as
+-- installs_sold does. Installs sold through the order ledger are linked to
+-- their order and kept in step with it; others are added on the Installs
+-- page. Orders entered before this migration are not added, as most will
+-- long since have been installed.
+
+CREATE TABLE IF NOT EXISTS installs (
+    id SERIAL PRIMARY KEY,
+    sales_order_id INTEGER UNIQUE REFERENCES sales_orders(id) ON DELETE SET NULL,
+    reference TEXT,
+    customer TEXT,
+    installs INTEGER NOT NULL DEFAULT 1 CHECK (installs > 0),
+    sold_date DATE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'sold' CHECK (status IN ('sold', 'scheduled', 'completed', 'cancelled')),
+    install_date DATE,
+    crew TEXT,
+    completed_date DATE,
+    notes TEXT,
+    updated_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (status <> 'scheduled' OR (install_date IS NOT NULL AND crew IS NOT NULL)),
+    CHECK (status <> 'completed' OR completed_date IS NOT NULL),
+    CHECK (completed_date IS NULL OR completed_date >= sold_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_installs_status ON installs(status);
+CREATE INDEX IF NOT EXISTS idx_installs_sold_date ON installs(sold_date);
+CREATE INDEX IF NOT EXISTS idx_installs_completed_date ON installs(completed_date);
@@ -0,0 +1,7 @@
+-- Order Backlog
+-- The backlog is boxes sold and not yet built, reconciled week by week from
+-- the sales and production figures. The opening backlog is the boxes already
+-- on order and not built before the first recorded week, which the weekly
+-- figures cannot know.
+ALTER TABLE box_control_settings
+ADD COLUMN IF NOT EXISTS opening_backlog_boxes NUMERIC NOT NULL DEFAULT 0;
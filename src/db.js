@@ -1,7 +1,11 @@
 // PostgreSQL Database Module for Box Control Dashboard
 const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
+const { runMigrations } = require('./migrate');
+const { getDerivedUpdates } = require('./lib/targets');
+const { toDateKey } = require('./lib/periods');
+const { createCalendar, attributeTotals } = require('./lib/calendar');
+const { PRODUCT_FIELDS } = require('./lib/products');
+const { orderInstallUpdate } = require('./lib/installs');
 
 // Initialize PostgreSQL connection pool
 let pool;
@@ -30,18 +34,14 @@ function initializePool() {
     return pool;
 }
 
-// Initialize database schema
+// Initialize database schema by applying any pending migrations
 async function initializeSchema() {
     if (isInitialized) return;
 
     const db = initializePool();
     
     try {
-        // Read and execute migration SQL
-        const migrationPath = path.join(__dirname, '..', 'migrations', '001_init.sql');
-        const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
-        
-        await db.query(migrationSQL);
+        await runMigrations(db);
         console.log('✅ Database schema initialized');
         isInitialized = true;
     } catch (error) {
@@ -62,6 +62,98 @@ async function query(text, params) {
     }
 }
 
+// Run callback(client) inside a single transaction
+async function withTransaction(callback) {
+    const db = initializePool();
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Audit trail operations
+// Audit options accepted by the write functions below: changedBy, sessionId,
+// note, plus action ('restore') to label a change that reinstates an old version
+async function recordAudit(client, entry) {
+    // A save that changed nothing isn't worth a history entry
+    if (JSON.stringify(entry.before) === JSON.stringify(entry.after)) {
+        return;
+    }
+    const action = entry.action || (!entry.before ? 'create' : !entry.after ? 'delete' : 'update');
+    await client.query(`
+        INSERT INTO audit_log (
+            table_name, week_commencing, action, before_data, after_data,
+            changed_by, session_id, note
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+        entry.table,
+        entry.weekCommencing || null,
+        action,
+        entry.before ? JSON.stringify(entry.before) : null,
+        entry.after ? JSON.stringify(entry.after) : null,
+        entry.changedBy || null,
+        entry.sessionId || null,
+        entry.note || null
+    ]);
+}
+
+// Run write(client) against one week of a weekly table, recording the row
+// before and after in audit_log (a soft-deleted row counts as no row). Uses
+// options.client when the caller has a transaction open, otherwise starts one.
+async function auditedWeekWrite(table, weekCommencing, options, write) {
+    const run = async (client) => {
+        // The week's row with its quantities by product, as [{ product_id, code, ... }]
+        const snapshot = `
+            SELECT to_jsonb(t) || jsonb_build_object('products', COALESCE((
+                SELECT jsonb_agg(to_jsonb(b) - 'week_commencing' || jsonb_build_object('code', p.code) ORDER BY p.code)
+                FROM ${table}_products b JOIN products p ON p.id = b.product_id
+                WHERE b.week_commencing = t.week_commencing
+            ), '[]'::jsonb)) AS row
+            FROM ${table} t WHERE week_commencing = $1 AND deleted_at IS NULL`;
+        const before = await client.query(snapshot + ' FOR UPDATE', [weekCommencing]);
+        const result = await write(client);
+        const after = await client.query(snapshot, [weekCommencing]);
+        await recordAudit(client, {
+            ...options,
+            table,
+            weekCommencing,
+            before: before.rows[0] ? before.rows[0].row : null,
+            after: after.rows[0] ? after.rows[0].row : null
+        });
+        return result;
+    };
+    return options.client ? run(options.client) : withTransaction(run);
+}
+
+// Changes to one week of a table (or every settings change when
+// weekCommencing is null), newest first
+async function getAuditHistory(table, weekCommencing = null) {
+    const result = weekCommencing
+        ? await query(
+            'SELECT * FROM audit_log WHERE table_name = $1 AND week_commencing = $2 ORDER BY changed_at DESC, id DESC',
+            [table, weekCommencing]
+        )
+        : await query(
+            'SELECT * FROM audit_log WHERE table_name = $1 ORDER BY changed_at DESC, id DESC',
+            [table]
+        );
+    return result.rows;
+}
+
+async function getAuditEntry(id) {
+    const result = await query('SELECT * FROM audit_log WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
 // Settings operations
 async function getSettings() {
     const result = await query('SELECT * FROM box_control_settings LIMIT 1');
@@ -74,12 +166,18 @@ async function getSettings() {
     return result.rows[0];
 }
 
-async function updateSettings(updates) {
+// Options: validFrom (date the change takes effect, default today),
+// changedBy and note are recorded against the new settings version and in the
+// audit trail, along with sessionId
+async function updateSettings(updates, options = {}) {
     const fields = [];
     const values = [];
     let paramIndex = 1;
 
     const allowedFields = [
+        'annual_turnover',
+        'base_box_price',
+        'gross_margin_pct',
         'monthly_contribution_target',
         'survival_contribution',
         'target_boxes_per_month',
@@ -88,45 +186,181 @@ async function updateSettings(updates) {
         'target_extras_pct',
         'contribution_per_box',
         'cost_compliance_target',
-        'right_first_time_target'
+        'right_first_time_target',
+        'labour_rate',
+        'standard_cost_per_box',
+        'headcount',
+        'hours_per_week',
+        'standard_hours_per_box',
+        'opening_backlog_boxes',
+        'monthly_contribution_target_manual',
+        'contribution_per_box_manual',
+        'target_boxes_per_month_manual',
+        'target_boxes_per_week_manual',
+        'rag_thresholds'
     ];
 
+    const accepted = {};
     for (const [key, value] of Object.entries(updates)) {
         if (allowedFields.includes(key)) {
-            fields.push(`${key} = $${paramIndex}`);
-            values.push(value);
-            paramIndex++;
+            accepted[key] = value;
         }
     }
 
-    if (fields.length === 0) {
+    if (Object.keys(accepted).length === 0) {
         throw new Error('No valid fields to update');
     }
 
+    // The new version starts from the version in force on its effective date,
+    // so a backdated change doesn't carry values from later versions back with
+    // it. Derived targets are recalculated so non-overridden fields follow
+    // their inputs.
+    const current = await getSettings();
+    const inForce = await getSettingsAt(options.validFrom || toDateKey(new Date()));
+    Object.assign(accepted, getDerivedUpdates({ ...inForce, ...accepted }));
+
+    for (const [key, value] of Object.entries(accepted)) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(key === 'rag_thresholds' ? JSON.stringify(value) : value);
+        paramIndex++;
+    }
+
     fields.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(1); // Dummy value for paramIndex
 
-    const sql = `UPDATE box_control_settings SET ${fields.join(', ')} WHERE id = 1`;
-    await query(sql, values.slice(0, -1)); // Remove the dummy value
+    const sql = `UPDATE box_control_settings SET ${fields.join(', ')} WHERE id = $${paramIndex}`;
+    values.push(current.id);
+
+    // Settings in force on the effective date ($1), as getSettingsAt resolves
+    // them: the version then, or the earliest, over the working copy
+    const inForceSql = `
+        (to_jsonb(s) - 'id' - 'updated_at') || COALESCE(
+            (SELECT v.settings FROM settings_versions v WHERE v.valid_from <= $1::date ORDER BY v.valid_from DESC, v.id DESC LIMIT 1),
+            (SELECT v.settings FROM settings_versions v ORDER BY v.valid_from ASC, v.id ASC LIMIT 1),
+            '{}'::jsonb
+        )`;
+
+    await withTransaction(async (client) => {
+        await client.query('SELECT id FROM box_control_settings WHERE id = $1 FOR UPDATE', [current.id]);
+        const effective = await client.query('SELECT COALESCE($1::date, CURRENT_DATE) AS valid_from', [options.validFrom || null]);
+        const validFrom = toDateKey(effective.rows[0].valid_from);
+        const before = await client.query(
+            `SELECT ${inForceSql} AS settings FROM box_control_settings s WHERE s.id = $2`,
+            [validFrom, current.id]
+        );
+        const later = await client.query('SELECT 1 FROM settings_versions WHERE valid_from > $1::date LIMIT 1', [validFrom]);
+        const version = await client.query(`
+            INSERT INTO settings_versions (valid_from, settings, changed_by, change_note)
+            SELECT $1::date, ${inForceSql} || $3::jsonb, $4, $5
+            FROM box_control_settings s
+            WHERE s.id = $2
+            RETURNING valid_from, settings
+        `, [validFrom, current.id, JSON.stringify(accepted), options.changedBy || null, options.note || null]);
+
+        // The working copy follows the latest version; a change behind a later
+        // one only applies until that one takes over
+        if (later.rows.length === 0) {
+            await client.query(sql, values);
+        }
+
+        const label = `Effective from ${toDateKey(version.rows[0].valid_from)}`;
+        await recordAudit(client, {
+            table: 'box_control_settings',
+            before: before.rows[0].settings,
+            after: version.rows[0].settings,
+            changedBy: options.changedBy,
+            sessionId: options.sessionId,
+            note: options.note ? `${label}: ${options.note}` : label
+        });
+    });
+
     return await getSettings();
 }
 
+// Settings in force on a given date (YYYY-MM-DD). Falls back to the earliest
+// version for dates before any recorded change, and to the working copy for
+// columns added after a version was captured.
+async function getSettingsAt(date) {
+    const current = await getSettings();
+    let result = await query(`
+        SELECT * FROM settings_versions
+        WHERE valid_from <= $1
+        ORDER BY valid_from DESC, id DESC
+        LIMIT 1
+    `, [date]);
+    if (result.rows.length === 0) {
+        result = await query('SELECT * FROM settings_versions ORDER BY valid_from ASC, id ASC LIMIT 1');
+    }
+    const version = result.rows[0];
+    if (!version) {
+        return { ...current, valid_from: null };
+    }
+    return { ...current, ...version.settings, valid_from: version.valid_from };
+}
+
+// Load every settings version once and return a synchronous lookup
+// (date) => settings in force, for resolving targets across many periods
+async function getSettingsResolver() {
+    const current = await getSettings();
+    const result = await query(
+        'SELECT * FROM settings_versions ORDER BY valid_from ASC, id ASC'
+    );
+    const versions = result.rows.map(version => ({
+        ...version,
+        validFrom: toDateKey(version.valid_from)
+    }));
+
+    return (date) => {
+        const key = toDateKey(date);
+        let match = versions[0];
+        for (const version of versions) {
+            if (version.validFrom <= key) match = version;
+        }
+        if (!match) return { ...current, valid_from: null };
+        return { ...current, ...match.settings, valid_from: match.valid_from };
+    };
+}
+
+// All recorded settings versions, newest first
+async function getSettingsHistory() {
+    const result = await query(
+        'SELECT * FROM settings_versions ORDER BY valid_from DESC, id DESC'
+    );
+    return result.rows;
+}
+
 // Sales weekly operations
 async function getSalesWeekly(weekCommencing = null) {
     if (weekCommencing) {
         const result = await query(
-            'SELECT * FROM sales_weekly WHERE week_commencing = $1',
+            'SELECT * FROM sales_weekly WHERE week_commencing = $1 AND deleted_at IS NULL',
             [weekCommencing]
         );
         return result.rows[0] || null;
     }
     const result = await query(
-        'SELECT * FROM sales_weekly ORDER BY week_commencing DESC'
+        'SELECT * FROM sales_weekly WHERE deleted_at IS NULL ORDER BY week_commencing DESC'
     );
     return result.rows;
 }
 
-async function upsertSalesWeekly(data) {
+// Replace a week's quantities by product with a list of
+// { product_id, ...quantities } (see PRODUCT_FIELDS in lib/products.js)
+async function replaceWeekProducts(client, table, weekCommencing, items) {
+    const fields = PRODUCT_FIELDS[table].map(({ field }) => field);
+    await client.query(`DELETE FROM ${table}_products WHERE week_commencing = $1`, [weekCommencing]);
+    for (const item of items) {
+        await client.query(
+            `INSERT INTO ${table}_products (week_commencing, product_id, ${fields.join(', ')})
+             VALUES ($1, $2, ${fields.map((field, index) => `$${index + 3}`).join(', ')})`,
+            [weekCommencing, item.product_id, ...fields.map(field => item[field] || 0)]
+        );
+    }
+}
+
+// data.products, when given, replaces the week's quantities by product.
+// Options: the audit fields above, and client to include the write in a
+// wider transaction
+async function upsertSalesWeekly(data, options = {}) {
     const sql = `
         INSERT INTO sales_weekly (
             week_commencing, boxes_sold, installs_sold, 
@@ -140,165 +374,1053 @@ async function upsertSalesWeekly(data) {
             box_revenue = EXCLUDED.box_revenue,
             extras_revenue = EXCLUDED.extras_revenue,
             install_revenue = EXCLUDED.install_revenue,
-            notes = EXCLUDED.notes
+            notes = EXCLUDED.notes,
+            deleted_at = NULL,
+            deleted_by = NULL
         RETURNING *
     `;
-    const result = await query(sql, [
-        data.week_commencing,
-        data.boxes_sold,
-        data.installs_sold,
-        data.box_revenue || 0,
-        data.extras_revenue || 0,
-        data.install_revenue || 0,
-        data.notes || null
-    ]);
+    const result = await auditedWeekWrite('sales_weekly', data.week_commencing, options, async (client) => {
+        const saved = await client.query(sql, [
+            data.week_commencing,
+            data.boxes_sold,
+            data.installs_sold,
+            data.box_revenue || 0,
+            data.extras_revenue || 0,
+            data.install_revenue || 0,
+            data.notes || null
+        ]);
+        if (data.products !== undefined) {
+            await replaceWeekProducts(client, 'sales_weekly', data.week_commencing, data.products);
+        }
+        return saved;
+    });
     return result.rows[0];
 }
 
-async function deleteSalesWeekly(weekCommencing) {
-    const result = await query(
-        'DELETE FROM sales_weekly WHERE week_commencing = $1 RETURNING *',
+// Soft delete: the week drops out of every report but can be restored until
+// it is purged. Options: the audit fields, as for upsertSalesWeekly
+async function deleteSalesWeekly(weekCommencing, options = {}) {
+    const result = await auditedWeekWrite('sales_weekly', weekCommencing, options, client => client.query(
+        'UPDATE sales_weekly SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2 WHERE week_commencing = $1 AND deleted_at IS NULL RETURNING *',
+        [weekCommencing, options.changedBy || null]
+    ));
+    return result.rows[0] || null;
+}
+
+// Undo a soft delete. Options as for deleteSalesWeekly
+async function restoreDeletedSalesWeekly(weekCommencing, options = {}) {
+    const result = await auditedWeekWrite('sales_weekly', weekCommencing, { ...options, action: 'restore' }, client => client.query(
+        'UPDATE sales_weekly SET deleted_at = NULL, deleted_by = NULL WHERE week_commencing = $1 AND deleted_at IS NOT NULL RETURNING *',
         [weekCommencing]
-    );
+    ));
     return result.rows[0] || null;
 }
 
+// Soft-deleted weeks awaiting purge, most recently deleted first
+async function getDeletedSalesWeekly() {
+    const result = await query(
+        'SELECT * FROM sales_weekly WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC'
+    );
+    return result.rows;
+}
+
 // Production weekly operations
 async function getProductionWeekly(weekCommencing = null) {
     if (weekCommencing) {
         const result = await query(
-            'SELECT * FROM production_weekly WHERE week_commencing = $1',
+            'SELECT * FROM production_weekly WHERE week_commencing = $1 AND deleted_at IS NULL',
             [weekCommencing]
         );
         return result.rows[0] || null;
     }
     const result = await query(
-        'SELECT * FROM production_weekly ORDER BY week_commencing DESC'
+        'SELECT * FROM production_weekly WHERE deleted_at IS NULL ORDER BY week_commencing DESC'
     );
     return result.rows;
 }
 
-async function upsertProductionWeekly(data) {
+// Options as for upsertSalesWeekly
+async function upsertProductionWeekly(data, options = {}) {
     const sql = `
         INSERT INTO production_weekly (
             week_commencing, boxes_produced, installs_completed,
-            boxes_over_cost, rework_hours, right_first_time_pct, notes
+            boxes_over_cost, rework_hours, boxes_inspected, boxes_passed,
+            right_first_time_pct, material_cost, labour_hours, notes
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
         ON CONFLICT (week_commencing) 
         DO UPDATE SET
             boxes_produced = EXCLUDED.boxes_produced,
             installs_completed = EXCLUDED.installs_completed,
             boxes_over_cost = EXCLUDED.boxes_over_cost,
             rework_hours = EXCLUDED.rework_hours,
+            boxes_inspected = EXCLUDED.boxes_inspected,
+            boxes_passed = EXCLUDED.boxes_passed,
             right_first_time_pct = EXCLUDED.right_first_time_pct,
-            notes = EXCLUDED.notes
+            material_cost = EXCLUDED.material_cost,
+            labour_hours = EXCLUDED.labour_hours,
+            notes = EXCLUDED.notes,
+            deleted_at = NULL,
+            deleted_by = NULL
         RETURNING *
     `;
-    const result = await query(sql, [
-        data.week_commencing,
-        data.boxes_produced,
-        data.installs_completed,
-        data.boxes_over_cost || 0,
-        data.rework_hours || 0,
-        data.right_first_time_pct || null,
-        data.notes || null
-    ]);
+    const result = await auditedWeekWrite('production_weekly', data.week_commencing, options, async (client) => {
+        const saved = await client.query(sql, [
+            data.week_commencing,
+            data.boxes_produced,
+            data.installs_completed,
+            data.boxes_over_cost || 0,
+            data.rework_hours || 0,
+            data.boxes_inspected ?? null,
+            data.boxes_passed ?? null,
+            data.right_first_time_pct ?? null,
+            data.material_cost ?? null,
+            data.labour_hours ?? null,
+            data.notes || null
+        ]);
+        if (data.products !== undefined) {
+            await replaceWeekProducts(client, 'production_weekly', data.week_commencing, data.products);
+        }
+        return saved;
+    });
     return result.rows[0];
 }
 
-async function deleteProductionWeekly(weekCommencing) {
-    const result = await query(
-        'DELETE FROM production_weekly WHERE week_commencing = $1 RETURNING *',
+// Soft delete: the week drops out of every report but can be restored until
+// it is purged. Options: the audit fields, as for upsertSalesWeekly
+async function deleteProductionWeekly(weekCommencing, options = {}) {
+    const result = await auditedWeekWrite('production_weekly', weekCommencing, options, client => client.query(
+        'UPDATE production_weekly SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2 WHERE week_commencing = $1 AND deleted_at IS NULL RETURNING *',
+        [weekCommencing, options.changedBy || null]
+    ));
+    return result.rows[0] || null;
+}
+
+// Undo a soft delete. Options as for deleteProductionWeekly
+async function restoreDeletedProductionWeekly(weekCommencing, options = {}) {
+    const result = await auditedWeekWrite('production_weekly', weekCommencing, { ...options, action: 'restore' }, client => client.query(
+        'UPDATE production_weekly SET deleted_at = NULL, deleted_by = NULL WHERE week_commencing = $1 AND deleted_at IS NOT NULL RETURNING *',
         [weekCommencing]
-    );
+    ));
     return result.rows[0] || null;
 }
 
-// Get sales data for MTD calculation (current month)
-async function getSalesMTD() {
-    const sql = `
-        SELECT 
-            COALESCE(SUM(boxes_sold), 0) as boxes_sold,
-            COALESCE(SUM(installs_sold), 0) as installs_sold,
-            COALESCE(SUM(box_revenue), 0) as box_revenue,
-            COALESCE(SUM(extras_revenue), 0) as extras_revenue,
-            COALESCE(SUM(install_revenue), 0) as install_revenue
-        FROM sales_weekly
-        WHERE DATE_TRUNC('month', week_commencing) = DATE_TRUNC('month', CURRENT_DATE)
-    `;
-    const result = await query(sql);
-    return result.rows[0];
+// Soft-deleted weeks awaiting purge, most recently deleted first
+async function getDeletedProductionWeekly() {
+    const result = await query(
+        'SELECT * FROM production_weekly WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC'
+    );
+    return result.rows;
 }
 
-// Get production data for MTD calculation (current month)
-async function getProductionMTD() {
-    const sql = `
-        SELECT 
-            COALESCE(SUM(boxes_produced), 0) as boxes_produced,
-            COALESCE(SUM(installs_completed), 0) as installs_completed,
-            COALESCE(SUM(boxes_over_cost), 0) as boxes_over_cost,
-            COALESCE(SUM(rework_hours), 0) as rework_hours
-        FROM production_weekly
-        WHERE DATE_TRUNC('month', week_commencing) = DATE_TRUNC('month', CURRENT_DATE)
+// Permanently remove weeks soft-deleted more than retentionDays ago.
+// Returns the number of weeks purged from each table.
+async function purgeDeletedWeeks(retentionDays) {
+    return withTransaction(async (client) => {
+        const purged = {};
+        for (const [key, table] of [['sales', 'sales_weekly'], ['production', 'production_weekly']]) {
+            const result = await client.query(
+                `DELETE FROM ${table} WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+                [retentionDays]
+            );
+            purged[key] = result.rowCount;
+        }
+        return purged;
+    });
+}
+
+// One page of a weekly table, newest first, with the total number of weeks.
+// Options: limit, offset, and from/to to restrict the weeks commencing
+async function getWeeklyPage(table, { limit, offset, from = null, to = null }) {
+    const where = `
+        WHERE deleted_at IS NULL
+          AND ($1::date IS NULL OR week_commencing >= $1::date)
+          AND ($2::date IS NULL OR week_commencing <= $2::date)
     `;
-    const result = await query(sql);
-    return result.rows[0];
+    const count = await query(`SELECT COUNT(*)::int AS total FROM ${table} ${where}`, [from, to]);
+    const result = await query(
+        `SELECT * FROM ${table} ${where} ORDER BY week_commencing DESC LIMIT $3 OFFSET $4`,
+        [from, to, limit, offset]
+    );
+    return { rows: result.rows, total: count.rows[0].total };
+}
+
+// Options as for getWeeklyPage
+async function getSalesWeeklyPage(options) {
+    return getWeeklyPage('sales_weekly', options);
+}
+
+// Options as for getWeeklyPage
+async function getProductionWeeklyPage(options) {
+    return getWeeklyPage('production_weekly', options);
 }
 
-// Get last 4 weeks of sales data
-async function getSalesLast4Weeks() {
+const SALES_TOTAL_FIELDS = ['boxes_sold', 'installs_sold', 'box_revenue', 'extras_revenue', 'install_revenue'];
+const PRODUCTION_TOTAL_FIELDS = [
+    'boxes_produced', 'installs_completed', 'boxes_over_cost', 'rework_hours', 'boxes_inspected', 'boxes_passed',
+    'material_cost', 'labour_hours'
+];
+
+// Totals for a date range (inclusive). A week running over either end of the
+// range counts in proportion to its working days inside it (see lib/calendar.js),
+// so a week commencing 30 March is split between March and April.
+async function getWeeklyTotals(table, fields, startDate, endDate) {
+    const start = toDateKey(startDate);
+    const end = toDateKey(endDate);
+    const result = await query(
+        `SELECT * FROM ${table}
+         WHERE week_commencing BETWEEN $1::date - 6 AND $2::date AND deleted_at IS NULL`,
+        [start, end]
+    );
+    return attributeTotals(result.rows, fields, start, end, await getCalendar());
+}
+
+async function getSalesTotals(startDate, endDate) {
+    return getWeeklyTotals('sales_weekly', SALES_TOTAL_FIELDS, startDate, endDate);
+}
+
+async function getProductionTotals(startDate, endDate) {
+    return getWeeklyTotals('production_weekly', PRODUCTION_TOTAL_FIELDS, startDate, endDate);
+}
+
+// Sales weeks commencing within a date range, oldest first
+async function getSalesWeeksBetween(startDate, endDate) {
+    const result = await query(
+        'SELECT * FROM sales_weekly WHERE week_commencing BETWEEN $1 AND $2 AND deleted_at IS NULL ORDER BY week_commencing ASC',
+        [startDate, endDate]
+    );
+    return result.rows;
+}
+
+// Production weeks commencing within a date range, oldest first
+async function getProductionWeeksBetween(startDate, endDate) {
+    const result = await query(
+        'SELECT * FROM production_weekly WHERE week_commencing BETWEEN $1 AND $2 AND deleted_at IS NULL ORDER BY week_commencing ASC',
+        [startDate, endDate]
+    );
+    return result.rows;
+}
+
+// Production weeks overlapping a date range (including one that starts in
+// the 6 days before it), oldest first, each with its breakdown by product as
+// products, for costing
+async function getProductionCostWeeks(startDate, endDate) {
+    const start = toDateKey(startDate);
+    const end = toDateKey(endDate);
+    const weeks = await query(
+        `SELECT * FROM production_weekly
+         WHERE week_commencing BETWEEN $1::date - 6 AND $2::date AND deleted_at IS NULL
+         ORDER BY week_commencing ASC`,
+        [start, end]
+    );
+    const breakdown = await query(
+        `SELECT * FROM production_weekly_products
+         WHERE week_commencing BETWEEN $1::date - 6 AND $2::date`,
+        [start, end]
+    );
+    return weeks.rows.map(week => ({
+        ...week,
+        products: breakdown.rows.filter(row => toDateKey(row.week_commencing) === toDateKey(week.week_commencing))
+    }));
+}
+
+// Boxes sold and produced for every week with either recorded, up to a date,
+// oldest first; a side not recorded for the week is null
+async function getBoxFlowWeeks(endDate) {
+    const result = await query(`
+        SELECT COALESCE(s.week_commencing, p.week_commencing) AS week_commencing,
+               s.boxes_sold, p.boxes_produced
+        FROM (SELECT week_commencing, boxes_sold FROM sales_weekly WHERE deleted_at IS NULL) s
+        FULL OUTER JOIN (SELECT week_commencing, boxes_produced FROM production_weekly WHERE deleted_at IS NULL) p
+            ON p.week_commencing = s.week_commencing
+        WHERE COALESCE(s.week_commencing, p.week_commencing) <= $1::date
+        ORDER BY 1 ASC
+    `, [endDate]);
+    return result.rows;
+}
+
+// Get last 4 recorded weeks of sales data, optionally up to a date
+async function getSalesLast4Weeks(endDate = null) {
     const sql = `
         SELECT *
         FROM sales_weekly
+        WHERE deleted_at IS NULL AND ($1::date IS NULL OR week_commencing <= $1::date)
         ORDER BY week_commencing DESC
         LIMIT 4
     `;
-    const result = await query(sql);
+    const result = await query(sql, [endDate]);
     return result.rows;
 }
 
-// Get last 4 weeks of production data
-async function getProductionLast4Weeks() {
+// Get last 4 recorded weeks of production data, optionally up to a date
+async function getProductionLast4Weeks(endDate = null) {
     const sql = `
         SELECT *
         FROM production_weekly
+        WHERE deleted_at IS NULL AND ($1::date IS NULL OR week_commencing <= $1::date)
         ORDER BY week_commencing DESC
         LIMIT 4
     `;
-    const result = await query(sql);
+    const result = await query(sql, [endDate]);
     return result.rows;
 }
 
-// Get forward look data (next 4 weeks from today)
-async function getForwardLook() {
-    const sql = `
-        SELECT *
-        FROM sales_weekly
-        WHERE week_commencing >= CURRENT_DATE
+// Product catalogue, by code. Options: activeOnly
+async function getProducts({ activeOnly = false } = {}) {
+    const result = await query(
+        'SELECT * FROM products WHERE NOT $1::boolean OR active ORDER BY active DESC, code ASC',
+        [activeOnly]
+    );
+    return result.rows;
+}
+
+async function getProduct(id) {
+    const result = await query('SELECT * FROM products WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+async function createProduct(data) {
+    const result = await query(`
+        INSERT INTO products (code, name, list_price, standard_cost, standard_labour_hours, active)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+    `, [data.code, data.name, data.list_price, data.standard_cost, data.standard_labour_hours, data.active]);
+    return result.rows[0];
+}
+
+async function updateProduct(id, data) {
+    const result = await query(`
+        UPDATE products
+        SET code = $2, name = $3, list_price = $4, standard_cost = $5, standard_labour_hours = $6,
+            active = $7, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `, [id, data.code, data.name, data.list_price, data.standard_cost, data.standard_labour_hours, data.active]);
+    return result.rows[0] || null;
+}
+
+// One week's quantities by product ('sales_weekly' or 'production_weekly')
+async function getWeekProducts(table, weekCommencing) {
+    const result = await query(
+        `SELECT * FROM ${table}_products WHERE week_commencing = $1 ORDER BY product_id`,
+        [weekCommencing]
+    );
+    return result.rows;
+}
+
+// Totals by product id for a date range, pro-rated like getWeeklyTotals.
+// Deleted weeks are left out with their breakdown.
+async function getProductTotals(table, startDate, endDate) {
+    const start = toDateKey(startDate);
+    const end = toDateKey(endDate);
+    const result = await query(
+        `SELECT b.* FROM ${table}_products b
+         JOIN ${table} w ON w.week_commencing = b.week_commencing AND w.deleted_at IS NULL
+         WHERE b.week_commencing BETWEEN $1::date - 6 AND $2::date`,
+        [start, end]
+    );
+    const calendar = await getCalendar();
+    const rowsByProduct = new Map();
+    for (const row of result.rows) {
+        if (!rowsByProduct.has(row.product_id)) rowsByProduct.set(row.product_id, []);
+        rowsByProduct.get(row.product_id).push(row);
+    }
+    const fields = PRODUCT_FIELDS[table].map(({ field }) => field);
+    const totals = {};
+    for (const [productId, rows] of rowsByProduct) {
+        totals[productId] = attributeTotals(rows, fields, start, end, calendar);
+    }
+    return totals;
+}
+
+// Factory shutdowns (non-working date ranges), earliest first
+async function getShutdowns(year = null) {
+    const result = await query(`
+        SELECT * FROM factory_shutdowns
+        WHERE $1::int IS NULL
+           OR (start_date <= make_date($1::int, 12, 31) AND end_date >= make_date($1::int, 1, 1))
+        ORDER BY start_date ASC, id ASC
+    `, [year]);
+    return result.rows;
+}
+
+async function createShutdown(data) {
+    const result = await query(`
+        INSERT INTO factory_shutdowns (start_date, end_date, reason, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+    `, [data.start_date, data.end_date, data.reason, data.created_by || null]);
+    return result.rows[0];
+}
+
+async function deleteShutdown(id) {
+    const result = await query('DELETE FROM factory_shutdowns WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+}
+
+// Working-day calendar with every recorded shutdown
+async function getCalendar() {
+    return createCalendar(await getShutdowns());
+}
+
+// Planned staff holidays overlapping a date range, earliest first. Without
+// an end date, every holiday from the start date on.
+async function getPlannedHolidays(startDate, endDate = null) {
+    const result = await query(`
+        SELECT * FROM planned_holidays
+        WHERE end_date >= $1::date AND ($2::date IS NULL OR start_date <= $2::date)
+        ORDER BY start_date ASC, id ASC
+    `, [startDate, endDate]);
+    return result.rows;
+}
+
+async function createPlannedHoliday(data) {
+    const result = await query(`
+        INSERT INTO planned_holidays (start_date, end_date, people, reason, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+    `, [data.start_date, data.end_date, data.people, data.reason, data.created_by || null]);
+    return result.rows[0];
+}
+
+async function deletePlannedHoliday(id) {
+    const result = await query('DELETE FROM planned_holidays WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+}
+
+// Production plan for the weeks commencing within a date range, oldest first
+async function getProductionPlan(startDate, endDate) {
+    const result = await query(`
+        SELECT * FROM production_plan
+        WHERE week_commencing BETWEEN $1::date AND $2::date
         ORDER BY week_commencing ASC
-        LIMIT 4
-    `;
-    const result = await query(sql);
+    `, [startDate, endDate]);
+    return result.rows;
+}
+
+// Set the planned boxes for each of [{ week_commencing, planned_boxes }];
+// a null planned_boxes clears the week's plan
+async function saveProductionPlan(weeks, updatedBy = null) {
+    return withTransaction(async (client) => {
+        for (const week of weeks) {
+            if (week.planned_boxes === null) {
+                await client.query('DELETE FROM production_plan WHERE week_commencing = $1', [week.week_commencing]);
+                continue;
+            }
+            await client.query(`
+                INSERT INTO production_plan (week_commencing, planned_boxes, updated_by)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (week_commencing)
+                DO UPDATE SET planned_boxes = EXCLUDED.planned_boxes, updated_by = EXCLUDED.updated_by,
+                              updated_at = CURRENT_TIMESTAMP
+            `, [week.week_commencing, week.planned_boxes, updatedBy]);
+        }
+    });
+}
+
+// Earliest week recorded in a weekly table (deleted weeks included), or null
+async function getEarliestWeek(table) {
+    const result = await query(`SELECT MIN(week_commencing) AS week_commencing FROM ${table}`);
+    const week = result.rows[0].week_commencing;
+    return week ? toDateKey(week) : null;
+}
+
+// Record reminders for missing weeks of one table ('sales' or 'production').
+// Weeks already reminded about are skipped; returns the new reminders.
+async function createReminders(tableName, weeks) {
+    if (weeks.length === 0) return [];
+    const result = await query(`
+        INSERT INTO data_reminders (table_name, week_commencing)
+        SELECT $1, week FROM UNNEST($2::date[]) AS week
+        ON CONFLICT (table_name, week_commencing) DO NOTHING
+        RETURNING *
+    `, [tableName, weeks]);
     return result.rows;
 }
 
+// Close reminders whose week has since been entered
+async function resolveReminders() {
+    const result = await query(`
+        UPDATE data_reminders r
+        SET resolved_at = CURRENT_TIMESTAMP
+        WHERE resolved_at IS NULL
+          AND EXISTS (
+              SELECT 1 FROM sales_weekly w
+              WHERE r.table_name = 'sales' AND w.week_commencing = r.week_commencing AND w.deleted_at IS NULL
+              UNION ALL
+              SELECT 1 FROM production_weekly w
+              WHERE r.table_name = 'production' AND w.week_commencing = r.week_commencing AND w.deleted_at IS NULL
+          )
+    `);
+    return result.rowCount;
+}
+
+// Reminders, oldest week first. Options: tableName, from (earliest week) and
+// openOnly (not resolved, dismissed or since entered)
+async function getReminders({ tableName = null, from = null, openOnly = false } = {}) {
+    const result = await query(`
+        SELECT * FROM (
+            SELECT r.*,
+                EXISTS (
+                    SELECT 1 FROM sales_weekly w
+                    WHERE r.table_name = 'sales' AND w.week_commencing = r.week_commencing AND w.deleted_at IS NULL
+                    UNION ALL
+                    SELECT 1 FROM production_weekly w
+                    WHERE r.table_name = 'production' AND w.week_commencing = r.week_commencing AND w.deleted_at IS NULL
+                ) AS entered
+            FROM data_reminders r
+            WHERE ($1::text IS NULL OR r.table_name = $1)
+              AND ($2::date IS NULL OR r.week_commencing >= $2::date)
+        ) reminders
+        WHERE NOT $3::boolean OR (NOT entered AND resolved_at IS NULL AND dismissed_at IS NULL)
+        ORDER BY week_commencing ASC, table_name ASC
+    `, [tableName, from, openOnly]);
+    return result.rows;
+}
+
+async function getReminder(id) {
+    const result = await query('SELECT * FROM data_reminders WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+async function markRemindersEmailed(ids, error = null) {
+    if (ids.length === 0) return;
+    await query(
+        `UPDATE data_reminders
+         SET emailed_at = CASE WHEN $2::text IS NULL THEN CURRENT_TIMESTAMP ELSE emailed_at END, email_error = $2
+         WHERE id = ANY($1::int[])`,
+        [ids, error]
+    );
+}
+
+async function dismissReminder(id, dismissedBy) {
+    const result = await query(`
+        UPDATE data_reminders
+        SET dismissed_at = CURRENT_TIMESTAMP, dismissed_by = $2
+        WHERE id = $1 AND dismissed_at IS NULL
+        RETURNING *
+    `, [id, dismissedBy]);
+    return result.rows[0] || null;
+}
+
+// Sales order ledger operations
+async function getSalesOrders(startDate = null, endDate = null) {
+    const result = await query(`
+        SELECT * FROM sales_orders
+        WHERE ($1::date IS NULL OR order_date >= $1::date)
+          AND ($2::date IS NULL OR order_date <= $2::date)
+        ORDER BY order_date DESC, id DESC
+    `, [startDate, endDate]);
+    return result.rows;
+}
+
+async function getSalesOrder(id) {
+    const result = await query('SELECT * FROM sales_orders WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+// Keep the install board in step with an order (see migration 018): an
+// order with installs has one install, which follows the order while it is
+// still to do. lib/installs.js decides what a change to the order does to it;
+// before and after are the order's rows either side of the change.
+async function syncOrderInstall(client, orderId, before, after) {
+    const linked = await client.query(
+        'SELECT * FROM installs WHERE sales_order_id = $1 FOR UPDATE',
+        [orderId]
+    );
+    const install = linked.rows[0] || null;
+    const change = orderInstallUpdate(install, before, after);
+    if (!change) return;
+
+    if (change.remove) {
+        await client.query('DELETE FROM installs WHERE id = $1', [install.id]);
+    } else if (install) {
+        const fields = Object.keys(change);
+        await client.query(`
+            UPDATE installs SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [install.id, ...fields.map(field => change[field])]);
+    } else {
+        await client.query(`
+            INSERT INTO installs (sales_order_id, reference, customer, installs, sold_date)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [orderId, change.reference, change.customer, change.installs, change.sold_date]);
+    }
+}
+
+async function createSalesOrder(data) {
+    return withTransaction(async (client) => {
+        const result = await client.query(`
+            INSERT INTO sales_orders (
+                order_ref, customer, order_date, box_type, boxes, includes_install,
+                box_revenue, extras_revenue, install_revenue, notes
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `, [
+            data.order_ref,
+            data.customer || null,
+            data.order_date,
+            data.box_type || null,
+            data.boxes,
+            data.includes_install || false,
+            data.box_revenue || 0,
+            data.extras_revenue || 0,
+            data.install_revenue || 0,
+            data.notes || null
+        ]);
+        await syncOrderInstall(client, result.rows[0].id, null, result.rows[0]);
+        return result.rows[0];
+    });
+}
+
+async function updateSalesOrder(id, data) {
+    return withTransaction(async (client) => {
+        const previous = await client.query('SELECT * FROM sales_orders WHERE id = $1 FOR UPDATE', [id]);
+        const result = await client.query(`
+            UPDATE sales_orders SET
+                order_ref = $2,
+                customer = $3,
+                order_date = $4,
+                box_type = $5,
+                boxes = $6,
+                includes_install = $7,
+                box_revenue = $8,
+                extras_revenue = $9,
+                install_revenue = $10,
+                notes = $11,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [
+            id,
+            data.order_ref,
+            data.customer || null,
+            data.order_date,
+            data.box_type || null,
+            data.boxes,
+            data.includes_install || false,
+            data.box_revenue || 0,
+            data.extras_revenue || 0,
+            data.install_revenue || 0,
+            data.notes || null
+        ]);
+        if (!result.rows[0]) return null;
+        await syncOrderInstall(client, id, previous.rows[0], result.rows[0]);
+        return result.rows[0];
+    });
+}
+
+// A completed install stays on record, unlinked, when its order is deleted
+async function deleteSalesOrder(id) {
+    return withTransaction(async (client) => {
+        await syncOrderInstall(client, id, null, null);
+        const result = await client.query(
+            'DELETE FROM sales_orders WHERE id = $1 RETURNING *',
+            [id]
+        );
+        return result.rows[0] || null;
+    });
+}
+
+// Ledger totals per week (Monday of order_date), newest first
+async function getSalesOrderWeeklyTotals(startDate = null, endDate = null) {
+    const result = await query(`
+        SELECT
+            DATE_TRUNC('week', order_date)::date as week_commencing,
+            COUNT(*)::int as orders,
+            COALESCE(SUM(boxes), 0)::int as boxes_sold,
+            COALESCE(SUM(CASE WHEN includes_install THEN boxes ELSE 0 END), 0)::int as installs_sold,
+            COALESCE(SUM(box_revenue), 0) as box_revenue,
+            COALESCE(SUM(extras_revenue), 0) as extras_revenue,
+            COALESCE(SUM(install_revenue), 0) as install_revenue
+        FROM sales_orders
+        WHERE ($1::date IS NULL OR order_date >= $1::date)
+          AND ($2::date IS NULL OR order_date <= $2::date)
+        GROUP BY DATE_TRUNC('week', order_date)
+        ORDER BY week_commencing DESC
+    `, [startDate, endDate]);
+    return result.rows;
+}
+
+// Install board operations
+// Installs still to do, and those completed on or after a date
+async function getBoardInstalls(completedSince) {
+    const result = await query(`
+        SELECT * FROM installs
+        WHERE status IN ('sold', 'scheduled')
+           OR (status = 'completed' AND completed_date >= $1::date)
+        ORDER BY sold_date ASC, id ASC
+    `, [completedSince]);
+    return result.rows;
+}
+
+// Installs a period's backlog and lead time are worked out from: those sold
+// by asAt and not completed before the period starts (see lib/installs.js)
+async function getPeriodInstalls(startDate, asAt) {
+    const result = await query(`
+        SELECT * FROM installs
+        WHERE status <> 'cancelled'
+          AND sold_date <= $2::date
+          AND (completed_date IS NULL OR completed_date >= $1::date)
+    `, [startDate, asAt]);
+    return result.rows;
+}
+
+async function getInstall(id) {
+    const result = await query('SELECT * FROM installs WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+async function createInstall(data) {
+    const result = await query(`
+        INSERT INTO installs (
+            reference, customer, installs, sold_date, status, install_date, crew, completed_date, notes, updated_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+    `, [
+        data.reference,
+        data.customer,
+        data.installs,
+        data.sold_date,
+        data.status,
+        data.install_date,
+        data.crew,
+        data.completed_date,
+        data.notes,
+        data.updated_by || null
+    ]);
+    return result.rows[0];
+}
+
+async function updateInstall(id, data) {
+    const result = await query(`
+        UPDATE installs SET
+            reference = $2,
+            customer = $3,
+            installs = $4,
+            sold_date = $5,
+            status = $6,
+            install_date = $7,
+            crew = $8,
+            completed_date = $9,
+            notes = $10,
+            updated_by = $11,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `, [
+        id,
+        data.reference,
+        data.customer,
+        data.installs,
+        data.sold_date,
+        data.status,
+        data.install_date,
+        data.crew,
+        data.completed_date,
+        data.notes,
+        data.updated_by || null
+    ]);
+    return result.rows[0] || null;
+}
+
+// Pipeline operations
+async function getPipelineOrders(fromDate = null) {
+    const result = await query(`
+        SELECT * FROM pipeline_orders
+        WHERE ($1::date IS NULL OR week_commencing >= $1::date)
+        ORDER BY week_commencing ASC, id ASC
+    `, [fromDate]);
+    return result.rows;
+}
+
+async function getPipelineOrdersBetween(startDate, endDate) {
+    const result = await query(
+        'SELECT * FROM pipeline_orders WHERE week_commencing BETWEEN $1 AND $2 ORDER BY week_commencing ASC, id ASC',
+        [startDate, endDate]
+    );
+    return result.rows;
+}
+
+async function getPipelineOrder(id) {
+    const result = await query('SELECT * FROM pipeline_orders WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+async function createPipelineOrder(data) {
+    const result = await query(`
+        INSERT INTO pipeline_orders (
+            week_commencing, order_ref, customer, boxes,
+            includes_install, extras_value, stage, probability, notes
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+    `, [
+        data.week_commencing,
+        data.order_ref || null,
+        data.customer || null,
+        data.boxes,
+        data.includes_install || false,
+        data.extras_value || 0,
+        data.stage,
+        data.probability,
+        data.notes || null
+    ]);
+    return result.rows[0];
+}
+
+async function updatePipelineOrder(id, data) {
+    const result = await query(`
+        UPDATE pipeline_orders SET
+            week_commencing = $2,
+            order_ref = $3,
+            customer = $4,
+            boxes = $5,
+            includes_install = $6,
+            extras_value = $7,
+            stage = $8,
+            probability = $9,
+            notes = $10,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `, [
+        id,
+        data.week_commencing,
+        data.order_ref || null,
+        data.customer || null,
+        data.boxes,
+        data.includes_install || false,
+        data.extras_value || 0,
+        data.stage,
+        data.probability,
+        data.notes || null
+    ]);
+    return result.rows[0] || null;
+}
+
+async function deletePipelineOrder(id) {
+    const result = await query(
+        'DELETE FROM pipeline_orders WHERE id = $1 RETURNING *',
+        [id]
+    );
+    return result.rows[0] || null;
+}
+
+// User operations (password_hash is only returned by getUserByUsername, for login)
+const USER_COLUMNS = 'id, username, display_name, role, active, last_login_at, created_at, updated_at';
+
+async function getUsers() {
+    const result = await query(`SELECT ${USER_COLUMNS} FROM users ORDER BY active DESC, username ASC`);
+    return result.rows;
+}
+
+async function getUserById(id) {
+    const result = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+async function getUserByUsername(username) {
+    const result = await query('SELECT * FROM users WHERE username = LOWER($1)', [username]);
+    return result.rows[0] || null;
+}
+
+async function countUsers() {
+    const result = await query('SELECT COUNT(*)::int as count FROM users');
+    return result.rows[0].count;
+}
+
+async function countActiveAdmins() {
+    const result = await query("SELECT COUNT(*)::int as count FROM users WHERE role = 'admin' AND active");
+    return result.rows[0].count;
+}
+
+async function createUser(data) {
+    const result = await query(`
+        INSERT INTO users (username, display_name, password_hash, role)
+        VALUES (LOWER($1), $2, $3, $4)
+        RETURNING ${USER_COLUMNS}
+    `, [data.username, data.display_name || null, data.password_hash, data.role]);
+    return result.rows[0];
+}
+
+// Updates display name, role and active flag; password only when a new hash is given
+async function updateUser(id, data) {
+    const result = await query(`
+        UPDATE users SET
+            display_name = $2,
+            role = $3,
+            active = $4,
+            password_hash = COALESCE($5, password_hash),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING ${USER_COLUMNS}
+    `, [id, data.display_name || null, data.role, data.active, data.password_hash || null]);
+    return result.rows[0] || null;
+}
+
+async function recordUserLogin(id) {
+    await query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+}
+
+// API token operations (token_hash is only used for lookup, never returned)
+const API_TOKEN_COLUMNS = `
+    t.id, t.name, t.kind, t.user_id, t.token_prefix, t.scopes, t.rate_limit_per_minute,
+    t.created_by, t.created_at, t.last_used_at, t.revoked_at, t.revoked_by,
+    u.username AS owner_username
+`;
+
+// Tokens owned by a user, or every token when userId is null; live tokens first
+async function getApiTokens(userId = null) {
+    const result = await query(`
+        SELECT ${API_TOKEN_COLUMNS}
+        FROM api_tokens t
+        LEFT JOIN users u ON u.id = t.user_id
+        WHERE $1::int IS NULL OR t.user_id = $1
+        ORDER BY (t.revoked_at IS NULL) DESC, t.created_at DESC
+    `, [userId]);
+    return result.rows;
+}
+
+async function getApiToken(id) {
+    const result = await query(`
+        SELECT ${API_TOKEN_COLUMNS}
+        FROM api_tokens t
+        LEFT JOIN users u ON u.id = t.user_id
+        WHERE t.id = $1
+    `, [id]);
+    return result.rows[0] || null;
+}
+
+// Live token by hash, with its owner's account (null for service tokens)
+async function getActiveApiTokenByHash(tokenHash) {
+    const result = await query(`
+        SELECT ${API_TOKEN_COLUMNS},
+               u.display_name AS owner_display_name, u.role AS owner_role, u.active AS owner_active
+        FROM api_tokens t
+        LEFT JOIN users u ON u.id = t.user_id
+        WHERE t.token_hash = $1 AND t.revoked_at IS NULL
+    `, [tokenHash]);
+    return result.rows[0] || null;
+}
+
+async function createApiToken(data) {
+    const result = await query(`
+        INSERT INTO api_tokens (name, kind, user_id, token_hash, token_prefix, scopes, rate_limit_per_minute, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+    `, [
+        data.name,
+        data.kind,
+        data.user_id || null,
+        data.token_hash,
+        data.token_prefix,
+        data.scopes,
+        data.rate_limit_per_minute,
+        data.created_by || null
+    ]);
+    return getApiToken(result.rows[0].id);
+}
+
+async function revokeApiToken(id, revokedBy) {
+    const result = await query(
+        'UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2 WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+        [id, revokedBy || null]
+    );
+    return result.rows.length > 0;
+}
+
+async function recordApiTokenUse(id) {
+    await query('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+}
+
 module.exports = {
     initializePool,
     initializeSchema,
     query,
+    withTransaction,
+    getAuditHistory,
+    getAuditEntry,
     getSettings,
     updateSettings,
+    getSettingsAt,
+    getSettingsHistory,
+    getSettingsResolver,
     getSalesWeekly,
     upsertSalesWeekly,
     deleteSalesWeekly,
+    restoreDeletedSalesWeekly,
+    getDeletedSalesWeekly,
     getProductionWeekly,
     upsertProductionWeekly,
     deleteProductionWeekly,
-    getSalesMTD,
-    getProductionMTD,
+    restoreDeletedProductionWeekly,
+    getDeletedProductionWeekly,
+    purgeDeletedWeeks,
+    getSalesWeeklyPage,
+    getProductionWeeklyPage,
+    getSalesTotals,
+    getProductionTotals,
+    getShutdowns,
+    createShutdown,
+    deleteShutdown,
+    getCalendar,
+    getPlannedHolidays,
+    createPlannedHoliday,
+    deletePlannedHoliday,
+    getProductionPlan,
+    saveProductionPlan,
+    getProducts,
+    getProduct,
+    createProduct,
+    updateProduct,
+    getWeekProducts,
+    getProductTotals,
+    getEarliestWeek,
+    createReminders,
+    resolveReminders,
+    getReminders,
+    getReminder,
+    markRemindersEmailed,
+    dismissReminder,
+    getSalesWeeksBetween,
+    getProductionWeeksBetween,
+    getProductionCostWeeks,
     getSalesLast4Weeks,
     getProductionLast4Weeks,
-    getForwardLook
+    getBoxFlowWeeks,
+    getSalesOrders,
+    getSalesOrder,
+    createSalesOrder,
+    updateSalesOrder,
+    deleteSalesOrder,
+    getSalesOrderWeeklyTotals,
+    getBoardInstalls,
+    getPeriodInstalls,
+    getInstall,
+    createInstall,
+    updateInstall,
+    getPipelineOrders,
+    getPipelineOrdersBetween,
+    getPipelineOrder,
+    createPipelineOrder,
+    updatePipelineOrder,
+    deletePipelineOrder,
+    getUsers,
+    getUserById,
+    getUserByUsername,
+    countUsers,
+    countActiveAdmins,
+    createUser,
+    updateUser,
+    recordUserLogin,
+    getApiTokens,
+    getApiToken,
+    getActiveApiTokenByHash,
+    createApiToken,
+    revokeApiToken,
+    recordApiTokenUse
 };
 
@@ -0,0 +1,107 @@
+// API tokens for Box Control Dashboard
+// Token generation and hashing, read/write scopes per table, and the
+// per-token rate limit. Tokens are long random strings, so a plain SHA-256
+// hash is enough to store them safely and still look them up directly.
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'bcd_';
+const TOKEN_BYTES = 32;
+// Characters of the token kept in clear so it can be recognised in the UI
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const MAX_RATE_LIMIT_PER_MINUTE = 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// What a token can be scoped to; KPIs are computed, so read only
+const TOKEN_TABLES = [
+    { value: 'sales', label: 'Sales weeks', access: ['read', 'write'] },
+    { value: 'production', label: 'Production weeks', access: ['read', 'write'] },
+    { value: 'settings', label: 'Settings', access: ['read', 'write'] },
+    { value: 'kpis', label: 'KPIs', access: ['read'] }
+];
+
+function generateToken() {
+    return TOKEN_PREFIX + crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function displayPrefix(token) {
+    return token.slice(0, DISPLAY_PREFIX_LENGTH);
+}
+
+// Bearer token from the Authorization header, or null
+function tokenFromRequest(req) {
+    const header = req.get('authorization');
+    if (!header) return null;
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : '';
+}
+
+/**
+ * Scopes from the create form: one access level per table ('', 'read' or
+ * 'write'). Returns { error } or { data: ['sales:write', 'kpis:read', ...] }.
+ */
+function parseScopes(input = {}) {
+    const scopes = [];
+    for (const table of TOKEN_TABLES) {
+        const access = input[table.value];
+        if (!access) continue;
+        if (!table.access.includes(access)) {
+            return { error: `${table.label} can only be given ${table.access.join(' or ')} access` };
+        }
+        scopes.push(`${table.value}:${access}`);
+    }
+    if (scopes.length === 0) {
+        return { error: 'Give the token access to at least one table' };
+    }
+    return { data: scopes };
+}
+
+// Whether a token's scopes cover a permission such as 'sales:read'.
+// Write access to a table includes reading it.
+function scopeAllows(scopes, permission) {
+    const [table, access] = permission.split(':');
+    return scopes.includes(permission) || (access === 'read' && scopes.includes(`${table}:write`));
+}
+
+/**
+ * Fixed one-minute window per token, held in memory, so each app instance
+ * counts separately. Returns { allowed, limit, remaining, retryAfter }.
+ */
+function createRateLimiter(now = () => Date.now()) {
+    const windows = new Map();
+
+    return function take(tokenId, limit) {
+        const time = now();
+        let window = windows.get(tokenId);
+        if (!window || time - window.start >= RATE_WINDOW_MS) {
+            window = { start: time, count: 0 };
+            windows.set(tokenId, window);
+        }
+        window.count += 1;
+        return {
+            allowed: window.count <= limit,
+            limit,
+            remaining: Math.max(limit - window.count, 0),
+            retryAfter: Math.ceil((window.start + RATE_WINDOW_MS - time) / 1000)
+        };
+    };
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMIT_PER_MINUTE,
+    MAX_RATE_LIMIT_PER_MINUTE,
+    TOKEN_TABLES,
+    generateToken,
+    hashToken,
+    displayPrefix,
+    tokenFromRequest,
+    parseScopes,
+    scopeAllows,
+    createRateLimiter
+};
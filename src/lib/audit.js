@@ -0,0 +1,95 @@
+// Audit trail helpers for Box Control Dashboard
+// Turns audit_log rows (whole-row snapshots before and after each change)
+// into the field-by-field history shown on the sales and production pages.
+
+const { PRODUCT_FIELDS } = require('./products');
+
+const AUDITED_FIELDS = {
+    sales_weekly: [
+        { field: 'boxes_sold', label: 'Boxes sold' },
+        { field: 'installs_sold', label: 'Installs sold' },
+        { field: 'box_revenue', label: 'Box revenue' },
+        { field: 'extras_revenue', label: 'Extras revenue' },
+        { field: 'install_revenue', label: 'Install revenue' },
+        { field: 'notes', label: 'Notes' }
+    ],
+    production_weekly: [
+        { field: 'boxes_produced', label: 'Boxes produced' },
+        { field: 'installs_completed', label: 'Installs completed' },
+        { field: 'boxes_over_cost', label: 'Boxes over cost' },
+        { field: 'rework_hours', label: 'Rework hours' },
+        { field: 'material_cost', label: 'Material cost' },
+        { field: 'labour_hours', label: 'Labour hours' },
+        { field: 'boxes_inspected', label: 'Boxes inspected' },
+        { field: 'boxes_passed', label: 'Boxes passed' },
+        { field: 'right_first_time_pct', label: 'Right first time %' },
+        { field: 'notes', label: 'Notes' }
+    ]
+};
+
+const ACTION_LABELS = {
+    create: 'Created',
+    update: 'Updated',
+    delete: 'Deleted',
+    restore: 'Restored'
+};
+
+function displayValue(value) {
+    return value === null || value === undefined || value === '' ? null : value;
+}
+
+// Quantities by product in a snapshot, keyed by product code
+function productsByCode(snapshot) {
+    const products = new Map();
+    for (const item of (snapshot && snapshot.products) || []) {
+        products.set(item.code, item);
+    }
+    return products;
+}
+
+// Fields that differ between two snapshots (either may be null), then the
+// quantities by product. A product missing from a snapshot had none.
+function describeChanges(table, before, after) {
+    const changes = [];
+    for (const { field, label } of AUDITED_FIELDS[table] || []) {
+        const from = displayValue(before ? before[field] : null);
+        const to = displayValue(after ? after[field] : null);
+        if (String(from) !== String(to)) {
+            changes.push({ field, label, before: from, after: to });
+        }
+    }
+
+    const beforeProducts = productsByCode(before);
+    const afterProducts = productsByCode(after);
+    const codes = [...new Set([...beforeProducts.keys(), ...afterProducts.keys()])].sort();
+    for (const code of codes) {
+        for (const { field, label } of PRODUCT_FIELDS[table] || []) {
+            const from = beforeProducts.has(code) ? displayValue(beforeProducts.get(code)[field]) : null;
+            const to = afterProducts.has(code) ? displayValue(afterProducts.get(code)[field]) : null;
+            if (String(from) !== String(to)) {
+                changes.push({ field: `products.${code}.${field}`, label: `${code} ${label}`, before: from, after: to });
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * History for one week, newest first, as shown on the data entry pages.
+ * Each entry's after_data is the version it produced; every version except
+ * the one currently in place can be restored (a deletion produced nothing).
+ */
+function buildWeekHistory(table, entries) {
+    return entries.map((entry, index) => ({
+        ...entry,
+        actionLabel: ACTION_LABELS[entry.action] || entry.action,
+        changes: describeChanges(table, entry.before_data, entry.after_data),
+        restorable: index > 0 && entry.after_data !== null
+    }));
+}
+
+module.exports = {
+    AUDITED_FIELDS,
+    describeChanges,
+    buildWeekHistory
+};
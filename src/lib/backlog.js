@@ -0,0 +1,91 @@
+// Order backlog for Box Control Dashboard
+// Reconciles boxes sold with boxes produced week by week. The backlog is the
+// boxes sold and not yet built: the opening backlog plus cumulative sold less
+// cumulative produced. Dividing it by the recent build rate gives the weeks of
+// work on order, an estimate of the lead time a new order faces.
+
+const { toDateKey } = require('./periods');
+const { toNumber, buildRate } = require('./kpis');
+
+// The build rate is the average boxes produced over this many recorded weeks
+const BUILD_RATE_WEEKS = 4;
+
+function recorded(value) {
+    return value !== null && value !== undefined;
+}
+
+/**
+ * Week-by-week reconciliation of boxes sold and produced.
+ *   weeks: [{ week_commencing, boxes_sold, boxes_produced }] for every week
+ *     with sales or production recorded, in any order; a side not recorded
+ *     is null
+ *   openingBacklog: boxes sold and not built before the first of them
+ *   fromKey: first week to return (YYYY-MM-DD); cumulative sold and produced
+ *     count from it, while the backlog always counts from the first week
+ * Each week has backlog, buildRate (over the last BUILD_RATE_WEEKS weeks with
+ * production recorded, up to and including it) and backlogWeeks (null while
+ * nothing has been built; 0 when production is ahead of sales). A week missing
+ * either side is marked incomplete, as its backlog is not yet reliable.
+ */
+function reconcileWeeks(weeks, openingBacklog = 0, fromKey = null) {
+    const sorted = weeks
+        .map(week => ({ ...week, week_commencing: toDateKey(week.week_commencing) }))
+        .sort((a, b) => a.week_commencing.localeCompare(b.week_commencing));
+
+    const result = [];
+    const recentProduction = [];
+    let backlog = toNumber(openingBacklog);
+    let cumulativeSold = 0;
+    let cumulativeProduced = 0;
+
+    for (const week of sorted) {
+        const sold = recorded(week.boxes_sold) ? toNumber(week.boxes_sold) : null;
+        const produced = recorded(week.boxes_produced) ? toNumber(week.boxes_produced) : null;
+        backlog += (sold || 0) - (produced || 0);
+        if (produced !== null) {
+            recentProduction.push(week);
+            if (recentProduction.length > BUILD_RATE_WEEKS) recentProduction.shift();
+        }
+        if (fromKey && week.week_commencing < fromKey) continue;
+
+        cumulativeSold += sold || 0;
+        cumulativeProduced += produced || 0;
+        const rate = buildRate(recentProduction);
+        result.push({
+            week_commencing: week.week_commencing,
+            sold,
+            produced,
+            complete: sold !== null && produced !== null,
+            cumulativeSold,
+            cumulativeProduced,
+            backlog,
+            buildRate: rate,
+            backlogWeeks: backlogWeeks(backlog, rate)
+        });
+    }
+    return result;
+}
+
+// Weeks of work in a backlog at a build rate (null when nothing is being built)
+function backlogWeeks(backlog, rate) {
+    if (backlog <= 0) return 0;
+    return rate > 0 ? backlog / rate : null;
+}
+
+// The backlog as at a date: the last complete week commencing on or before it,
+// or null when there is none
+function backlogAt(reconciled, dateKey) {
+    let latest = null;
+    for (const week of reconciled) {
+        if (week.week_commencing > dateKey) break;
+        if (week.complete) latest = week;
+    }
+    return latest;
+}
+
+module.exports = {
+    BUILD_RATE_WEEKS,
+    reconcileWeeks,
+    backlogWeeks,
+    backlogAt
+};
@@ -0,0 +1,259 @@
+// Week calendar for Box Control Dashboard
+// Weeks commence on a Monday. Working days are Monday to Friday, less bank
+// holidays in England and Wales and any factory shutdowns entered on the
+// Calendar page. A week that runs across two months is attributed to each in
+// proportion to its working days either side of the month end.
+// Dates are YYYY-MM-DD strings, as in periods.js.
+
+const { parseDate, addDays, toDateString, toDateKey, mondayOf } = require('./periods');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bank holidays moved from their usual date, by year
+const MOVED_BANK_HOLIDAYS = {
+    1995: { 'Early May bank holiday': '1995-05-08' },
+    2002: { 'Spring bank holiday': '2002-06-04' },
+    2012: { 'Spring bank holiday': '2012-06-04' },
+    2020: { 'Early May bank holiday': '2020-05-08' },
+    2022: { 'Spring bank holiday': '2022-06-02' }
+};
+
+// One-off bank holidays
+const EXTRA_BANK_HOLIDAYS = [
+    { date: '1999-12-31', name: 'Millennium Celebrations' },
+    { date: '2002-06-03', name: 'Golden Jubilee' },
+    { date: '2011-04-29', name: 'Royal Wedding' },
+    { date: '2012-06-05', name: 'Diamond Jubilee' },
+    { date: '2022-06-03', name: 'Platinum Jubilee' },
+    { date: '2022-09-19', name: 'State Funeral of Queen Elizabeth II' },
+    { date: '2023-05-08', name: 'Coronation of King Charles III' }
+];
+
+// ISO day of week: 1 = Monday ... 7 = Sunday
+function isoDay(date) {
+    return ((date.getUTCDay() + 6) % 7) + 1;
+}
+
+function isWeekStart(dateKey) {
+    const date = parseDate(dateKey);
+    return Boolean(date) && isoDay(date) === 1;
+}
+
+// Monday a week-commencing date stands for. A Sunday is taken as the start of
+// the working week after it; any other day belongs to its own Monday.
+function normaliseWeekCommencing(dateKey) {
+    const date = parseDate(dateKey);
+    if (isoDay(date) === 7) return toDateString(addDays(date, 1));
+    return mondayOf(dateKey);
+}
+
+// ISO 8601 week number: weeks start on Monday and week 1 holds the year's
+// first Thursday, so 29 December can be in week 1 of the next year
+function isoWeek(dateKey) {
+    const date = parseDate(dateKey);
+    const thursday = addDays(date, 4 - isoDay(date));
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1;
+    return { year, week };
+}
+
+// Mondays of the 52 or 53 weeks in an ISO year; week 1 holds 4 January
+function isoYearWeeks(year) {
+    const weeks = [];
+    let monday = mondayOf(`${year}-01-04`);
+    while (isoWeek(monday).year === year) {
+        weeks.push(monday);
+        monday = toDateString(addDays(parseDate(monday), 7));
+    }
+    return weeks;
+}
+
+// Easter Sunday (Gregorian; anonymous algorithm)
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function firstMonday(year, monthIndex) {
+    const first = new Date(Date.UTC(year, monthIndex, 1));
+    return addDays(first, (8 - isoDay(first)) % 7);
+}
+
+function lastMonday(year, monthIndex) {
+    const last = new Date(Date.UTC(year, monthIndex + 1, 0));
+    return addDays(last, -(isoDay(last) - 1));
+}
+
+// The next weekday on or after a date that is not already taken
+function substituteDay(date, taken) {
+    let day = date;
+    while (isoDay(day) > 5 || taken.has(toDateString(day))) {
+        day = addDays(day, 1);
+    }
+    return day;
+}
+
+/**
+ * Bank holidays in England and Wales for a year, in date order, as
+ * [{ date, name }]. Holidays falling at a weekend move to the next weekday.
+ */
+function ukBankHolidays(year) {
+    const easter = easterSunday(year);
+    const holidays = [
+        { name: 'Good Friday', date: addDays(easter, -2) },
+        { name: 'Easter Monday', date: addDays(easter, 1) },
+        { name: 'Early May bank holiday', date: firstMonday(year, 4) },
+        { name: 'Spring bank holiday', date: lastMonday(year, 4) },
+        { name: 'Summer bank holiday', date: lastMonday(year, 7) }
+    ].map(holiday => ({ name: holiday.name, date: toDateString(holiday.date) }));
+
+    const moved = MOVED_BANK_HOLIDAYS[year] || {};
+    for (const holiday of holidays) {
+        if (moved[holiday.name]) holiday.date = moved[holiday.name];
+    }
+
+    // Fixed-date holidays on a weekday keep their date; the rest then take the
+    // next free weekday as a substitute day
+    const fixed = [['New Year\'s Day', 0, 1], ['Christmas Day', 11, 25], ['Boxing Day', 11, 26]]
+        .map(([name, monthIndex, day]) => ({ name, date: new Date(Date.UTC(year, monthIndex, day)) }));
+    const taken = new Set(holidays.map(holiday => holiday.date));
+    for (const holiday of fixed.filter(holiday => isoDay(holiday.date) <= 5)) {
+        taken.add(toDateString(holiday.date));
+        holidays.push({ name: holiday.name, date: toDateString(holiday.date) });
+    }
+    for (const holiday of fixed.filter(holiday => isoDay(holiday.date) > 5)) {
+        const date = toDateString(substituteDay(holiday.date, taken));
+        taken.add(date);
+        holidays.push({ name: `${holiday.name} (substitute day)`, date });
+    }
+
+    for (const extra of EXTRA_BANK_HOLIDAYS) {
+        if (extra.date.startsWith(`${year}-`)) holidays.push({ ...extra });
+    }
+
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Working-day calendar given the factory shutdowns
+ * ([{ start_date, end_date, reason }], dates inclusive).
+ */
+function createCalendar(shutdowns = []) {
+    const holidaysByYear = new Map();
+    const ranges = shutdowns.map(shutdown => ({
+        start: toDateKey(shutdown.start_date),
+        end: toDateKey(shutdown.end_date),
+        reason: shutdown.reason
+    }));
+
+    function bankHoliday(dateKey) {
+        const year = Number(dateKey.slice(0, 4));
+        if (!holidaysByYear.has(year)) {
+            holidaysByYear.set(year, new Map(ukBankHolidays(year).map(holiday => [holiday.date, holiday.name])));
+        }
+        return holidaysByYear.get(year).get(dateKey) || null;
+    }
+
+    function shutdown(dateKey) {
+        return ranges.find(range => range.start <= dateKey && dateKey <= range.end) || null;
+    }
+
+    function isWorkingDay(dateKey) {
+        return isoDay(parseDate(dateKey)) <= 5 && !bankHoliday(dateKey) && !shutdown(dateKey);
+    }
+
+    // Working days from start to end inclusive
+    function workingDays(startKey, endKey) {
+        let count = 0;
+        for (let day = parseDate(startKey); toDateString(day) <= endKey; day = addDays(day, 1)) {
+            if (isWorkingDay(toDateString(day))) count += 1;
+        }
+        return count;
+    }
+
+    // ISO week number, working days, bank holidays and shutdowns for a week
+    function week(weekCommencing) {
+        const weekEnd = toDateString(addDays(parseDate(weekCommencing), 6));
+        const days = [];
+        for (let offset = 0; offset < 7; offset++) {
+            days.push(toDateString(addDays(parseDate(weekCommencing), offset)));
+        }
+        const { year, week: number } = isoWeek(weekCommencing);
+        const workingDayCount = workingDays(weekCommencing, weekEnd);
+        return {
+            week_commencing: weekCommencing,
+            week_ending: weekEnd,
+            iso_year: year,
+            iso_week: number,
+            working_days: workingDayCount,
+            bank_holidays: days
+                .filter(day => bankHoliday(day))
+                .map(day => ({ date: day, name: bankHoliday(day) })),
+            shutdowns: ranges.filter(range => range.start <= weekEnd && range.end >= weekCommencing),
+            non_working: workingDayCount === 0
+        };
+    }
+
+    // Share of a week's figures that belongs to the dates start..end: its
+    // working days in the range over its working days in total, or calendar
+    // days for a week with no working days at all
+    function share(weekCommencing, startKey, endKey) {
+        const weekEnd = toDateString(addDays(parseDate(weekCommencing), 6));
+        const from = weekCommencing > startKey ? weekCommencing : startKey;
+        const to = weekEnd < endKey ? weekEnd : endKey;
+        if (from > to) return 0;
+        if (from === weekCommencing && to === weekEnd) return 1;
+
+        const total = workingDays(weekCommencing, weekEnd);
+        if (total === 0) {
+            return (Math.round((parseDate(to) - parseDate(from)) / DAY_MS) + 1) / 7;
+        }
+        return workingDays(from, to) / total;
+    }
+
+    return { bankHoliday, shutdown, isWorkingDay, workingDays, week, share };
+}
+
+/**
+ * Totals of the given fields over the weeks overlapping start..end, each week
+ * weighted by its share of the range, with weeks_recorded counting the weeks
+ * that contribute anything. Rows have week_commencing as a Date or string.
+ */
+function attributeTotals(rows, fields, startKey, endKey, calendar) {
+    const totals = { weeks_recorded: 0 };
+    for (const field of fields) totals[field] = 0;
+    for (const row of rows) {
+        const weight = calendar.share(toDateKey(row.week_commencing), startKey, endKey);
+        if (weight === 0) continue;
+        totals.weeks_recorded += 1;
+        for (const field of fields) {
+            const value = parseFloat(row[field]);
+            if (!isNaN(value)) totals[field] += value * weight;
+        }
+    }
+    return totals;
+}
+
+module.exports = {
+    isWeekStart,
+    normaliseWeekCommencing,
+    isoWeek,
+    isoYearWeeks,
+    easterSunday,
+    ukBankHolidays,
+    createCalendar,
+    attributeTotals
+};
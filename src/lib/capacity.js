@@ -0,0 +1,166 @@
+// Production capacity planning for Box Control Dashboard
+// A week's capacity is the hours the workshop has (headcount × hours per
+// person per week, scaled to the week's working days, less planned holidays)
+// divided by the standard hours a box takes. Each coming week is compared
+// with the production plan and sales demand, and each month with its box
+// target.
+
+const { parseDate, addDays, toDateString, toDateKey, formatUK } = require('./periods');
+const { toNumber } = require('./kpis');
+
+// Working days in a full week, which hours_per_week is given for
+const STANDARD_WORKING_DAYS = 5;
+
+// Capacity figures are fractional; compare them with a little slack
+const EPSILON = 1e-9;
+
+function formatBoxes(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Capacity settings in force. The model is configured once headcount, hours
+// per week and standard hours per box are all set.
+function capacityModel(settings) {
+    const model = {
+        headcount: toNumber(settings.headcount),
+        hoursPerWeek: toNumber(settings.hours_per_week),
+        standardHoursPerBox: toNumber(settings.standard_hours_per_box)
+    };
+    model.configured = model.headcount > 0 && model.hoursPerWeek > 0 && model.standardHoursPerBox > 0;
+    return model;
+}
+
+/**
+ * Hours and boxes one week can build.
+ *   model: capacityModel() for the settings in force that week
+ *   calendar: working-day calendar (see calendar.js)
+ *   holidays: planned_holidays rows ({ start_date, end_date, people })
+ * Holidays only take off working days, and never more people than the
+ * headcount. boxes is null when the model is not configured.
+ */
+function weekCapacity(weekCommencing, model, calendar, holidays = []) {
+    const weekEnd = toDateString(addDays(parseDate(weekCommencing), 6));
+    const workingDays = calendar.workingDays(weekCommencing, weekEnd);
+    const hoursPerDay = model.hoursPerWeek / STANDARD_WORKING_DAYS;
+    const grossHours = model.headcount * hoursPerDay * workingDays;
+
+    let holidayHours = 0;
+    for (const holiday of holidays) {
+        const start = toDateKey(holiday.start_date);
+        const end = toDateKey(holiday.end_date);
+        const from = start > weekCommencing ? start : weekCommencing;
+        const to = end < weekEnd ? end : weekEnd;
+        if (from > to) continue;
+        const people = Math.min(toNumber(holiday.people), model.headcount);
+        holidayHours += people * hoursPerDay * calendar.workingDays(from, to);
+    }
+    holidayHours = Math.min(holidayHours, grossHours);
+
+    const availableHours = grossHours - holidayHours;
+    return {
+        week_commencing: weekCommencing,
+        workingDays,
+        grossHours,
+        holidayHours,
+        availableHours,
+        boxes: model.configured ? availableHours / model.standardHoursPerBox : null
+    };
+}
+
+/**
+ * The coming weeks with their plan.
+ *   weeks: forward look weeks (see forecast.js combineWithPipeline), with
+ *     capacityModelled set where capacity came from weekCapacity()
+ *   capacities: weekCapacity() results keyed by week commencing
+ *   plan: production_plan rows
+ * planned is null for a week with nothing planned. A week's plan is over
+ * capacity when it plans more boxes than the week can build; a week with
+ * unmodelled capacity and no recent production to go on is not judged.
+ */
+function planWeeks(weeks, capacities, plan) {
+    const plannedByWeek = new Map(plan.map(row => [toDateKey(row.week_commencing), toNumber(row.planned_boxes)]));
+    return weeks.map(week => {
+        const planned = plannedByWeek.has(week.week_commencing) ? plannedByWeek.get(week.week_commencing) : null;
+        const judged = week.capacityModelled || week.capacity > 0;
+        return {
+            ...week,
+            hours: capacities.get(week.week_commencing) || null,
+            planned,
+            planOverCapacity: judged && planned !== null && planned > week.capacity + EPSILON
+        };
+    });
+}
+
+/**
+ * Whether each month's box target can still be reached: the boxes already
+ * produced in the month plus the capacity of its remaining weeks, a week
+ * split by a month end counting by its share of working days. Only months
+ * the weeks run to the end of are judged.
+ *   months: [{ label, start, end, target, produced }]
+ *   weeks: planWeeks() rows
+ * The plan falls short when the month has planned weeks and the boxes
+ * produced plus planned are under target.
+ */
+function monthOutlook(months, weeks, calendar) {
+    if (weeks.length === 0) return [];
+    const lastDay = toDateString(addDays(parseDate(weeks[weeks.length - 1].week_commencing), 6));
+
+    return months.filter(month => month.end <= lastDay).map(month => {
+        const inMonth = weeks
+            .map(week => ({ week, share: calendar.share(week.week_commencing, month.start, month.end) }))
+            .filter(({ share }) => share > 0);
+        const sum = field => inMonth.reduce((total, { week, share }) => total + toNumber(week[field]) * share, 0);
+
+        const target = toNumber(month.target);
+        const produced = toNumber(month.produced);
+        const capacity = produced + sum('capacity');
+        const planned = produced + sum('planned');
+        const weeksPlanned = inMonth.filter(({ week }) => week.planned !== null).length;
+        return {
+            label: month.label,
+            start: month.start,
+            end: month.end,
+            target,
+            produced,
+            capacity,
+            planned,
+            weeksPlanned,
+            demand: sum('demand'),
+            reachable: target <= 0 || capacity + EPSILON >= target,
+            planShortfall: target > 0 && weeksPlanned > 0 && planned + EPSILON < target
+        };
+    });
+}
+
+// Warnings for the Capacity page: weeks with demand or a plan over capacity,
+// and months whose box target is out of reach or not covered by the plan
+function capacityWarnings(weeks, months) {
+    const warnings = [];
+    for (const week of weeks) {
+        const label = `Week commencing ${formatUK(parseDate(week.week_commencing))}`;
+        if (week.overCapacity) {
+            warnings.push(`${label}: demand of ${formatBoxes(week.demand)} boxes is over capacity of ${formatBoxes(week.capacity)}`);
+        }
+        if (week.planOverCapacity) {
+            warnings.push(`${label}: ${formatBoxes(week.planned)} boxes planned, over capacity of ${formatBoxes(week.capacity)}`);
+        }
+    }
+    for (const month of months) {
+        if (!month.reachable) {
+            warnings.push(`${month.label}: the target of ${formatBoxes(month.target)} boxes is out of reach, ` +
+                `with ${formatBoxes(month.produced)} produced and capacity for ${formatBoxes(month.capacity - month.produced)} more`);
+        } else if (month.planShortfall) {
+            warnings.push(`${month.label}: the plan reaches ${formatBoxes(month.planned)} of the ${formatBoxes(month.target)} box target`);
+        }
+    }
+    return warnings;
+}
+
+module.exports = {
+    STANDARD_WORKING_DAYS,
+    capacityModel,
+    weekCapacity,
+    planWeeks,
+    monthOutlook,
+    capacityWarnings
+};
@@ -0,0 +1,197 @@
+// Server-side SVG line charts for Box Control Dashboard
+// Renders a KPI series with an optional target line, shaded RAG bands and a
+// second series to compare against.
+// No client-side library is needed, so charts work offline and print cleanly.
+
+const DEFAULT_WIDTH = 560;
+const DEFAULT_HEIGHT = 240;
+const MARGIN = { top: 16, right: 16, bottom: 36, left: 64 };
+const MAX_X_LABELS = 8;
+const VALUE_COLOUR = '#3498db';
+const COMPARE_COLOUR = '#e67e22';
+
+const BAND_COLOURS = {
+    red: 'rgba(231, 76, 60, 0.10)',
+    amber: 'rgba(243, 156, 18, 0.12)',
+    green: 'rgba(39, 174, 96, 0.10)'
+};
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatValue(value, format) {
+    if (value === null || value === undefined) return '–';
+    switch (format) {
+        case 'gbp':
+            return '£' + value.toLocaleString('en-GB', { maximumFractionDigits: 0 });
+        case 'pct':
+            return (value * 100).toFixed(1) + '%';
+        case 'hours':
+            return value.toFixed(2) + ' hrs';
+        default:
+            return value.toLocaleString('en-GB', { maximumFractionDigits: 1 });
+    }
+}
+
+function niceMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    for (const step of [1, 2, 2.5, 5, 10]) {
+        if (step * magnitude >= value) return step * magnitude;
+    }
+    return 10 * magnitude;
+}
+
+/**
+ * RAG bands for one point as [{ colour, from, to }] in value space.
+ * thresholds: { red, green, lowerIsBetter } with the same meaning as
+ * getRAGStatus — for higher-is-better KPIs values below red are red and
+ * at/above green are green; for lower-is-better KPIs values above red are red
+ * and at/below green are green.
+ */
+function bandsFor(thresholds, yMax) {
+    if (!thresholds) return [];
+    const lowerIsBetter = thresholds.lowerIsBetter;
+    const red = Math.min(Math.max(thresholds.red, 0), yMax);
+    const green = Math.min(Math.max(thresholds.green, 0), yMax);
+    if (lowerIsBetter) {
+        return [
+            { colour: 'green', from: 0, to: green },
+            { colour: 'amber', from: green, to: red },
+            { colour: 'red', from: red, to: yMax }
+        ];
+    }
+    return [
+        { colour: 'red', from: 0, to: red },
+        { colour: 'amber', from: red, to: green },
+        { colour: 'green', from: green, to: yMax }
+    ];
+}
+
+// Path through the points' values for one field, broken where data is missing
+function linePath(points, field, x, y) {
+    let path = '';
+    let penDown = false;
+    points.forEach((point, index) => {
+        if (point[field] === null || point[field] === undefined) {
+            penDown = false;
+            return;
+        }
+        path += `${penDown ? 'L' : 'M'}${x(index).toFixed(1)},${y(point[field]).toFixed(1)} `;
+        penDown = true;
+    });
+    return path.trim();
+}
+
+/**
+ * Render a line chart as an SVG string.
+ *   points: [{ label, value, target?, thresholds?, compare? }] in chronological
+ *           order; value may be null for a period with no data (drawn as a gap)
+ *   format: 'gbp' | 'pct' | 'hours' | 'number'
+ *   legend: { value, compare } names for the two series, when compare is used
+ */
+function renderLineChart({ title, points, format = 'number', legend = null, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT }) {
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+
+    const candidates = [];
+    for (const point of points) {
+        if (point.value !== null && point.value !== undefined) candidates.push(point.value);
+        if (point.compare !== null && point.compare !== undefined) candidates.push(point.compare);
+        if (point.target !== null && point.target !== undefined) candidates.push(point.target);
+        if (point.thresholds) candidates.push(point.thresholds.red, point.thresholds.green);
+    }
+    const yMax = niceMax(Math.max(0, ...candidates) * 1.1);
+
+    const slot = points.length > 0 ? plotWidth / points.length : plotWidth;
+    const x = index => MARGIN.left + slot * index + slot / 2;
+    const y = value => MARGIN.top + plotHeight - (value / yMax) * plotHeight;
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="trend-chart" role="img" aria-label="${escapeXml(title)}">`);
+    parts.push(`<title>${escapeXml(title)}</title>`);
+
+    // RAG bands, one column per point so they follow target changes over time
+    points.forEach((point, index) => {
+        for (const band of bandsFor(point.thresholds, yMax)) {
+            if (band.to <= band.from) continue;
+            const top = y(band.to);
+            parts.push(`<rect x="${(MARGIN.left + slot * index).toFixed(1)}" y="${top.toFixed(1)}" width="${slot.toFixed(1)}" height="${(y(band.from) - top).toFixed(1)}" fill="${BAND_COLOURS[band.colour]}"/>`);
+        }
+    });
+
+    // Gridlines and y-axis labels
+    for (let i = 0; i <= 4; i++) {
+        const value = (yMax / 4) * i;
+        const gy = y(value).toFixed(1);
+        parts.push(`<line x1="${MARGIN.left}" y1="${gy}" x2="${width - MARGIN.right}" y2="${gy}" stroke="#ddd" stroke-width="1"/>`);
+        parts.push(`<text x="${MARGIN.left - 6}" y="${gy}" font-size="10" fill="#666" text-anchor="end" dominant-baseline="middle">${escapeXml(formatValue(value, format))}</text>`);
+    }
+
+    // X-axis labels, thinned out so they don't overlap
+    const labelEvery = Math.max(1, Math.ceil(points.length / MAX_X_LABELS));
+    points.forEach((point, index) => {
+        if (index % labelEvery !== 0 && index !== points.length - 1) return;
+        parts.push(`<text x="${x(index).toFixed(1)}" y="${height - MARGIN.bottom + 16}" font-size="10" fill="#666" text-anchor="middle">${escapeXml(point.label)}</text>`);
+    });
+
+    // Target line (stepped, since targets are effective-dated)
+    const targetSegments = [];
+    points.forEach((point, index) => {
+        if (point.target === null || point.target === undefined) return;
+        const left = MARGIN.left + slot * index;
+        targetSegments.push(`M${left.toFixed(1)},${y(point.target).toFixed(1)} h${slot.toFixed(1)}`);
+    });
+    if (targetSegments.length > 0) {
+        parts.push(`<path d="${targetSegments.join(' ')}" fill="none" stroke="#2c3e50" stroke-width="1.5" stroke-dasharray="6 4"/>`);
+    }
+
+    // Comparison line, under the value line
+    const comparePath = linePath(points, 'compare', x, y);
+    if (comparePath) {
+        parts.push(`<path d="${comparePath}" fill="none" stroke="${COMPARE_COLOUR}" stroke-width="2"/>`);
+    }
+
+    // Value line, broken where data is missing
+    const path = linePath(points, 'value', x, y);
+    if (path) {
+        parts.push(`<path d="${path}" fill="none" stroke="${VALUE_COLOUR}" stroke-width="2"/>`);
+    }
+    points.forEach((point, index) => {
+        if (point.value === null || point.value === undefined) return;
+        const tooltip = `${point.label}: ${legend ? legend.value + ' ' : ''}${formatValue(point.value, format)}` +
+            (point.target !== null && point.target !== undefined ? ` (target ${formatValue(point.target, format)})` : '') +
+            (legend && point.compare !== null && point.compare !== undefined ? `, ${legend.compare} ${formatValue(point.compare, format)}` : '');
+        parts.push(`<circle cx="${x(index).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3" fill="${VALUE_COLOUR}"><title>${escapeXml(tooltip)}</title></circle>`);
+    });
+
+    // Legend, top left inside the plot
+    if (legend) {
+        [[legend.value, VALUE_COLOUR], [legend.compare, COMPARE_COLOUR]].forEach(([name, colour], index) => {
+            const ly = MARGIN.top + 10 + index * 14;
+            parts.push(`<line x1="${MARGIN.left + 8}" y1="${ly}" x2="${MARGIN.left + 24}" y2="${ly}" stroke="${colour}" stroke-width="2"/>`);
+            parts.push(`<text x="${MARGIN.left + 28}" y="${ly}" font-size="10" fill="#333" dominant-baseline="middle">${escapeXml(name)}</text>`);
+        });
+    }
+
+    // Axes
+    parts.push(`<line x1="${MARGIN.left}" y1="${MARGIN.top}" x2="${MARGIN.left}" y2="${height - MARGIN.bottom}" stroke="#999"/>`);
+    parts.push(`<line x1="${MARGIN.left}" y1="${height - MARGIN.bottom}" x2="${width - MARGIN.right}" y2="${height - MARGIN.bottom}" stroke="#999"/>`);
+
+    if (points.length === 0) {
+        parts.push(`<text x="${width / 2}" y="${height / 2}" font-size="12" fill="#999" text-anchor="middle">No data for this range</text>`);
+    }
+
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+module.exports = {
+    renderLineChart,
+    formatValue
+};
@@ -0,0 +1,53 @@
+// Data completeness for Box Control Dashboard
+// Which weeks should have sales and production figures by now, and which of
+// them are missing. A week is due once it has ended (from the Monday after
+// it); weeks with no working days, such as a factory shutdown, are never due.
+// Dates are YYYY-MM-DD strings, as in periods.js.
+
+const { parseDate, addDays, toDateString, toDateKey, mondayOf } = require('./periods');
+
+const TABLES = ['sales', 'production'];
+
+// Working weeks commencing from start to end (inclusive) that have ended by today
+function expectedWeeks(startKey, endKey, todayKey, calendar) {
+    const weeks = [];
+    const lastDue = toDateString(addDays(parseDate(mondayOf(todayKey)), -7));
+    const last = endKey < lastDue ? endKey : lastDue;
+    for (let week = mondayOf(startKey); week <= last; week = toDateString(addDays(parseDate(week), 7))) {
+        if (week >= startKey && !calendar.week(week).non_working) weeks.push(week);
+    }
+    return weeks;
+}
+
+// Expected weeks with no row among the recorded weeks, oldest first
+function missingWeeks(expected, recordedRows) {
+    const recorded = new Set(recordedRows.map(row => toDateKey(row.week_commencing)));
+    return expected.filter(week => !recorded.has(week));
+}
+
+/**
+ * Completeness of the weeks commencing from start to end:
+ * { expected, sales, production, complete }, where sales and production list
+ * the missing weeks. salesRows / productionRows are the weeks recorded;
+ * firstWeeks ({ sales, production }) the first week ever entered in each
+ * table, before which nothing counts as missing (nothing at all when null).
+ */
+function checkCompleteness({ startKey, endKey, todayKey, calendar, salesRows, productionRows, firstWeeks }) {
+    const expected = expectedWeeks(startKey, endKey, todayKey, calendar);
+    const since = first => week => first !== null && week >= first;
+    const sales = missingWeeks(expected, salesRows).filter(since(firstWeeks.sales));
+    const production = missingWeeks(expected, productionRows).filter(since(firstWeeks.production));
+    return {
+        expected: expected.length,
+        sales,
+        production,
+        complete: sales.length === 0 && production.length === 0
+    };
+}
+
+module.exports = {
+    TABLES,
+    expectedWeeks,
+    missingWeeks,
+    checkCompleteness
+};
@@ -0,0 +1,95 @@
+// Production costing for Box Control Dashboard
+// A production week's actual cost is its material cost plus its labour and
+// rework hours at the labour rate; labour hours are entered excluding rework,
+// so each hour is costed once. Its standard cost is what the boxes built
+// should have cost: each product's standard cost from the catalogue for the
+// boxes split by product, and the standard cost per box from settings for
+// the rest. Variance is actual − standard, so a positive variance is money
+// lost.
+
+const { toNumber, ratio } = require('./kpis');
+const { attributeTotals } = require('./calendar');
+
+// Figures summed over a period's costed weeks
+const COST_FIELDS = [
+    'boxes_costed', 'material_cost', 'labour_cost', 'rework_cost', 'actual_cost', 'standard_cost', 'variance'
+];
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Weeks without material cost or labour hours were not costed
+function hasActualCosts(week) {
+    return !isBlank(week.material_cost) || !isBlank(week.labour_hours);
+}
+
+/**
+ * Actual and standard cost of one production week.
+ *   week: a production_weekly row (labour_hours excludes rework_hours)
+ *   breakdown: its production_weekly_products rows
+ *   products: the catalogue (for standard costs by product id)
+ *   settings: labour_rate and standard_cost_per_box in force for the week
+ * Returns null for a week with no actual costs recorded.
+ */
+function weekCost(week, breakdown, products, settings) {
+    if (!hasActualCosts(week)) return null;
+
+    const labourRate = toNumber(settings.labour_rate);
+    const standardByProduct = new Map(products.map(product => [String(product.id), toNumber(product.standard_cost)]));
+    const boxesProduced = toNumber(week.boxes_produced);
+
+    let assignedBoxes = 0;
+    let standardCost = 0;
+    for (const row of breakdown) {
+        const boxes = toNumber(row.boxes_produced);
+        assignedBoxes += boxes;
+        standardCost += boxes * (standardByProduct.get(String(row.product_id)) || 0);
+    }
+    standardCost += Math.max(boxesProduced - assignedBoxes, 0) * toNumber(settings.standard_cost_per_box);
+
+    const materialCost = toNumber(week.material_cost);
+    const labourCost = toNumber(week.labour_hours) * labourRate;
+    const reworkCost = toNumber(week.rework_hours) * labourRate;
+    const actualCost = materialCost + labourCost + reworkCost;
+
+    return {
+        week_commencing: week.week_commencing,
+        boxes_costed: boxesProduced,
+        material_cost: materialCost,
+        labour_cost: labourCost,
+        rework_cost: reworkCost,
+        actual_cost: actualCost,
+        standard_cost: standardCost,
+        variance: actualCost - standardCost
+    };
+}
+
+/**
+ * Cost variance over a date range from weekCost() results, a week that runs
+ * over either end of the range counting by its share of working days (see
+ * calendar.js). variancePerBox and variancePct (of standard cost) are null
+ * when nothing was costed.
+ */
+function periodCosts(weekCosts, startKey, endKey, calendar) {
+    const totals = attributeTotals(weekCosts.filter(Boolean), COST_FIELDS, startKey, endKey, calendar);
+    return {
+        weeksCosted: totals.weeks_recorded,
+        boxesCosted: totals.boxes_costed,
+        materialCost: totals.material_cost,
+        labourCost: totals.labour_cost,
+        reworkCost: totals.rework_cost,
+        actualCost: totals.actual_cost,
+        standardCost: totals.standard_cost,
+        variance: totals.variance,
+        variancePerBox: ratio(totals.variance, totals.boxes_costed),
+        variancePct: ratio(totals.variance, totals.standard_cost)
+    };
+}
+
+module.exports = {
+    COST_FIELDS,
+    hasActualCosts,
+    weekCost,
+    periodCosts
+};
@@ -0,0 +1,53 @@
+// Credentials for Box Control Dashboard
+// Username and password rules, and password hashing with Node's built-in
+// scrypt so no native modules are needed. Hashes are stored as
+// "scrypt$<salt>$<key>" (hex) so the format can change later.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9._-]{2,50}$/;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(String(password), salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    const [scheme, saltHex, keyHex] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Usernames are stored lower-case; returns a user-facing message or null
+function checkUsername(username) {
+    if (!USERNAME_PATTERN.test(username)) {
+        return 'Username must be 2–50 letters, numbers, dots, dashes or underscores';
+    }
+    return null;
+}
+
+// User-facing message if a new password is unacceptable, otherwise null
+function checkPasswordStrength(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    checkUsername,
+    checkPasswordStrength
+};
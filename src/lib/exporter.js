@@ -0,0 +1,153 @@
+// Data export for Box Control Dashboard
+// Turns a dataset ({ name, title, range, columns, rows }) into CSV, XLSX or
+// JSON. Column formats keep labelling consistent across the three: money is
+// GBP ex-VAT to 2 decimal places, percentages are shown as percentages in CSV
+// and XLSX and kept as fractions (0.8 = 80%) in JSON.
+
+const ExcelJS = require('exceljs');
+const { toDateKey } = require('./periods');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Number formats for XLSX cells
+const XLSX_NUMBER_FORMATS = {
+    gbp: '"£"#,##0.00',
+    pct: '0.0%',
+    int: '#,##0',
+    number: '#,##0.00',
+    hours: '0.00',
+    date: 'dd/mm/yyyy'
+};
+
+// Header label with units, e.g. "Box Revenue (£, ex-VAT)"
+function columnHeading(column) {
+    if (column.format === 'gbp') return `${column.label} (£, ex-VAT)`;
+    if (column.format === 'pct') return column.label.endsWith('%') ? column.label : `${column.label} (%)`;
+    if (column.format === 'hours') return `${column.label} (hrs)`;
+    return column.label;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+// Plain value for JSON: numbers as numbers, dates as YYYY-MM-DD
+function plainValue(value, format) {
+    if (value === null || value === undefined) return null;
+    if (format === 'date') return toDateKey(value);
+    if (format === 'datetime') return value instanceof Date ? value.toISOString() : String(value);
+    if (['gbp', 'pct', 'int', 'number', 'hours'].includes(format)) {
+        const number = toNumber(value);
+        if (number === null) return null;
+        return format === 'gbp' ? Math.round(number * 100) / 100 : number;
+    }
+    return value;
+}
+
+// Text value for CSV, unformatted so spreadsheets can still sum the columns
+function csvValue(value, format) {
+    const plain = plainValue(value, format);
+    if (plain === null) return '';
+    switch (format) {
+        case 'gbp':
+            return plain.toFixed(2);
+        case 'pct':
+            return (plain * 100).toFixed(1);
+        case 'hours':
+            return plain.toFixed(2);
+        case 'number':
+            return String(Math.round(plain * 100) / 100);
+        default:
+            return String(plain);
+    }
+}
+
+function csvEscape(text) {
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCsv(dataset) {
+    const lines = [dataset.columns.map(column => csvEscape(columnHeading(column))).join(',')];
+    for (const row of dataset.rows) {
+        lines.push(dataset.columns.map(column => csvEscape(csvValue(row[column.key], column.format))).join(','));
+    }
+    // BOM so Excel opens the £ sign correctly
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function toJson(dataset) {
+    return {
+        dataset: dataset.name,
+        title: dataset.title,
+        range: dataset.range,
+        currency: 'GBP',
+        amounts: 'ex-VAT',
+        percentages: 'fraction',
+        columns: dataset.columns.map(column => ({ key: column.key, label: columnHeading(column), format: column.format || 'text' })),
+        rows: dataset.rows.map(row => {
+            const out = {};
+            for (const column of dataset.columns) {
+                out[column.key] = plainValue(row[column.key], column.format);
+            }
+            return out;
+        })
+    };
+}
+
+async function toXlsx(dataset) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Box Control Dashboard';
+    const sheet = workbook.addWorksheet(dataset.title.slice(0, 31));
+
+    sheet.columns = dataset.columns.map(column => ({
+        header: columnHeading(column),
+        key: column.key,
+        width: Math.max(12, columnHeading(column).length + 2),
+        style: XLSX_NUMBER_FORMATS[column.format] ? { numFmt: XLSX_NUMBER_FORMATS[column.format] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    for (const row of dataset.rows) {
+        const values = {};
+        for (const column of dataset.columns) {
+            const plain = plainValue(row[column.key], column.format);
+            values[column.key] = column.format === 'date' && plain ? new Date(plain + 'T00:00:00Z') : plain;
+        }
+        sheet.addRow(values);
+    }
+
+    return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Render a dataset in the requested format.
+ * Returns { body, contentType, filename }.
+ */
+async function renderExport(dataset, format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+    const rangePart = dataset.range ? `-${dataset.range.start}-to-${dataset.range.end}` : '';
+    const filename = `box-control-${dataset.name}${rangePart}.${spec.extension}`;
+
+    let body;
+    if (format === 'csv') body = toCsv(dataset);
+    else if (format === 'xlsx') body = Buffer.from(await toXlsx(dataset));
+    else body = JSON.stringify(toJson(dataset), null, 2);
+
+    return { body, contentType: spec.contentType, filename };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    columnHeading,
+    renderExport
+};
@@ -0,0 +1,201 @@
+// Sales forecasting for Box Control Dashboard
+// Projects the coming weeks of boxes, revenue and contribution from the
+// trailing run-rate, adjusted for month-of-year seasonality found in history,
+// and works out where the current month is likely to land.
+
+const { MONTH_NAMES, parseDate, addDays, mondayOf, toDateString, toDateKey } = require('./periods');
+const { salesRevenue, grossMargin, resolveRagThresholds, ragBands, getRAGStatus } = require('./kpis');
+
+const MIN_HORIZON_WEEKS = 4;
+const MAX_HORIZON_WEEKS = 13;
+const RUN_RATE_WEEKS = 8;
+
+// Seasonality needs at least this many weeks of history for a month to count,
+// and indices are clamped so one unusual year can't swing the forecast wildly
+const MIN_WEEKS_PER_SEASONAL_MONTH = 3;
+const MIN_HISTORY_WEEKS_FOR_SEASONALITY = 52;
+const SEASONAL_INDEX_RANGE = { min: 0.5, max: 1.5 };
+
+function clampHorizon(weeks) {
+    const parsed = parseInt(weeks, 10);
+    if (isNaN(parsed)) return MIN_HORIZON_WEEKS;
+    return Math.min(Math.max(parsed, MIN_HORIZON_WEEKS), MAX_HORIZON_WEEKS);
+}
+
+function monthIndexOf(dateKey) {
+    return parseInt(dateKey.slice(5, 7), 10) - 1;
+}
+
+/**
+ * Month-of-year seasonal indices for boxes sold: each month's average weekly
+ * boxes divided by the overall weekly average. Months without enough history
+ * get an index of 1 (no adjustment).
+ */
+function seasonalIndices(history) {
+    const indices = new Array(12).fill(1);
+    if (history.length < MIN_HISTORY_WEEKS_FOR_SEASONALITY) {
+        return { applied: false, indices };
+    }
+
+    const overall = history.reduce((sum, w) => sum + (w.boxes_sold || 0), 0) / history.length;
+    if (overall <= 0) return { applied: false, indices };
+
+    const byMonth = Array.from({ length: 12 }, () => []);
+    for (const week of history) {
+        byMonth[monthIndexOf(toDateKey(week.week_commencing))].push(week.boxes_sold || 0);
+    }
+
+    byMonth.forEach((weeks, month) => {
+        if (weeks.length < MIN_WEEKS_PER_SEASONAL_MONTH) return;
+        const average = weeks.reduce((sum, boxes) => sum + boxes, 0) / weeks.length;
+        indices[month] = Math.min(Math.max(average / overall, SEASONAL_INDEX_RANGE.min), SEASONAL_INDEX_RANGE.max);
+    });
+
+    return { applied: true, indices };
+}
+
+/**
+ * Build a forecast.
+ *   history: recorded sales_weekly rows (any order), ideally two years or more
+ *   settings: targets in force for the current month
+ *   monthToDate: { contribution } actual contribution recorded so far this month
+ *   horizonWeeks: 4–13
+ *   today: Date
+ */
+function buildForecast({ history, settings, monthToDate, horizonWeeks, today = new Date() }) {
+    const horizon = clampHorizon(horizonWeeks);
+    const grossMarginPct = grossMargin(settings);
+
+    const sorted = [...history].sort((a, b) => toDateKey(a.week_commencing).localeCompare(toDateKey(b.week_commencing)));
+    const trailing = sorted.slice(-RUN_RATE_WEEKS);
+    const seasonality = seasonalIndices(sorted);
+
+    // Trailing run-rate, de-seasonalised so it can be re-applied to future months
+    const trailingIndex = trailing.length > 0
+        ? trailing.reduce((sum, w) => sum + seasonality.indices[monthIndexOf(toDateKey(w.week_commencing))], 0) / trailing.length
+        : 1;
+    const trailingBoxes = trailing.reduce((sum, w) => sum + (w.boxes_sold || 0), 0);
+    const trailingInstalls = trailing.reduce((sum, w) => sum + (w.installs_sold || 0), 0);
+    const trailingRevenue = trailing.reduce((sum, w) => sum + salesRevenue(w), 0);
+
+    const runRate = {
+        weeksUsed: trailing.length,
+        boxesPerWeek: trailing.length > 0 ? trailingBoxes / trailing.length : 0,
+        revenuePerWeek: trailing.length > 0 ? trailingRevenue / trailing.length : 0,
+        revenuePerBox: trailingBoxes > 0 ? trailingRevenue / trailingBoxes : 0,
+        installRate: trailingBoxes > 0 ? trailingInstalls / trailingBoxes : 0
+    };
+    const baseBoxesPerWeek = trailingIndex > 0 ? runRate.boxesPerWeek / trailingIndex : runRate.boxesPerWeek;
+
+    // Forecast from the current week, or the week after the latest actuals if later
+    const todayKey = toDateString(new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate())));
+    let firstWeek = mondayOf(todayKey);
+    if (sorted.length > 0) {
+        const afterLatest = toDateString(addDays(parseDate(mondayOf(toDateKey(sorted[sorted.length - 1].week_commencing))), 7));
+        if (afterLatest > firstWeek) firstWeek = afterLatest;
+    }
+
+    const weeks = [];
+    for (let i = 0; i < horizon; i++) {
+        const weekCommencing = toDateString(addDays(parseDate(firstWeek), 7 * i));
+        const seasonalIndex = seasonality.indices[monthIndexOf(weekCommencing)];
+        const boxes = baseBoxesPerWeek * seasonalIndex;
+        const revenue = boxes * runRate.revenuePerBox;
+        weeks.push({
+            week_commencing: weekCommencing,
+            seasonalIndex,
+            boxes,
+            installs: boxes * runRate.installRate,
+            revenue,
+            contribution: revenue * grossMarginPct
+        });
+    }
+
+    // Month-end projection for the month containing today
+    const monthKey = todayKey.slice(0, 7);
+    const remainingWeeks = weeks.filter(w => w.week_commencing.slice(0, 7) === monthKey);
+    const actualContribution = parseFloat(monthToDate.contribution || 0);
+    const projectedRemaining = remainingWeeks.reduce((sum, w) => sum + w.contribution, 0);
+    const projectedContribution = actualContribution + projectedRemaining;
+    const survival = parseFloat(settings.survival_contribution);
+    const target = parseFloat(settings.monthly_contribution_target);
+    const contributionPerBox = runRate.revenuePerBox * grossMarginPct;
+
+    // Boxes per remaining week needed to reach a monthly figure
+    const boxesNeeded = goal => {
+        const shortfall = goal - actualContribution;
+        if (shortfall <= 0) return 0;
+        if (remainingWeeks.length === 0 || contributionPerBox <= 0) return null;
+        return Math.ceil(shortfall / contributionPerBox / remainingWeeks.length);
+    };
+
+    // Banded like the contribution KPI, over the month's survival and target;
+    // green when they are not set, as for the dashboard KPIs
+    const thresholds = ragBands(resolveRagThresholds(settings).contribution, { target, survival });
+    const rag = thresholds ? getRAGStatus(projectedContribution, thresholds) : 'green';
+
+    return {
+        horizon,
+        runRate,
+        seasonality,
+        weeks,
+        monthEnd: {
+            label: `${MONTH_NAMES[monthIndexOf(todayKey)]} ${todayKey.slice(0, 4)}`,
+            actualContribution,
+            projectedRemaining,
+            projectedContribution,
+            remainingWeeks: remainingWeeks.length,
+            survival,
+            target,
+            rag,
+            contributionPerBox,
+            boxesNeededForTarget: boxesNeeded(target),
+            boxesNeededForSurvival: boxesNeeded(survival)
+        }
+    };
+}
+
+/**
+ * Combine forecast weeks with the order pipeline and production capacity.
+ * Demand for a week is the larger of the forecast and the probability-weighted
+ * pipeline: booked orders are part of what the forecast expects, so adding the
+ * two would double count, but a week with more booked than the run-rate
+ * suggests should still show the higher figure.
+ * capacity is boxes per week, or a function of the week commencing date
+ * giving each week's own.
+ */
+function combineWithPipeline(weeks, pipelineOrders, capacity) {
+    const byWeek = new Map();
+    for (const order of pipelineOrders) {
+        const week = mondayOf(toDateKey(order.week_commencing));
+        if (!byWeek.has(week)) byWeek.set(week, { orders: 0, boxes: 0, bookedBoxes: 0, weightedBoxes: 0 });
+        const totals = byWeek.get(week);
+        totals.orders += 1;
+        totals.boxes += order.boxes;
+        totals.weightedBoxes += order.boxes * parseFloat(order.probability);
+        if (order.stage === 'booked') totals.bookedBoxes += order.boxes;
+    }
+
+    return weeks.map(week => {
+        const pipeline = byWeek.get(week.week_commencing) || { orders: 0, boxes: 0, bookedBoxes: 0, weightedBoxes: 0 };
+        const demand = Math.max(week.boxes, pipeline.weightedBoxes);
+        const weekCapacity = typeof capacity === 'function' ? capacity(week.week_commencing) : capacity;
+        return {
+            ...week,
+            pipeline,
+            demand,
+            capacity: weekCapacity,
+            overCapacity: weekCapacity > 0 && demand > weekCapacity
+        };
+    });
+}
+
+module.exports = {
+    MIN_HORIZON_WEEKS,
+    MAX_HORIZON_WEEKS,
+    RUN_RATE_WEEKS,
+    clampHorizon,
+    seasonalIndices,
+    buildForecast,
+    combineWithPipeline
+};
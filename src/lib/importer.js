@@ -0,0 +1,287 @@
+// Spreadsheet import for Box Control Dashboard
+// Reads CSV or XLSX files of weekly sales or production figures, maps their
+// columns onto our fields and builds a dry-run preview using the same
+// validation as the entry forms, so nothing is written until it is confirmed.
+
+const ExcelJS = require('exceljs');
+const { validateSalesWeek, validateProductionWeek } = require('./validation');
+const { toDateString, toDateKey } = require('./periods');
+
+// Excel stores dates as days since 1899-12-30
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const IMPORT_TABLES = {
+    sales: {
+        label: 'Sales',
+        returnPath: '/sales',
+        validate: validateSalesWeek,
+        columns: [
+            { field: 'week_commencing', label: 'Week Commencing', type: 'date', required: true, aliases: ['week', 'w/c', 'wc', 'week beginning', 'date'] },
+            { field: 'boxes_sold', label: 'Boxes Sold', type: 'number', required: true, aliases: ['boxes'] },
+            { field: 'installs_sold', label: 'Installs Sold', type: 'number', required: true, aliases: ['installs'] },
+            { field: 'box_revenue', label: 'Box Revenue', type: 'number', aliases: ['box sales'] },
+            { field: 'extras_revenue', label: 'Extras Revenue', type: 'number', aliases: ['extras'] },
+            { field: 'install_revenue', label: 'Install Revenue', type: 'number', aliases: ['install sales'] },
+            { field: 'notes', label: 'Notes', type: 'text', aliases: ['comments'] }
+        ]
+    },
+    production: {
+        label: 'Production',
+        returnPath: '/production',
+        validate: validateProductionWeek,
+        columns: [
+            { field: 'week_commencing', label: 'Week Commencing', type: 'date', required: true, aliases: ['week', 'w/c', 'wc', 'week beginning', 'date'] },
+            { field: 'boxes_produced', label: 'Boxes Produced', type: 'number', required: true, aliases: ['boxes', 'produced'] },
+            { field: 'installs_completed', label: 'Installs Completed', type: 'number', required: true, aliases: ['installs'] },
+            { field: 'boxes_over_cost', label: 'Boxes Over Cost', type: 'number', aliases: ['over cost'] },
+            { field: 'rework_hours', label: 'Rework Hours', type: 'number', aliases: ['rework'] },
+            { field: 'material_cost', label: 'Material Cost', type: 'number', aliases: ['materials'] },
+            { field: 'labour_hours', label: 'Labour Hours', type: 'number', aliases: ['labour', 'labor hours'] },
+            { field: 'boxes_inspected', label: 'Boxes Inspected', type: 'number', aliases: ['inspected'] },
+            { field: 'boxes_passed', label: 'Boxes Passed', type: 'number', aliases: ['passed', 'passed first time'] },
+            { field: 'right_first_time_pct', label: 'Right First Time %', type: 'number', aliases: ['right first time', 'rft', 'rft %'] },
+            { field: 'notes', label: 'Notes', type: 'text', aliases: ['comments'] }
+        ]
+    }
+};
+
+function normaliseHeader(value) {
+    return String(value || '').toLowerCase().replace(/\(.*?\)/g, '').replace(/[_\s]+/g, ' ').trim();
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, doubled quotes, embedded newlines and a UTF-8 BOM.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Plain value for an ExcelJS cell (formula results, rich text and hyperlinks unwrapped)
+function cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return toDateString(value);
+    if (typeof value === 'object') {
+        if ('result' in value) return cellValue(value.result);
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if ('text' in value) return String(value.text);
+        return '';
+    }
+    return value;
+}
+
+async function readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const values = [];
+        for (let col = 1; col <= sheet.columnCount; col++) {
+            values.push(cellValue(row.getCell(col).value));
+        }
+        rows[rowNumber - 1] = values;
+    });
+    return Array.from(rows, row => row || []);
+}
+
+/**
+ * Read an uploaded CSV or XLSX file.
+ * Returns { headers, rows } where the first non-empty row is the header row
+ * and each row carries its spreadsheet line number for error reporting.
+ */
+async function readSpreadsheet(buffer, filename) {
+    const extension = String(filename || '').toLowerCase().split('.').pop();
+    let grid;
+    if (extension === 'xlsx') {
+        grid = await readXlsx(buffer);
+    } else if (extension === 'csv') {
+        grid = parseCsv(buffer.toString('utf8'));
+    } else {
+        throw new Error('Please upload a .csv or .xlsx file');
+    }
+
+    const isBlank = row => row.every(value => String(value).trim() === '');
+    const headerIndex = grid.findIndex(row => !isBlank(row));
+    if (headerIndex === -1) {
+        throw new Error('The file is empty');
+    }
+
+    const headers = grid[headerIndex].map(value => String(value).trim());
+    const rows = [];
+    for (let i = headerIndex + 1; i < grid.length; i++) {
+        if (isBlank(grid[i])) continue;
+        rows.push({ line: i + 1, values: grid[i].map(value => (typeof value === 'number' ? value : String(value).trim())) });
+    }
+    return { headers, rows };
+}
+
+// Best guess at which header holds each field, matched on label, field name or alias
+function guessMapping(headers, tableKey) {
+    const normalised = headers.map(normaliseHeader);
+    const mapping = {};
+    const used = new Set();
+    for (const column of IMPORT_TABLES[tableKey].columns) {
+        const candidates = [column.label, column.field, ...column.aliases].map(normaliseHeader);
+        const index = normalised.findIndex((header, i) => !used.has(i) && candidates.includes(header));
+        if (index !== -1) {
+            mapping[column.field] = index;
+            used.add(index);
+        }
+    }
+    return mapping;
+}
+
+// Dates as YYYY-MM-DD from ISO text, UK dd/mm/yyyy text or an Excel serial number
+function normaliseDate(value) {
+    if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(String(value))) {
+        return toDateString(new Date(EXCEL_EPOCH + Math.floor(Number(value)) * DAY_MS));
+    }
+    const text = String(value).trim();
+    const iso = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ].*)?$/);
+    if (iso) return iso[1];
+    const uk = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (uk) {
+        const year = uk[3].length === 2 ? '20' + uk[3] : uk[3];
+        return `${year}-${uk[2].padStart(2, '0')}-${uk[1].padStart(2, '0')}`;
+    }
+    return text;
+}
+
+// Strip spreadsheet formatting (£, thousands separators); "95%" becomes 0.95
+function normaliseNumber(value) {
+    if (typeof value === 'number') return String(value);
+    const text = String(value).trim().replace(/[£,\s]/g, '');
+    if (text.endsWith('%')) {
+        const number = parseFloat(text.slice(0, -1));
+        return isNaN(number) ? text : String(number / 100);
+    }
+    return text;
+}
+
+function normaliseValue(value, type) {
+    if (value === '' || value === null || value === undefined) return '';
+    if (type === 'date') return normaliseDate(value);
+    if (type === 'number') return normaliseNumber(value);
+    return String(value);
+}
+
+function sameValue(a, b) {
+    if (a === null || a === undefined || a === '') return b === null || b === undefined || b === '';
+    if (typeof b === 'number' || !isNaN(parseFloat(a))) {
+        return Math.abs(parseFloat(a) - parseFloat(b)) < 0.005;
+    }
+    return String(a) === String(b);
+}
+
+/**
+ * Validate mapped rows and compare them with what is already stored.
+ *   tableKey: 'sales' | 'production'
+ *   headers, rows: as returned by readSpreadsheet
+ *   mapping: { field: headerIndex }
+ *   existingRows: current rows for the table (any order)
+ * Each preview row has status 'new', 'update', 'unchanged' or 'error'.
+ */
+function buildPreview({ tableKey, headers, rows, mapping, existingRows }) {
+    const table = IMPORT_TABLES[tableKey];
+    const mappingErrors = table.columns
+        .filter(column => column.required && mapping[column.field] === undefined)
+        .map(column => `Choose the column that holds ${column.label}`);
+
+    const existingByWeek = new Map(existingRows.map(row => [toDateKey(row.week_commencing), row]));
+    const seenWeeks = new Map();
+
+    const previewRows = rows.map(row => {
+        const input = {};
+        for (const column of table.columns) {
+            const index = mapping[column.field];
+            input[column.field] = index === undefined ? '' : normaliseValue(row.values[index], column.type);
+        }
+
+        const result = mappingErrors.length > 0 ? { error: 'Column mapping is incomplete' } : table.validate(input);
+        const preview = { line: row.line, input, data: result.data || null, error: result.error || null, warning: result.warning || null, existing: null, changes: [] };
+        if (preview.error) {
+            preview.status = 'error';
+            return preview;
+        }
+
+        const week = preview.data.week_commencing;
+        if (seenWeeks.has(week)) {
+            preview.status = 'error';
+            preview.error = `Week ${week} also appears on row ${seenWeeks.get(week)}`;
+            return preview;
+        }
+        seenWeeks.set(week, row.line);
+
+        const existing = existingByWeek.get(week);
+        if (!existing) {
+            preview.status = 'new';
+            return preview;
+        }
+        preview.existing = existing;
+        preview.changes = table.columns
+            .filter(column => column.field !== 'week_commencing' && !sameValue(preview.data[column.field], existing[column.field]))
+            .map(column => ({ field: column.field, label: column.label, from: existing[column.field], to: preview.data[column.field] }));
+        preview.status = preview.changes.length > 0 ? 'update' : 'unchanged';
+        return preview;
+    });
+
+    const counts = { new: 0, update: 0, unchanged: 0, error: 0 };
+    for (const row of previewRows) counts[row.status] += 1;
+
+    return {
+        headers,
+        mapping,
+        mappingErrors,
+        rows: previewRows,
+        counts,
+        canApply: mappingErrors.length === 0 && counts.error === 0 && counts.new + counts.update > 0
+    };
+}
+
+module.exports = {
+    IMPORT_TABLES,
+    parseCsv,
+    readSpreadsheet,
+    guessMapping,
+    buildPreview
+};
@@ -0,0 +1,153 @@
+// Install scheduling for Box Control Dashboard
+// Each sold install moves from sold to scheduled (with an install date and
+// crew) to completed, or is cancelled. Installs are counted the way
+// installs_sold counts them, one per box installed. The backlog on a date is
+// every install sold by then and not completed by then, less cancelled ones;
+// lead time is the days from sale to completion.
+
+const { parseDate, addDays, toDateString, toDateKey } = require('./periods');
+const { toNumber } = require('./kpis');
+
+const INSTALL_STATUSES = [
+    { value: 'sold', label: 'Sold' },
+    { value: 'scheduled', label: 'Scheduled' },
+    { value: 'completed', label: 'Completed' },
+    { value: 'cancelled', label: 'Cancelled' }
+];
+
+// Completed installs stay on the board for this many days
+const RECENTLY_COMPLETED_DAYS = 28;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(fromKey, toKey) {
+    return Math.round((parseDate(toKey) - parseDate(fromKey)) / DAY_MS);
+}
+
+// Whether an install was sold but not yet completed on a date (YYYY-MM-DD)
+function isOutstanding(install, dateKey) {
+    if (install.status === 'cancelled') return false;
+    if (toDateKey(install.sold_date) > dateKey) return false;
+    return !install.completed_date || toDateKey(install.completed_date) > dateKey;
+}
+
+// Days from sale to completion, or null while not completed
+function leadTimeDays(install) {
+    if (install.status !== 'completed' || !install.completed_date) return null;
+    return daysBetween(toDateKey(install.sold_date), toDateKey(install.completed_date));
+}
+
+/**
+ * Install figures for a period.
+ *   installs: install rows, any status
+ *   asAtKey: date the backlog is taken on (the period end, or today while the
+ *     period is in progress)
+ * backlog counts installs outstanding on asAtKey and oldestAgeDays is how
+ * long the oldest of them has waited. completed and averageLeadTimeDays cover
+ * installs completed in the period up to asAtKey; the average is per install,
+ * so a job of three boxes counts three times, and is null when none were
+ * completed.
+ */
+function installStats(installs, startKey, endKey, asAtKey) {
+    const outstanding = installs.filter(install => isOutstanding(install, asAtKey));
+    const lastDay = endKey < asAtKey ? endKey : asAtKey;
+    const completed = installs.filter(install => {
+        if (leadTimeDays(install) === null) return false;
+        const completedKey = toDateKey(install.completed_date);
+        return completedKey >= startKey && completedKey <= lastDay;
+    });
+
+    const count = rows => rows.reduce((total, install) => total + toNumber(install.installs), 0);
+    const oldest = outstanding.map(install => toDateKey(install.sold_date)).sort()[0] || null;
+    const completedCount = count(completed);
+    const leadDays = completed.reduce((total, install) => total + leadTimeDays(install) * toNumber(install.installs), 0);
+
+    return {
+        backlog: count(outstanding),
+        backlogJobs: outstanding.length,
+        unscheduled: count(outstanding.filter(install => install.status === 'sold')),
+        oldestSoldDate: oldest,
+        oldestAgeDays: oldest === null ? null : daysBetween(oldest, asAtKey),
+        completed: completedCount,
+        averageLeadTimeDays: completedCount > 0 ? leadDays / completedCount : null
+    };
+}
+
+/**
+ * Installs for the scheduling board as of today: columns of those still to
+ * be scheduled (oldest sale first), those scheduled (soonest first, flagged
+ * overdue once their install date has passed) and those completed in the
+ * last RECENTLY_COMPLETED_DAYS (latest first). Cancelled installs are left off.
+ */
+function installBoard(installs, todayKey) {
+    const since = toDateString(addDays(parseDate(todayKey), -RECENTLY_COMPLETED_DAYS));
+    const withDays = install => ({
+        ...install,
+        waitingDays: daysBetween(toDateKey(install.sold_date), todayKey),
+        leadTimeDays: leadTimeDays(install)
+    });
+    const by = (field, descending = false) => (a, b) => {
+        const order = toDateKey(a[field]).localeCompare(toDateKey(b[field])) || a.id - b.id;
+        return descending ? -order : order;
+    };
+
+    return {
+        sold: installs.filter(install => install.status === 'sold').sort(by('sold_date')).map(withDays),
+        scheduled: installs.filter(install => install.status === 'scheduled').sort(by('install_date')).map(install => ({
+            ...withDays(install),
+            overdue: toDateKey(install.install_date) < todayKey
+        })),
+        completed: installs
+            .filter(install => install.status === 'completed' && toDateKey(install.completed_date) >= since)
+            .sort(by('completed_date', true))
+            .map(withDays)
+    };
+}
+
+// Whether an order asks for its boxes to be installed (null for no order)
+function orderWantsInstall(order) {
+    return Boolean(order && order.includes_install && order.boxes > 0);
+}
+
+/**
+ * What saving a ledger order does to the install linked to it.
+ *   install: the linked install, or null when there is none
+ *   before: the order as it was (null for a new order); after: the order as
+ *     saved (null when it is deleted)
+ * Returns null to leave the install as it is, { remove: true } to delete it,
+ * or the install fields to write. An order that no longer includes an install
+ * deletes one still only sold and cancels a scheduled one. An order that
+ * includes one keeps it in step with the order; when it has only now come to
+ * include it (ticked again, or boxes back above none), an install cancelled
+ * when it was unticked is reopened as sold, with no date or crew. Completed
+ * installs, and those cancelled on the board, are left alone.
+ */
+function orderInstallUpdate(install, before, after) {
+    if (!orderWantsInstall(after)) {
+        if (install && install.status === 'sold') return { remove: true };
+        if (install && install.status === 'scheduled') return { status: 'cancelled' };
+        return null;
+    }
+
+    const fields = {
+        reference: after.order_ref,
+        customer: after.customer,
+        installs: after.boxes,
+        sold_date: after.order_date
+    };
+    const reopened = { ...fields, status: 'sold', install_date: null, crew: null };
+    if (!install) return reopened;
+    if (install.status === 'cancelled') return orderWantsInstall(before) ? null : reopened;
+    return install.status === 'completed' ? null : fields;
+}
+
+module.exports = {
+    INSTALL_STATUSES,
+    RECENTLY_COMPLETED_DAYS,
+    isOutstanding,
+    leadTimeDays,
+    installStats,
+    installBoard,
+    orderWantsInstall,
+    orderInstallUpdate
+};
@@ -0,0 +1,260 @@
+// KPI calculations for Box Control Dashboard
+// Pure functions over weekly rows, totals and settings, with no database
+// access, so the dashboard, trends, exports and API all compute every KPI the
+// same way. Rows are as read from sales_weekly / production_weekly: NUMERIC
+// columns may arrive as strings and optional columns as null.
+
+const DEFAULT_GROSS_MARGIN_PCT = 0.35;
+
+// A NUMERIC column or form value as a number, 0 when missing or not a number
+function toNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? 0 : number;
+}
+
+// Total of one column across rows, treating missing values as 0
+function sumField(rows, field) {
+    return rows.reduce((total, row) => total + toNumber(row[field]), 0);
+}
+
+// numerator / denominator, or null when there is nothing to divide by
+function ratio(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : null;
+}
+
+function salesRevenue(totals) {
+    return toNumber(totals.box_revenue) + toNumber(totals.extras_revenue) + toNumber(totals.install_revenue);
+}
+
+// The gross margin in force, defaulting to DEFAULT_GROSS_MARGIN_PCT
+function grossMargin(settings) {
+    return parseFloat(settings.gross_margin_pct || DEFAULT_GROSS_MARGIN_PCT);
+}
+
+// Contribution is actual revenue × gross margin
+function contributionFor(totals, settings) {
+    return salesRevenue(totals) * grossMargin(settings);
+}
+
+// Average boxes produced per week over production weeks, 0 when there are none
+function buildRate(productionWeeks) {
+    return productionWeeks.length > 0 ? sumField(productionWeeks, 'boxes_produced') / productionWeeks.length : 0;
+}
+
+// Boxes passed / boxes inspected, so weeks count by how many boxes were
+// checked; null when nothing was inspected. Works on weekly rows or totals.
+function rightFirstTimeFor(rows) {
+    return ratio(sumField(rows, 'boxes_passed'), sumField(rows, 'boxes_inspected'));
+}
+
+/**
+ * Mix and guardrail KPIs over a set of weeks, weighted by volume. Each is
+ * null when the weeks give nothing to measure it by (no boxes sold, no box
+ * revenue, nothing produced, no boxes inspected).
+ */
+function mixKpis(salesWeeks, productionWeeks) {
+    const boxesSold = sumField(salesWeeks, 'boxes_sold');
+    const boxRevenue = sumField(salesWeeks, 'box_revenue');
+    const boxesProduced = sumField(productionWeeks, 'boxes_produced');
+
+    return {
+        installPct: ratio(sumField(salesWeeks, 'installs_sold'), boxesSold),
+        extrasPct: ratio(sumField(salesWeeks, 'extras_revenue'), boxRevenue),
+        costCompliancePct: ratio(boxesProduced - sumField(productionWeeks, 'boxes_over_cost'), boxesProduced),
+        reworkPerBox: ratio(sumField(productionWeeks, 'rework_hours'), boxesProduced),
+        rightFirstTimePct: rightFirstTimeFor(productionWeeks),
+        avgBoxesPerWeek: ratio(boxesProduced, productionWeeks.length)
+    };
+}
+
+/**
+ * Every dashboard KPI for one period.
+ *   salesTotals / productionTotals: sums over the weeks commencing in the period
+ *   salesWeeks / productionWeeks: the weeks the mix KPIs are measured over
+ *     (for a month, the trailing 4 weeks, which may start in the month before)
+ *   settings: the targets in force for the period
+ *   months: length of the period in months (monthly targets scale with it)
+ * KPIs with nothing to measure read as 0, except contribution per box, which
+ * falls back to the target from settings, and right first time, which is null
+ * until boxes have been inspected. rightFirstTimePct is over the mix window like
+ * the other guardrails; periodRightFirstTimePct is over the period's own weeks
+ * (month to date for the current month).
+ */
+function calculateKpis({ salesTotals, productionTotals, salesWeeks, productionWeeks, settings, months = 1 }) {
+    const totalRevenue = salesRevenue(salesTotals);
+    const contribution = contributionFor(salesTotals, settings);
+    const mix = mixKpis(salesWeeks, productionWeeks);
+
+    return {
+        totalRevenue,
+        contribution,
+        contributionTarget: parseFloat(settings.monthly_contribution_target) * months,
+        survivalTarget: parseFloat(settings.survival_contribution) * months,
+        contributionPerBox: ratio(contribution, toNumber(salesTotals.boxes_sold)) ??
+            parseFloat(settings.contribution_per_box || 0),
+        installPct: mix.installPct ?? 0,
+        extrasPct: mix.extrasPct ?? 0,
+        costCompliancePct: mix.costCompliancePct ?? 0,
+        reworkPerBox: mix.reworkPerBox ?? 0,
+        rightFirstTimePct: mix.rightFirstTimePct,
+        periodRightFirstTimePct: rightFirstTimeFor([productionTotals]),
+        avgBoxesPerWeek: mix.avgBoxesPerWeek ?? 0
+    };
+}
+
+/**
+ * RAG thresholds, configurable per KPI and stored in
+ * box_control_settings.rag_thresholds (so they are versioned with the other
+ * targets). Each KPI has:
+ *   direction: 'higher' or 'lower' is better
+ *   basis: 'absolute' - red and green are values in the KPI's own units
+ *          'target'   - red and green are fractions of the KPI's target (1 = on target)
+ *          'survival' - contribution only: red below survival, amber below target
+ *   red, green: the band edges. Higher is better: red below red, amber below
+ *     green. Lower is better: red above red, amber above green.
+ */
+const RAG_DIRECTIONS = ['higher', 'lower'];
+
+const RAG_KPIS = [
+    { key: 'contribution', label: 'Contribution', unit: '£', bases: ['survival', 'target', 'absolute'] },
+    { key: 'installPct', label: 'Install %', unit: 'fraction', bases: ['target', 'absolute'] },
+    { key: 'extrasPct', label: 'Extras %', unit: 'fraction', bases: ['target', 'absolute'] },
+    { key: 'contributionPerBox', label: 'Contribution per Box', unit: '£', bases: ['absolute', 'target'] },
+    { key: 'costCompliancePct', label: 'Cost Compliance', unit: 'fraction', bases: ['target', 'absolute'] },
+    { key: 'costVariancePct', label: 'Cost Variance (of standard cost)', unit: 'fraction', bases: ['absolute'] },
+    { key: 'reworkPerBox', label: 'Rework per Box', unit: 'hours', bases: ['absolute'] },
+    { key: 'rightFirstTimePct', label: 'Right First Time', unit: 'fraction', bases: ['target', 'absolute'] },
+    { key: 'installBacklog', label: 'Install Backlog', unit: 'installs', bases: ['absolute'] },
+    { key: 'installLeadTimeDays', label: 'Install Lead Time', unit: 'days', bases: ['absolute'] },
+    { key: 'orderBacklogWeeks', label: 'Order Backlog', unit: 'weeks', bases: ['absolute'] }
+];
+
+const DEFAULT_RAG_THRESHOLDS = {
+    contribution: { direction: 'higher', basis: 'survival', red: null, green: null },
+    installPct: { direction: 'higher', basis: 'target', red: 0.9, green: 1 },
+    extrasPct: { direction: 'higher', basis: 'target', red: 0.9, green: 1 },
+    contributionPerBox: { direction: 'higher', basis: 'absolute', red: 600, green: 640 },
+    costCompliancePct: { direction: 'higher', basis: 'target', red: 0.95, green: 1 },
+    costVariancePct: { direction: 'lower', basis: 'absolute', red: 0.05, green: 0 },
+    reworkPerBox: { direction: 'lower', basis: 'absolute', red: 0.5, green: 0.25 },
+    rightFirstTimePct: { direction: 'higher', basis: 'target', red: 0.95, green: 1 },
+    installBacklog: { direction: 'lower', basis: 'absolute', red: 20, green: 10 },
+    installLeadTimeDays: { direction: 'lower', basis: 'absolute', red: 42, green: 28 },
+    orderBacklogWeeks: { direction: 'lower', basis: 'absolute', red: 8, green: 4 }
+};
+
+// Threshold configuration in force: stored settings over the defaults, per KPI.
+// Settings saved before thresholds were configurable have none stored.
+function resolveRagThresholds(settings = {}) {
+    let stored = settings.rag_thresholds || {};
+    if (typeof stored === 'string') {
+        try {
+            stored = JSON.parse(stored);
+        } catch (error) {
+            stored = {};
+        }
+    }
+    const resolved = {};
+    for (const { key } of RAG_KPIS) {
+        resolved[key] = { ...DEFAULT_RAG_THRESHOLDS[key], ...(stored[key] || {}) };
+    }
+    return resolved;
+}
+
+/**
+ * Absolute band edges for one KPI: { red, green, lowerIsBetter }, given its
+ * configuration and the levels it is judged against ({ target, survival }).
+ * null when the levels it needs are not set.
+ */
+function ragBands(config, { target, survival } = {}) {
+    const lowerIsBetter = config.direction === 'lower';
+    let red = parseFloat(config.red);
+    let green = parseFloat(config.green);
+    if (config.basis === 'survival') {
+        red = parseFloat(survival);
+        green = parseFloat(target);
+    } else if (config.basis === 'target') {
+        red *= parseFloat(target);
+        green *= parseFloat(target);
+    }
+    if (isNaN(red) || isNaN(green)) return null;
+    return { red, green, lowerIsBetter };
+}
+
+// RAG status of a value against { red, green, lowerIsBetter } band edges
+function getRAGStatus(value, thresholds) {
+    if (thresholds.lowerIsBetter) {
+        if (value > thresholds.red) return 'red';
+        if (value > thresholds.green) return 'amber';
+        return 'green';
+    }
+    if (value < thresholds.red) return 'red';
+    if (value < thresholds.green) return 'amber';
+    return 'green';
+}
+
+// RAG status for contribution against the survival and target levels
+function getContributionRAG(contribution, survival, target) {
+    return getRAGStatus(contribution, { red: survival, green: target });
+}
+
+// Band edges for each dashboard KPI, given calculateKpis() output and settings
+function getRAGThresholds(kpis, settings) {
+    const config = resolveRagThresholds(settings);
+    const levels = {
+        contribution: { target: kpis.contributionTarget, survival: kpis.survivalTarget },
+        installPct: { target: settings.target_install_pct },
+        extrasPct: { target: settings.target_extras_pct },
+        contributionPerBox: { target: settings.contribution_per_box },
+        costCompliancePct: { target: settings.cost_compliance_target },
+        costVariancePct: {},
+        reworkPerBox: {},
+        rightFirstTimePct: { target: settings.right_first_time_target },
+        installBacklog: {},
+        installLeadTimeDays: {},
+        orderBacklogWeeks: {}
+    };
+    const thresholds = {};
+    for (const { key } of RAG_KPIS) {
+        thresholds[key] = ragBands(config[key], levels[key]);
+    }
+    return thresholds;
+}
+
+// RAG status of each dashboard KPI ('red', 'amber' or 'green'); a KPI whose
+// thresholds cannot be resolved (its target is not set) reads as green, and
+// one with nothing to measure (null) has no status
+function getRAGStatuses(kpis, settings) {
+    const thresholds = getRAGThresholds(kpis, settings);
+    const statuses = {};
+    for (const { key } of RAG_KPIS) {
+        if (kpis[key] === null || kpis[key] === undefined) {
+            statuses[key] = null;
+        } else {
+            statuses[key] = thresholds[key] ? getRAGStatus(kpis[key], thresholds[key]) : 'green';
+        }
+    }
+    return statuses;
+}
+
+module.exports = {
+    toNumber,
+    sumField,
+    ratio,
+    salesRevenue,
+    grossMargin,
+    contributionFor,
+    buildRate,
+    rightFirstTimeFor,
+    mixKpis,
+    calculateKpis,
+    RAG_DIRECTIONS,
+    RAG_KPIS,
+    DEFAULT_RAG_THRESHOLDS,
+    resolveRagThresholds,
+    ragBands,
+    getRAGStatus,
+    getContributionRAG,
+    getRAGThresholds,
+    getRAGStatuses
+};
@@ -0,0 +1,64 @@
+// Sales ledger reconciliation for Box Control Dashboard
+// Compares the weekly totals rolled up from sales_orders with the figures
+// typed into sales_weekly and reports any week where they disagree.
+
+const { mondayOf, toDateKey } = require('./periods');
+
+const RECONCILED_FIELDS = [
+    { field: 'boxes_sold', label: 'Boxes sold', money: false },
+    { field: 'installs_sold', label: 'Installs sold', money: false },
+    { field: 'box_revenue', label: 'Box revenue', money: true },
+    { field: 'extras_revenue', label: 'Extras revenue', money: true },
+    { field: 'install_revenue', label: 'Install revenue', money: true }
+];
+
+// Differences of less than a penny are rounding, not discrepancies
+const MONEY_TOLERANCE = 0.005;
+
+/**
+ * Reconcile weeks.
+ *   weeklyRows: sales_weekly rows
+ *   ledgerTotals: rows from getSalesOrderWeeklyTotals()
+ * Returns a Map keyed by Monday (YYYY-MM-DD) of
+ *   { week_commencing, status, differences: [{ field, label, weekly, ledger, difference }] }
+ * where status is 'match', 'mismatch', 'weekly-only' (no orders recorded) or
+ * 'ledger-only' (orders but no weekly row).
+ */
+function reconcileWeeks(weeklyRows, ledgerTotals) {
+    const weeks = new Map();
+    const entry = week => {
+        if (!weeks.has(week)) weeks.set(week, { week_commencing: week, weekly: null, ledger: null });
+        return weeks.get(week);
+    };
+
+    for (const row of weeklyRows) entry(mondayOf(toDateKey(row.week_commencing))).weekly = row;
+    for (const row of ledgerTotals) entry(mondayOf(toDateKey(row.week_commencing))).ledger = row;
+
+    for (const week of weeks.values()) {
+        week.differences = [];
+        if (!week.ledger) {
+            week.status = 'weekly-only';
+            continue;
+        }
+        if (!week.weekly) {
+            week.status = 'ledger-only';
+            continue;
+        }
+        for (const { field, label, money } of RECONCILED_FIELDS) {
+            const weekly = parseFloat(week.weekly[field] || 0);
+            const ledger = parseFloat(week.ledger[field] || 0);
+            const difference = weekly - ledger;
+            if (Math.abs(difference) > (money ? MONEY_TOLERANCE : 0)) {
+                week.differences.push({ field, label, weekly, ledger, difference });
+            }
+        }
+        week.status = week.differences.length > 0 ? 'mismatch' : 'match';
+    }
+
+    return weeks;
+}
+
+module.exports = {
+    RECONCILED_FIELDS,
+    reconcileWeeks
+};
@@ -0,0 +1,52 @@
+// Outgoing email for Box Control Dashboard
+// The transport is pluggable: with SMTP_URL set, mail goes out through
+// nodemailer's SMTP transport; without it, each message is written to the
+// server log so reminders can be tried locally. Tests and scripts can plug in
+// their own transport (anything with sendMail(message)) with setTransport.
+
+const DEFAULT_FROM = 'Box Control Dashboard <noreply@localhost>';
+
+const logTransport = {
+    async sendMail(message) {
+        console.log(`✉️  Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: null };
+    }
+};
+
+let transport = null;
+
+function createTransport(env = process.env) {
+    if (env.SMTP_URL) {
+        return require('nodemailer').createTransport(env.SMTP_URL);
+    }
+    return logTransport;
+}
+
+function setTransport(custom) {
+    transport = custom;
+}
+
+// Comma-separated addresses, e.g. from an environment variable
+function parseRecipients(value) {
+    return String(value || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+}
+
+async function sendMail({ to, subject, text }) {
+    if (!transport) transport = createTransport();
+    return transport.sendMail({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to: Array.isArray(to) ? to.join(', ') : to,
+        subject,
+        text
+    });
+}
+
+module.exports = {
+    createTransport,
+    setTransport,
+    parseRecipients,
+    sendMail
+};
@@ -0,0 +1,320 @@
+// OpenAPI 3 description of the /api/v1 REST API for Box Control Dashboard
+// Built from the same resource definitions the routes use, so the spec
+// lists exactly the fields the API reads and writes.
+
+const { SETTINGS_FRACTION_FIELDS } = require('./validation');
+const { DERIVED_FIELDS } = require('./targets');
+const { RAG_KPIS, RAG_DIRECTIONS } = require('./kpis');
+
+const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const ERROR_RESPONSES = {
+    400: errorResponse('Validation error; field names the offending input'),
+    401: errorResponse('Not signed in'),
+    403: errorResponse('Signed in but not allowed to make this change, or the token lacks the scope'),
+    429: errorResponse('API token rate limit exceeded; see Retry-After')
+};
+
+// Responses any authenticated endpoint can give
+const AUTH_RESPONSES = {
+    401: ERROR_RESPONSES[401],
+    403: ERROR_RESPONSES[403],
+    429: ERROR_RESPONSES[429]
+};
+
+const dataResponse = (description, schema, extra = {}) => ({
+    description,
+    content: {
+        'application/json': {
+            schema: {
+                type: 'object',
+                properties: { success: { type: 'boolean' }, data: schema, ...extra }
+            }
+        }
+    }
+});
+
+const weekParameter = {
+    name: 'weekCommencing',
+    in: 'path',
+    required: true,
+    description: 'Week commencing date (YYYY-MM-DD), a Monday. A PUT for another day is saved against the Monday of its week (a Sunday against the Monday after) with a warning.',
+    schema: { type: 'string', format: 'date' }
+};
+
+function weekSchema(resource) {
+    const properties = {
+        week_commencing: { type: 'string', format: 'date' },
+        notes: { type: 'string', nullable: true },
+        created_at: { type: 'string', format: 'date-time', readOnly: true }
+    };
+    for (const field of resource.integerFields) {
+        properties[field] = { type: 'integer', minimum: 0 };
+    }
+    for (const field of resource.numberFields) {
+        properties[field] = { type: 'number', nullable: true };
+    }
+    return { type: 'object', required: resource.requiredFields, properties };
+}
+
+function settingsSchema(settingsFields) {
+    const properties = {
+        updated_at: { type: 'string', format: 'date-time', readOnly: true }
+    };
+    for (const field of settingsFields) {
+        properties[field] = SETTINGS_FRACTION_FIELDS.includes(field)
+            ? { type: 'number', minimum: 0, maximum: 1, description: 'Fraction (0.8 = 80%)' }
+            : { type: 'number', minimum: 0 };
+    }
+    for (const field of DERIVED_FIELDS) {
+        properties[`${field}_manual`] = {
+            type: 'boolean',
+            description: `Keep ${field} as entered instead of deriving it from turnover, box price and margin`
+        };
+    }
+    const thresholds = {};
+    for (const kpi of RAG_KPIS) {
+        thresholds[kpi.key] = {
+            type: 'object',
+            properties: {
+                direction: { type: 'string', enum: RAG_DIRECTIONS },
+                basis: { type: 'string', enum: kpi.bases },
+                red: { type: 'number', minimum: 0, nullable: true },
+                green: { type: 'number', minimum: 0, nullable: true }
+            }
+        };
+    }
+    properties.rag_thresholds = {
+        type: 'object',
+        description: 'RAG band edges per KPI. Higher is better: red below red, amber below green; lower is better: ' +
+            'red above red, amber above green. basis "target" makes red and green fractions of the KPI target.',
+        properties: thresholds
+    };
+    return { type: 'object', properties };
+}
+
+function weekPaths(name, resource, pageSizes) {
+    const ref = { $ref: `#/components/schemas/${resource.label}Week` };
+    return {
+        [`/api/v1/${name}`]: {
+            get: {
+                tags: [resource.label],
+                summary: `List ${name} weeks, newest first`,
+                parameters: [
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: pageSizes.max, default: pageSizes.default } },
+                    { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+                    { name: 'from', in: 'query', description: 'Earliest week commencing', schema: { type: 'string', format: 'date' } },
+                    { name: 'to', in: 'query', description: 'Latest week commencing', schema: { type: 'string', format: 'date' } }
+                ],
+                responses: {
+                    200: dataResponse('One page of weeks', { type: 'array', items: ref }, {
+                        pagination: { $ref: '#/components/schemas/Pagination' }
+                    }),
+                    400: ERROR_RESPONSES[400],
+                    ...AUTH_RESPONSES
+                }
+            }
+        },
+        [`/api/v1/${name}/{weekCommencing}`]: {
+            parameters: [weekParameter],
+            get: {
+                tags: [resource.label],
+                summary: `One ${name} week`,
+                responses: {
+                    200: dataResponse('The week', ref),
+                    ...AUTH_RESPONSES,
+                    404: errorResponse('No figures for that week')
+                }
+            },
+            put: {
+                tags: [resource.label],
+                summary: `Create or replace a ${name} week`,
+                requestBody: { required: true, content: { 'application/json': { schema: ref } } },
+                responses: {
+                    200: dataResponse('Week replaced', ref, { warning: { type: 'string', nullable: true } }),
+                    201: dataResponse('Week created', ref, { warning: { type: 'string', nullable: true } }),
+                    ...ERROR_RESPONSES
+                }
+            },
+            delete: {
+                tags: [resource.label],
+                summary: `Delete a ${name} week (restorable until purged)`,
+                responses: {
+                    200: dataResponse('The deleted week', ref),
+                    ...AUTH_RESPONSES,
+                    404: errorResponse('No figures for that week')
+                }
+            }
+        }
+    };
+}
+
+/**
+ * The OpenAPI document. Options: resources (the weekly resources keyed by
+ * path name), settingsFields, defaultPageSize and maxPageSize.
+ */
+function buildOpenApiSpec({ resources, settingsFields, defaultPageSize, maxPageSize }) {
+    const schemas = {
+        Error: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean', example: false },
+                error: { type: 'string' },
+                code: { type: 'string', enum: ['validation_error', 'unauthorized', 'forbidden', 'rate_limited', 'not_found', 'method_not_allowed', 'internal_error'] },
+                field: { type: 'string' }
+            }
+        },
+        Pagination: {
+            type: 'object',
+            properties: {
+                total: { type: 'integer' },
+                limit: { type: 'integer' },
+                offset: { type: 'integer' }
+            }
+        },
+        Settings: settingsSchema(settingsFields),
+        Kpi: {
+            type: 'object',
+            properties: {
+                value: { type: 'number' },
+                previous: { type: 'number', description: 'Value for the comparison period' },
+                target: { type: 'number', nullable: true },
+                rag: { type: 'string', enum: ['red', 'amber', 'green'], nullable: true },
+                thresholds: {
+                    type: 'object',
+                    nullable: true,
+                    description: 'Band edges the RAG status was judged by, in the KPI\'s own units',
+                    properties: {
+                        red: { type: 'number' },
+                        green: { type: 'number' },
+                        lower_is_better: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    };
+
+    let paths = {};
+    for (const [name, resource] of Object.entries(resources)) {
+        schemas[`${resource.label}Week`] = weekSchema(resource);
+        paths = { ...paths, ...weekPaths(name, resource, { default: defaultPageSize, max: maxPageSize }) };
+    }
+
+    paths['/api/v1/settings'] = {
+        get: {
+            tags: ['Settings'],
+            summary: 'Current settings and how each derived target was arrived at',
+            responses: {
+                200: dataResponse('Settings', { $ref: '#/components/schemas/Settings' }, { targets: { type: 'object' } }),
+                ...AUTH_RESPONSES
+            }
+        },
+        put: {
+            tags: ['Settings'],
+            summary: 'Change any subset of the settings',
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: {
+                            allOf: [
+                                { $ref: '#/components/schemas/Settings' },
+                                {
+                                    type: 'object',
+                                    properties: {
+                                        valid_from: { type: 'string', format: 'date', description: 'Date the change takes effect (default today)' },
+                                        change_note: { type: 'string' }
+                                    }
+                                }
+                            ]
+                        }
+                    }
+                }
+            },
+            responses: {
+                200: dataResponse('Updated settings', { $ref: '#/components/schemas/Settings' }, { targets: { type: 'object' } }),
+                ...ERROR_RESPONSES
+            }
+        },
+        delete: {
+            tags: ['Settings'],
+            summary: 'Not allowed',
+            responses: { 405: errorResponse('Settings cannot be deleted') }
+        }
+    };
+
+    paths['/api/v1/kpis'] = {
+        get: {
+            tags: ['KPIs'],
+            summary: 'Dashboard KPIs for a period, with RAG status, comparison and forward look',
+            description: 'Percentages are fractions (0.8 = 80%). Defaults to the current month. ' +
+                'cost_variance_pct is actual production cost less standard cost as a fraction of standard cost, ' +
+                'over the weeks in the period with costs recorded; it also carries the variance and costs in £. ' +
+                'install_backlog is installs sold and not completed on the period end (or today, for the current period); ' +
+                'install_lead_time_days is the average days from sale to completion of installs completed in the period. ' +
+                'order_backlog_weeks is boxes sold and not yet built, in weeks at the recent build rate, ' +
+                'to the last week on or before the period end with both sales and production recorded.',
+            parameters: [
+                { name: 'period', in: 'query', schema: { type: 'string', enum: ['month', 'quarter', 'fy', 'custom'], default: 'month' } },
+                { name: 'month', in: 'query', description: 'YYYY-MM', schema: { type: 'string' } },
+                { name: 'quarter', in: 'query', description: 'YYYY-Q1 to YYYY-Q4', schema: { type: 'string' } },
+                { name: 'fy', in: 'query', description: 'Year the financial year starts in', schema: { type: 'string' } },
+                { name: 'start', in: 'query', description: 'Custom period start', schema: { type: 'string', format: 'date' } },
+                { name: 'end', in: 'query', description: 'Custom period end', schema: { type: 'string', format: 'date' } },
+                { name: 'forecast_weeks', in: 'query', schema: { type: 'integer', minimum: 4, maximum: 13, default: 4 } }
+            ],
+            responses: {
+                200: dataResponse('KPIs', {
+                    type: 'object',
+                    properties: {
+                        period: { type: 'object' },
+                        comparison: { type: 'object' },
+                        mix_window: { type: 'object' },
+                        totals: { type: 'object' },
+                        completeness: {
+                            type: 'object',
+                            description: 'Weeks that have ended without figures in the period (or the trailing 4-week window)',
+                            properties: {
+                                complete: { type: 'boolean' },
+                                missing_sales_weeks: { type: 'array', items: { type: 'string', format: 'date' } },
+                                missing_production_weeks: { type: 'array', items: { type: 'string', format: 'date' } }
+                            }
+                        },
+                        kpis: { type: 'object', additionalProperties: { $ref: '#/components/schemas/Kpi' } },
+                        forward_look: { type: 'object' }
+                    }
+                }),
+                400: ERROR_RESPONSES[400],
+                ...AUTH_RESPONSES
+            }
+        }
+    };
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Box Control Dashboard API',
+            version: '1.0.0',
+            description: 'Weekly sales and production figures, settings and dashboard KPIs. ' +
+                'Requests are authenticated with the signed-in session of the web app, or with an API ' +
+                'token (created on the API Tokens page) scoped to read or write each table.'
+        },
+        servers: [{ url: '/' }],
+        security: [{ session: [] }, { bearerToken: [] }],
+        paths,
+        components: {
+            schemas,
+            securitySchemes: {
+                session: { type: 'apiKey', in: 'cookie', name: 'connect.sid' },
+                bearerToken: { type: 'http', scheme: 'bearer', description: 'API token (bcd_...)' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiSpec
+};
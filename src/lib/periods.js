@@ -0,0 +1,240 @@
+// Reporting periods for Box Control Dashboard
+// Resolves a month, calendar quarter, UK financial year (April–March) or custom
+// date range into start/end dates, a display label and the preceding period.
+// All dates are handled as YYYY-MM-DD strings in UTC to avoid timezone drift.
+
+const PERIOD_TYPES = ['month', 'quarter', 'fy', 'custom'];
+
+// UK financial year starts in April (month index 3)
+const FY_START_MONTH = 3;
+
+const AVERAGE_DAYS_PER_MONTH = 365.25 / 12;
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// YYYY-MM-DD for a value read from a DATE column (pg returns local-midnight
+// Date objects) or a date string
+function toDateKey(value) {
+    if (value instanceof Date) {
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+function parseDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(value + 'T00:00:00Z');
+    if (isNaN(date.getTime()) || toDateString(date) !== value) return null;
+    return date;
+}
+
+function utcDate(year, monthIndex, day) {
+    return new Date(Date.UTC(year, monthIndex, day));
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Monday of the week containing a YYYY-MM-DD date
+function mondayOf(dateKey) {
+    const date = parseDate(dateKey);
+    return toDateString(addDays(date, -((date.getUTCDay() + 6) % 7)));
+}
+
+function daysBetweenInclusive(start, end) {
+    return Math.round((end.getTime() - start.getTime()) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+function formatUK(date) {
+    return date.toLocaleDateString('en-GB', { timeZone: 'UTC' });
+}
+
+function buildPeriod(type, start, end, label, value, months) {
+    return {
+        type,
+        value,
+        start: toDateString(start),
+        end: toDateString(end),
+        label,
+        days: daysBetweenInclusive(start, end),
+        months
+    };
+}
+
+function monthPeriod(year, monthIndex) {
+    const start = utcDate(year, monthIndex, 1);
+    const end = utcDate(year, monthIndex + 1, 0);
+    const value = `${start.getUTCFullYear()}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`;
+    const label = `${MONTH_NAMES[start.getUTCMonth()]} ${start.getUTCFullYear()}`;
+    return buildPeriod('month', start, end, label, value, 1);
+}
+
+function quarterPeriod(year, quarter) {
+    const start = utcDate(year, (quarter - 1) * 3, 1);
+    const end = utcDate(year, quarter * 3, 0);
+    const label = `Q${quarter} ${year} (${MONTH_NAMES[start.getUTCMonth()].slice(0, 3)}–${MONTH_NAMES[end.getUTCMonth()].slice(0, 3)})`;
+    return buildPeriod('quarter', start, end, label, `${year}-Q${quarter}`, 3);
+}
+
+// Financial year identified by the calendar year it starts in (FY2025 = Apr 2025–Mar 2026)
+function financialYearPeriod(startYear) {
+    const start = utcDate(startYear, FY_START_MONTH, 1);
+    const end = utcDate(startYear + 1, FY_START_MONTH, 0);
+    const label = `FY ${startYear}/${String(startYear + 1).slice(-2)}`;
+    return buildPeriod('fy', start, end, label, `FY${startYear}`, 12);
+}
+
+function customPeriod(start, end) {
+    const label = `${formatUK(start)} – ${formatUK(end)}`;
+    const days = daysBetweenInclusive(start, end);
+    return buildPeriod('custom', start, end, label, `${toDateString(start)}..${toDateString(end)}`, days / AVERAGE_DAYS_PER_MONTH);
+}
+
+function financialYearStartFor(date) {
+    return date.getUTCMonth() >= FY_START_MONTH ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+}
+
+/**
+ * Resolve a period from query parameters.
+ *   ?period=month&month=2026-03
+ *   ?period=quarter&quarter=2026-Q1
+ *   ?period=fy&fy=2025
+ *   ?period=custom&start=2026-01-05&end=2026-02-15
+ * Missing parameters fall back to the period containing `today`.
+ * Throws an Error with a user-facing message for malformed values.
+ */
+function resolvePeriod(params = {}, today = new Date()) {
+    const type = params.period || 'month';
+    const todayUTC = utcDate(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+
+    if (!PERIOD_TYPES.includes(type)) {
+        throw new Error(`Unknown period type "${type}"`);
+    }
+
+    if (type === 'month') {
+        if (!params.month) return monthPeriod(todayUTC.getUTCFullYear(), todayUTC.getUTCMonth());
+        const match = String(params.month).match(/^(\d{4})-(\d{2})$/);
+        if (!match || parseInt(match[2], 10) < 1 || parseInt(match[2], 10) > 12) {
+            throw new Error('Month must be in the format YYYY-MM');
+        }
+        return monthPeriod(parseInt(match[1], 10), parseInt(match[2], 10) - 1);
+    }
+
+    if (type === 'quarter') {
+        if (!params.quarter) {
+            return quarterPeriod(todayUTC.getUTCFullYear(), Math.floor(todayUTC.getUTCMonth() / 3) + 1);
+        }
+        const match = String(params.quarter).match(/^(\d{4})-Q([1-4])$/i);
+        if (!match) {
+            throw new Error('Quarter must be in the format YYYY-Q1 to YYYY-Q4');
+        }
+        return quarterPeriod(parseInt(match[1], 10), parseInt(match[2], 10));
+    }
+
+    if (type === 'fy') {
+        if (!params.fy) return financialYearPeriod(financialYearStartFor(todayUTC));
+        const match = String(params.fy).match(/^(?:FY)?(\d{4})$/i);
+        if (!match) {
+            throw new Error('Financial year must be the year it starts in, e.g. 2025 for April 2025 – March 2026');
+        }
+        return financialYearPeriod(parseInt(match[1], 10));
+    }
+
+    const start = parseDate(params.start);
+    const end = parseDate(params.end);
+    if (!start || !end) {
+        throw new Error('Custom period needs valid start and end dates (YYYY-MM-DD)');
+    }
+    if (end < start) {
+        throw new Error('Custom period end date must be on or after the start date');
+    }
+    return customPeriod(start, end);
+}
+
+// The period immediately before `period`, of the same type and length
+function previousPeriod(period) {
+    const start = parseDate(period.start);
+    const end = parseDate(period.end);
+
+    if (period.type === 'month') {
+        return monthPeriod(start.getUTCFullYear(), start.getUTCMonth() - 1);
+    }
+    if (period.type === 'quarter') {
+        const quarter = Math.floor(start.getUTCMonth() / 3) + 1;
+        return quarter === 1
+            ? quarterPeriod(start.getUTCFullYear() - 1, 4)
+            : quarterPeriod(start.getUTCFullYear(), quarter - 1);
+    }
+    if (period.type === 'fy') {
+        return financialYearPeriod(start.getUTCFullYear() - 1);
+    }
+    const length = daysBetweenInclusive(start, end);
+    const previousEnd = addDays(start, -1);
+    return customPeriod(addDays(previousEnd, -(length - 1)), previousEnd);
+}
+
+/**
+ * Previous period to compare against. While `period` is still in progress the
+ * comparison is cut to the same number of elapsed days, so month-to-date is
+ * compared with the same point in the previous month rather than the full month.
+ */
+function comparisonPeriod(period, today = new Date()) {
+    const previous = previousPeriod(period);
+    if (!isCurrentPeriod(period, today)) return previous;
+
+    const todayUTC = utcDate(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+    const elapsed = daysBetweenInclusive(parseDate(period.start), todayUTC);
+    const previousStart = parseDate(previous.start);
+    let previousEnd = addDays(previousStart, elapsed - 1);
+    if (previousEnd > parseDate(previous.end)) previousEnd = parseDate(previous.end);
+
+    return {
+        ...previous,
+        end: toDateString(previousEnd),
+        days: daysBetweenInclusive(previousStart, previousEnd),
+        label: `${previous.label} to ${formatUK(previousEnd)}`
+    };
+}
+
+// Whether `today` falls inside the period (i.e. it is still in progress)
+function isCurrentPeriod(period, today = new Date()) {
+    const todayString = toDateString(utcDate(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+    return period.start <= todayString && todayString <= period.end;
+}
+
+// Date to resolve targets at: the period end, or today while it is in progress
+function evaluationDate(period, today = new Date()) {
+    return isCurrentPeriod(period, today)
+        ? toDateString(utcDate(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()))
+        : period.end;
+}
+
+module.exports = {
+    PERIOD_TYPES,
+    MONTH_NAMES,
+    resolvePeriod,
+    previousPeriod,
+    comparisonPeriod,
+    isCurrentPeriod,
+    evaluationDate,
+    monthPeriod,
+    quarterPeriod,
+    financialYearPeriod,
+    customPeriod,
+    parseDate,
+    formatUK,
+    addDays,
+    mondayOf,
+    toDateString,
+    toDateKey
+};
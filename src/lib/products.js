@@ -0,0 +1,93 @@
+// Product breakdown for Box Control Dashboard
+// Sales and production weeks can be split by box type from the product
+// catalogue. The split is measured against standard costs rather than the
+// single gross margin: a product's contribution is its box revenue less
+// standard cost × boxes sold.
+
+const { toNumber, ratio } = require('./kpis');
+
+// Quantities recorded per product for each weekly table
+const PRODUCT_FIELDS = {
+    sales_weekly: [
+        { field: 'boxes_sold', label: 'boxes sold', type: 'integer' },
+        { field: 'box_revenue', label: 'box revenue', type: 'money' }
+    ],
+    production_weekly: [
+        { field: 'boxes_produced', label: 'boxes produced', type: 'integer' },
+        { field: 'boxes_over_cost', label: 'boxes over cost', type: 'integer' }
+    ]
+};
+
+// Figures for one line of the product mix
+function mixLine(product, sales, production) {
+    const boxesSold = toNumber(sales.boxes_sold);
+    const boxRevenue = toNumber(sales.box_revenue);
+    const boxesProduced = toNumber(production.boxes_produced);
+    const standardCost = product ? boxesSold * toNumber(product.standard_cost) : null;
+    const contribution = product ? boxRevenue - standardCost : null;
+    const averagePrice = ratio(boxRevenue, boxesSold);
+    const listPrice = product ? toNumber(product.list_price) : null;
+
+    return {
+        product,
+        boxesSold,
+        boxRevenue,
+        averagePrice,
+        priceRealisation: product && averagePrice !== null ? ratio(averagePrice, listPrice) : null,
+        standardCost,
+        contribution,
+        contributionPerBox: contribution === null ? null : ratio(contribution, boxesSold),
+        boxesProduced,
+        boxesOverCost: toNumber(production.boxes_over_cost),
+        overCostPct: ratio(toNumber(production.boxes_over_cost), boxesProduced)
+    };
+}
+
+/**
+ * Boxes, revenue, contribution and over-cost counts by product for a period.
+ *   products: the catalogue (inactive products are listed only if they have figures)
+ *   salesByProduct / productionByProduct: totals keyed by product id
+ *   salesTotals / productionTotals: the period's weekly totals
+ * Returns { lines, unassigned }: unassigned holds whatever part of the weekly
+ * totals was not broken down by product (null when everything was), with no
+ * contribution since it has no standard cost.
+ */
+function productMix({ products, salesByProduct, productionByProduct, salesTotals, productionTotals }) {
+    const lines = products
+        .map(product => mixLine(product, salesByProduct[product.id] || {}, productionByProduct[product.id] || {}))
+        .filter(line => line.product.active || line.boxesSold > 0 || line.boxRevenue > 0 || line.boxesProduced > 0);
+
+    const assigned = field => lines.reduce((total, line) => total + line[field], 0);
+    const remaining = (total, field) => Math.max(toNumber(total) - assigned(field), 0);
+    const unassigned = mixLine(null, {
+        boxes_sold: remaining(salesTotals.boxes_sold, 'boxesSold'),
+        box_revenue: remaining(salesTotals.box_revenue, 'boxRevenue')
+    }, {
+        boxes_produced: remaining(productionTotals.boxes_produced, 'boxesProduced'),
+        boxes_over_cost: remaining(productionTotals.boxes_over_cost, 'boxesOverCost')
+    });
+    // Pro-rated totals can leave rounding dust behind
+    const isEmpty = ['boxesSold', 'boxRevenue', 'boxesProduced', 'boxesOverCost']
+        .every(field => Math.abs(unassigned[field]) < 0.005);
+
+    return { lines, unassigned: isEmpty ? null : unassigned };
+}
+
+// Products to offer on a week's form (the active ones, and any others the
+// week already has figures for) and the week's figures keyed by product id
+function breakdownForm(catalogue, weekRows) {
+    const values = {};
+    for (const row of weekRows) {
+        values[row.product_id] = row;
+    }
+    return {
+        products: catalogue.filter(product => product.active || values[product.id]),
+        values
+    };
+}
+
+module.exports = {
+    PRODUCT_FIELDS,
+    productMix,
+    breakdownForm
+};
@@ -0,0 +1,142 @@
+// Business targets engine for Box Control Dashboard
+// Derives the monthly contribution target, contribution per box and box targets
+// from annual turnover, base box price and gross margin (see migration 002).
+// Each derived field can be manually overridden via its <field>_manual flag.
+
+// Average number of weeks in a month (52 / 12 ≈ 4.33)
+const WEEKS_PER_MONTH = 52 / 12;
+
+// Derived fields in dependency order: later fields use the resolved values of earlier ones
+const DERIVED_FIELDS = [
+    'monthly_contribution_target',
+    'contribution_per_box',
+    'target_boxes_per_month',
+    'target_boxes_per_week'
+];
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+function isManual(settings, field) {
+    const flag = settings[`${field}_manual`];
+    return flag === true || flag === 'true' || flag === 'on';
+}
+
+function formatGBP(value) {
+    return '£' + value.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatPct(value) {
+    return (value * 100).toLocaleString('en-GB', { maximumFractionDigits: 1 }) + '%';
+}
+
+// Each calculator returns { value, explanation } or null when inputs are missing
+const calculators = {
+    monthly_contribution_target(inputs) {
+        const { annualTurnover, grossMarginPct } = inputs;
+        if (annualTurnover === null || grossMarginPct === null) return null;
+        const value = annualTurnover * grossMarginPct / 12;
+        return {
+            value: Math.round(value * 100) / 100,
+            explanation: `${formatGBP(annualTurnover)} × ${formatPct(grossMarginPct)} ÷ 12`
+        };
+    },
+
+    contribution_per_box(inputs) {
+        const { baseBoxPrice, installPct, extrasPct, grossMarginPct } = inputs;
+        if (baseBoxPrice === null || grossMarginPct === null) return null;
+        const value = baseBoxPrice * (1 + (installPct || 0) + (extrasPct || 0)) * grossMarginPct;
+        return {
+            value: Math.round(value * 100) / 100,
+            explanation: `${formatGBP(baseBoxPrice)} × (1 + ${formatPct(installPct || 0)} + ${formatPct(extrasPct || 0)}) × ${formatPct(grossMarginPct)}`
+        };
+    },
+
+    target_boxes_per_month(inputs, resolved) {
+        const monthly = resolved.monthly_contribution_target;
+        const perBox = resolved.contribution_per_box;
+        if (monthly === null || perBox === null || perBox <= 0) return null;
+        return {
+            value: Math.ceil(monthly / perBox),
+            explanation: `${formatGBP(monthly)} ÷ ${formatGBP(perBox)}, rounded up`
+        };
+    },
+
+    target_boxes_per_week(inputs, resolved) {
+        const perMonth = resolved.target_boxes_per_month;
+        if (perMonth === null) return null;
+        return {
+            value: Math.ceil(perMonth / WEEKS_PER_MONTH),
+            explanation: `${perMonth} ÷ ${WEEKS_PER_MONTH.toFixed(2)} weeks, rounded up`
+        };
+    }
+};
+
+/**
+ * Resolve every derived target for a settings row.
+ * Returns { values, fields } where values holds the effective number for each
+ * derived field and fields describes how it was arrived at (derived, manual,
+ * or stored because the inputs to derive it are missing).
+ */
+function resolveTargets(settings) {
+    const inputs = {
+        annualTurnover: toNumber(settings.annual_turnover),
+        baseBoxPrice: toNumber(settings.base_box_price),
+        grossMarginPct: toNumber(settings.gross_margin_pct),
+        installPct: toNumber(settings.target_install_pct),
+        extrasPct: toNumber(settings.target_extras_pct)
+    };
+
+    const values = {};
+    const fields = {};
+
+    for (const field of DERIVED_FIELDS) {
+        const stored = toNumber(settings[field]);
+        const calculated = calculators[field](inputs, values);
+        const manual = isManual(settings, field);
+
+        let source;
+        if (manual) {
+            source = 'manual';
+        } else if (calculated) {
+            source = 'derived';
+        } else {
+            source = 'stored';
+        }
+
+        values[field] = source === 'derived' ? calculated.value : stored;
+        fields[field] = {
+            source,
+            value: values[field],
+            derivedValue: calculated ? calculated.value : null,
+            explanation: calculated ? calculated.explanation : null
+        };
+    }
+
+    return { values, fields };
+}
+
+/**
+ * Values to persist for derived fields that are not manually overridden.
+ * Fields whose inputs are missing are left untouched.
+ */
+function getDerivedUpdates(settings) {
+    const { fields } = resolveTargets(settings);
+    const updates = {};
+    for (const field of DERIVED_FIELDS) {
+        if (fields[field].source === 'derived') {
+            updates[field] = fields[field].value;
+        }
+    }
+    return updates;
+}
+
+module.exports = {
+    WEEKS_PER_MONTH,
+    DERIVED_FIELDS,
+    resolveTargets,
+    getDerivedUpdates
+};
@@ -0,0 +1,641 @@
+// Validation for weekly sales and production figures, products, settings,
+// the calendar, the capacity plan and installs
+// Shared by the entry forms and the spreadsheet import so both accept exactly
+// the same data. Each validator returns { error, field } naming the first
+// invalid field, or { data, warning }.
+
+const { parseDate, formatUK } = require('./periods');
+const { normaliseWeekCommencing, isWeekStart } = require('./calendar');
+const { DERIVED_FIELDS } = require('./targets');
+const { RAG_KPIS, RAG_DIRECTIONS, resolveRagThresholds } = require('./kpis');
+const { PRODUCT_FIELDS } = require('./products');
+const { INSTALL_STATUSES } = require('./installs');
+
+function validateWeekCommencing(value) {
+    if (!value) {
+        return 'Week commencing date is required';
+    }
+    if (!parseDate(String(value))) {
+        return 'Week commencing must be a valid date (YYYY-MM-DD)';
+    }
+    return null;
+}
+
+// Weeks are stored against their Monday; returns the Monday and a warning
+// when the date entered was another day
+function normaliseWeek(value) {
+    const week = normaliseWeekCommencing(String(value));
+    const warning = week === String(value)
+        ? null
+        : `${formatUK(parseDate(String(value)))} is not a Monday, so the figures were saved for the week commencing Monday ${formatUK(parseDate(week))}.`;
+    return { week, warning };
+}
+
+function combineWarnings(...warnings) {
+    const present = warnings.filter(Boolean);
+    return present.length > 0 ? present.join(' ') : null;
+}
+
+function validateSalesWeek(input) {
+    const {
+        week_commencing,
+        boxes_sold,
+        installs_sold,
+        box_revenue,
+        extras_revenue,
+        install_revenue,
+        notes
+    } = input;
+
+    const weekError = validateWeekCommencing(week_commencing);
+    if (weekError) {
+        return { error: weekError, field: 'week_commencing' };
+    }
+
+    // Validate integers
+    const boxesSold = parseInt(boxes_sold, 10);
+    const installsSold = parseInt(installs_sold, 10);
+
+    if (isNaN(boxesSold) || boxesSold < 0) {
+        return { error: 'Boxes sold must be a non-negative integer', field: 'boxes_sold' };
+    }
+
+    if (isNaN(installsSold) || installsSold < 0) {
+        return { error: 'Installs sold must be a non-negative integer', field: 'installs_sold' };
+    }
+
+    // Warn if installs > boxes but allow
+    let warning = null;
+    if (installsSold > boxesSold) {
+        warning = 'Warning: Installs sold exceeds boxes sold. This is allowed but may indicate a data entry error.';
+    }
+
+    // Parse revenue fields (allow decimals)
+    const boxRev = parseFloat(box_revenue) || 0;
+    const extrasRev = parseFloat(extras_revenue) || 0;
+    const installRev = parseFloat(install_revenue) || 0;
+
+    const { week, warning: weekWarning } = normaliseWeek(week_commencing);
+
+    return {
+        warning: combineWarnings(weekWarning, warning),
+        data: {
+            week_commencing: week,
+            boxes_sold: boxesSold,
+            installs_sold: installsSold,
+            box_revenue: boxRev,
+            extras_revenue: extrasRev,
+            install_revenue: installRev,
+            notes: notes || null
+        }
+    };
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Right first time for a production week: boxes_inspected and boxes_passed,
+ * or right_first_time_pct alone (as older spreadsheets have it), which counts
+ * every box produced as inspected. Returns { error, field } or { data } with
+ * all three fields, null when none was given.
+ */
+function validateRightFirstTime(input, boxesProduced) {
+    const { boxes_inspected, boxes_passed, right_first_time_pct } = input;
+
+    if (!isBlank(boxes_inspected) || !isBlank(boxes_passed)) {
+        const inspected = Number(boxes_inspected);
+        const passed = Number(boxes_passed);
+        if (isBlank(boxes_inspected) || !Number.isInteger(inspected) || inspected < 0) {
+            return { error: 'Boxes inspected must be a non-negative integer', field: 'boxes_inspected' };
+        }
+        if (isBlank(boxes_passed) || !Number.isInteger(passed) || passed < 0) {
+            return { error: 'Boxes passed must be a non-negative integer', field: 'boxes_passed' };
+        }
+        if (passed > inspected) {
+            return { error: 'Boxes passed cannot be more than boxes inspected', field: 'boxes_passed' };
+        }
+        return {
+            data: {
+                boxes_inspected: inspected,
+                boxes_passed: passed,
+                right_first_time_pct: inspected > 0 ? passed / inspected : null
+            }
+        };
+    }
+
+    if (!isBlank(right_first_time_pct)) {
+        const pct = parseFloat(right_first_time_pct);
+        if (isNaN(pct) || pct < 0 || pct > 1) {
+            return { error: 'Right first time % must be a fraction from 0 to 1 (0.95 = 95%)', field: 'right_first_time_pct' };
+        }
+        return {
+            data: {
+                boxes_inspected: boxesProduced,
+                boxes_passed: Math.round(pct * boxesProduced),
+                right_first_time_pct: pct
+            }
+        };
+    }
+
+    return { data: { boxes_inspected: null, boxes_passed: null, right_first_time_pct: null } };
+}
+
+function validateProductionWeek(input) {
+    const {
+        week_commencing,
+        boxes_produced,
+        installs_completed,
+        boxes_over_cost,
+        rework_hours,
+        material_cost,
+        labour_hours,
+        notes
+    } = input;
+
+    const weekError = validateWeekCommencing(week_commencing);
+    if (weekError) {
+        return { error: weekError, field: 'week_commencing' };
+    }
+
+    // Validate integers
+    const boxesProduced = parseInt(boxes_produced, 10);
+    const installsCompleted = parseInt(installs_completed, 10);
+    const boxesOverCost = parseInt(boxes_over_cost, 10) || 0;
+
+    if (isNaN(boxesProduced) || boxesProduced < 0) {
+        return { error: 'Boxes produced must be a non-negative integer', field: 'boxes_produced' };
+    }
+
+    if (isNaN(installsCompleted) || installsCompleted < 0) {
+        return { error: 'Installs completed must be a non-negative integer', field: 'installs_completed' };
+    }
+
+    if (isNaN(boxesOverCost) || boxesOverCost < 0) {
+        return { error: 'Boxes over cost must be a non-negative integer', field: 'boxes_over_cost' };
+    }
+
+    // Parse numeric fields
+    const reworkHours = parseFloat(rework_hours) || 0;
+
+    if (reworkHours < 0) {
+        return { error: 'Rework hours must be non-negative', field: 'rework_hours' };
+    }
+
+    // Costs are optional: blank means the week was not costed
+    const costs = {};
+    for (const [field, value, label] of [
+        ['material_cost', material_cost, 'Material cost'],
+        ['labour_hours', labour_hours, 'Labour hours']
+    ]) {
+        costs[field] = isBlank(value) ? null : Number(value);
+        if (costs[field] !== null && (isNaN(costs[field]) || costs[field] < 0)) {
+            return { error: `${label} must be a non-negative number`, field };
+        }
+    }
+
+    const rightFirstTime = validateRightFirstTime(input, boxesProduced);
+    if (rightFirstTime.error) {
+        return rightFirstTime;
+    }
+
+    const { week, warning } = normaliseWeek(week_commencing);
+
+    return {
+        warning,
+        data: {
+            week_commencing: week,
+            boxes_produced: boxesProduced,
+            installs_completed: installsCompleted,
+            boxes_over_cost: boxesOverCost,
+            rework_hours: reworkHours,
+            ...costs,
+            ...rightFirstTime.data,
+            notes: notes || null
+        }
+    };
+}
+
+// Settings that hold a number, and those that are fractions (0.8 = 80%)
+const SETTINGS_NUMERIC_FIELDS = [
+    'annual_turnover',
+    'base_box_price',
+    'gross_margin_pct',
+    'monthly_contribution_target',
+    'survival_contribution',
+    'target_boxes_per_month',
+    'target_boxes_per_week',
+    'target_install_pct',
+    'target_extras_pct',
+    'contribution_per_box',
+    'cost_compliance_target',
+    'right_first_time_target',
+    'labour_rate',
+    'standard_cost_per_box',
+    'headcount',
+    'hours_per_week',
+    'standard_hours_per_box',
+    'opening_backlog_boxes'
+];
+
+const SETTINGS_FRACTION_FIELDS = [
+    'target_install_pct',
+    'target_extras_pct',
+    'gross_margin_pct',
+    'cost_compliance_target',
+    'right_first_time_target'
+];
+
+/**
+ * RAG thresholds from the settings panel or API: { [kpi]: { direction, basis,
+ * red, green } } for any subset of KPIs, merged over the thresholds in force.
+ * Returns { error, field } or { data } with every KPI filled in.
+ */
+function validateRagThresholds(input, current) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        return { error: 'RAG thresholds must be an object keyed by KPI', field: 'rag_thresholds' };
+    }
+    const resolved = resolveRagThresholds({ rag_thresholds: current });
+    const data = {};
+    for (const kpi of RAG_KPIS) {
+        const field = `rag_thresholds.${kpi.key}`;
+        const config = { ...resolved[kpi.key], ...(input[kpi.key] || {}) };
+
+        if (!RAG_DIRECTIONS.includes(config.direction)) {
+            return { error: `${kpi.label} direction must be higher or lower`, field };
+        }
+        if (!kpi.bases.includes(config.basis)) {
+            return { error: `${kpi.label} thresholds can only be set as ${kpi.bases.join(', ')}`, field };
+        }
+        if (config.basis === 'survival') {
+            // Survival and target come from the contribution settings
+            data[kpi.key] = { direction: config.direction, basis: config.basis, red: null, green: null };
+            continue;
+        }
+
+        const red = parseFloat(config.red);
+        const green = parseFloat(config.green);
+        if (isNaN(red) || isNaN(green) || red < 0 || green < 0) {
+            return { error: `${kpi.label} red and green thresholds must be numbers of 0 or more`, field };
+        }
+        if (config.direction === 'higher' ? red > green : red < green) {
+            const order = config.direction === 'higher' ? 'higher' : 'lower';
+            return { error: `${kpi.label} green threshold must be ${order} than or equal to red`, field };
+        }
+        data[kpi.key] = { direction: config.direction, basis: config.basis, red, green };
+    }
+    return { data };
+}
+
+// A settings change: any subset of the settings fields, plus valid_from and
+// change_note. Data is { updates, validFrom, changeNote }.
+// current: the settings in force on the change's effective date, which a
+// partial update is checked and merged over
+function validateSettingsUpdate(input, current = {}) {
+    const { valid_from: validFrom, change_note: changeNote, ...updates } = input;
+
+    if (validFrom && !parseDate(String(validFrom))) {
+        return { error: 'Effective from must be a valid date (YYYY-MM-DD)', field: 'valid_from' };
+    }
+
+    // Validate install and extras percentages don't exceed reasonable limits,
+    // taking the one not being changed as it stands
+    if (updates.target_install_pct !== undefined || updates.target_extras_pct !== undefined) {
+        const merged = { ...current, ...updates };
+        const installPct = parseFloat(merged.target_install_pct || 0);
+        const extrasPct = parseFloat(merged.target_extras_pct || 0);
+        if (installPct + extrasPct > 1.0) {
+            const field = updates.target_extras_pct !== undefined ? 'target_extras_pct' : 'target_install_pct';
+            return { error: 'Install % + Extras % cannot exceed 100%', field };
+        }
+    }
+
+    // Optional inputs can be cleared from the settings form
+    for (const field of ['annual_turnover', 'base_box_price']) {
+        if (updates[field] === '' || updates[field] === null) {
+            updates[field] = null;
+        }
+    }
+
+    for (const field of SETTINGS_NUMERIC_FIELDS) {
+        if (updates[field] !== undefined && updates[field] !== null) {
+            const value = parseFloat(updates[field]);
+            if (isNaN(value) || value < 0) {
+                return { error: `Invalid value for ${field}`, field };
+            }
+            if (SETTINGS_FRACTION_FIELDS.includes(field) && value > 1) {
+                return { error: `${field} cannot exceed 1.0 (100%)`, field };
+            }
+            if (field === 'headcount' && !Number.isInteger(value)) {
+                return { error: 'Headcount must be a whole number of people', field };
+            }
+            if (field === 'hours_per_week' && value > 168) {
+                return { error: 'Hours per week cannot exceed 168', field };
+            }
+            updates[field] = value;
+        }
+    }
+
+    if (updates.rag_thresholds !== undefined) {
+        const thresholds = validateRagThresholds(updates.rag_thresholds, current.rag_thresholds);
+        if (thresholds.error) {
+            return thresholds;
+        }
+        updates.rag_thresholds = thresholds.data;
+    }
+
+    // Manual override flags for derived targets
+    for (const field of DERIVED_FIELDS) {
+        const flag = `${field}_manual`;
+        if (updates[flag] !== undefined) {
+            updates[flag] = updates[flag] === true || updates[flag] === 'true' || updates[flag] === 'on';
+        }
+    }
+
+    return {
+        warning: null,
+        data: {
+            updates,
+            validFrom: validFrom || null,
+            changeNote: changeNote || null
+        }
+    };
+}
+
+// A factory shutdown: dates inclusive, at most a year long, with a reason
+function validateShutdown(input) {
+    const startDate = String(input.start_date || '');
+    const endDate = String(input.end_date || startDate);
+    const reason = String(input.reason || '').trim();
+
+    if (!parseDate(startDate)) {
+        return { error: 'Start date must be a valid date (YYYY-MM-DD)', field: 'start_date' };
+    }
+    if (!parseDate(endDate)) {
+        return { error: 'End date must be a valid date (YYYY-MM-DD)', field: 'end_date' };
+    }
+    if (endDate < startDate) {
+        return { error: 'End date cannot be before the start date', field: 'end_date' };
+    }
+    if (parseDate(endDate) - parseDate(startDate) > 366 * 24 * 60 * 60 * 1000) {
+        return { error: 'A shutdown can be at most a year long', field: 'end_date' };
+    }
+    if (!reason || reason.length > 200) {
+        return { error: 'Give a reason of up to 200 characters, e.g. "Summer shutdown"', field: 'reason' };
+    }
+
+    return {
+        warning: null,
+        data: { start_date: startDate, end_date: endDate, reason }
+    };
+}
+
+// Staff away on each working day from start_date to end_date inclusive
+function validatePlannedHoliday(input) {
+    const startDate = String(input.start_date || '');
+    const endDate = String(input.end_date || startDate);
+    const people = Number(input.people);
+    const reason = String(input.reason || '').trim();
+
+    if (!parseDate(startDate)) {
+        return { error: 'Start date must be a valid date (YYYY-MM-DD)', field: 'start_date' };
+    }
+    if (!parseDate(endDate)) {
+        return { error: 'End date must be a valid date (YYYY-MM-DD)', field: 'end_date' };
+    }
+    if (endDate < startDate) {
+        return { error: 'End date cannot be before the start date', field: 'end_date' };
+    }
+    if (parseDate(endDate) - parseDate(startDate) > 366 * 24 * 60 * 60 * 1000) {
+        return { error: 'A holiday can be at most a year long', field: 'end_date' };
+    }
+    if (isBlank(input.people) || !Number.isInteger(people) || people < 1 || people > 1000) {
+        return { error: 'People away must be a whole number from 1 to 1000', field: 'people' };
+    }
+    if (!reason || reason.length > 200) {
+        return { error: 'Give a reason of up to 200 characters, e.g. "J. Smith annual leave"', field: 'reason' };
+    }
+
+    return {
+        warning: null,
+        data: { start_date: startDate, end_date: endDate, people, reason }
+    };
+}
+
+/**
+ * Planned boxes from the Capacity page: a list (or object keyed by index, as
+ * for validateProductBreakdown) of { week_commencing, planned_boxes }. A blank
+ * planned_boxes clears the week's plan. Returns { error, field } or { data }
+ * with a list of { week_commencing, planned_boxes }.
+ */
+function validateProductionPlan(input) {
+    const weeks = [];
+    for (const week of Object.values(input || {})) {
+        const weekCommencing = String(week.week_commencing || '');
+        if (!parseDate(weekCommencing) || !isWeekStart(weekCommencing)) {
+            return { error: 'Planned weeks must commence on a Monday', field: 'plan' };
+        }
+        if (isBlank(week.planned_boxes)) {
+            weeks.push({ week_commencing: weekCommencing, planned_boxes: null });
+            continue;
+        }
+        const planned = Number(week.planned_boxes);
+        if (!Number.isInteger(planned) || planned < 0) {
+            return {
+                error: `Planned boxes for week commencing ${formatUK(parseDate(weekCommencing))} must be a whole number of 0 or more`,
+                field: `plan.${weekCommencing}`
+            };
+        }
+        weeks.push({ week_commencing: weekCommencing, planned_boxes: planned });
+    }
+    return { warning: null, data: weeks };
+}
+
+/**
+ * An install on the board. A scheduled install needs an install date and
+ * crew; a completed one its completed date, which cannot be before the sale
+ * or after today (todayKey). The install date of a completed install
+ * defaults to its completed date.
+ */
+function validateInstall(input, todayKey) {
+    const text = field => String(input[field] || '').trim() || null;
+    const reference = text('reference');
+    const customer = text('customer');
+    const crew = text('crew');
+    const installs = Number(input.installs);
+    const soldDate = String(input.sold_date || '');
+    const status = String(input.status || 'sold');
+
+    if (!reference && !customer) {
+        return { error: 'Give a customer or an order reference', field: 'customer' };
+    }
+    if (reference && reference.length > 50) {
+        return { error: 'Reference can be up to 50 characters', field: 'reference' };
+    }
+    if (customer && customer.length > 100) {
+        return { error: 'Customer can be up to 100 characters', field: 'customer' };
+    }
+    if (isBlank(input.installs) || !Number.isInteger(installs) || installs < 1 || installs > 1000) {
+        return { error: 'Installs must be a whole number from 1 to 1000', field: 'installs' };
+    }
+    if (!parseDate(soldDate)) {
+        return { error: 'Sold date must be a valid date (YYYY-MM-DD)', field: 'sold_date' };
+    }
+    if (!INSTALL_STATUSES.some(option => option.value === status)) {
+        return { error: 'Please choose a valid status', field: 'status' };
+    }
+    if (crew && crew.length > 100) {
+        return { error: 'Crew can be up to 100 characters', field: 'crew' };
+    }
+
+    let installDate = isBlank(input.install_date) ? null : String(input.install_date);
+    if (installDate && !parseDate(installDate)) {
+        return { error: 'Install date must be a valid date (YYYY-MM-DD)', field: 'install_date' };
+    }
+    let completedDate = null;
+    if (status === 'scheduled') {
+        if (!installDate) {
+            return { error: 'A scheduled install needs an install date', field: 'install_date' };
+        }
+        if (!crew) {
+            return { error: 'A scheduled install needs a crew', field: 'crew' };
+        }
+    }
+    if (status === 'completed') {
+        completedDate = String(input.completed_date || installDate || '');
+        if (!parseDate(completedDate)) {
+            return { error: 'A completed install needs its completed date (YYYY-MM-DD)', field: 'completed_date' };
+        }
+        if (completedDate < soldDate) {
+            return { error: 'Completed date cannot be before the sold date', field: 'completed_date' };
+        }
+        if (todayKey && completedDate > todayKey) {
+            return { error: 'Completed date cannot be in the future', field: 'completed_date' };
+        }
+        installDate = installDate || completedDate;
+    }
+
+    let warning = null;
+    if (installDate && installDate < soldDate) {
+        warning = `The install date ${formatUK(parseDate(installDate))} is before the sale on ${formatUK(parseDate(soldDate))}.`;
+    }
+
+    return {
+        warning,
+        data: {
+            reference,
+            customer,
+            installs,
+            sold_date: soldDate,
+            status,
+            install_date: installDate,
+            crew,
+            completed_date: completedDate,
+            notes: text('notes')
+        }
+    };
+}
+
+// A product in the catalogue. Codes are short identifiers, e.g. "STD-12".
+function validateProduct(input) {
+    const code = String(input.code || '').trim().toUpperCase();
+    const name = String(input.name || '').trim();
+
+    if (!/^[A-Z0-9][A-Z0-9_-]{0,19}$/.test(code)) {
+        return { error: 'Code must be up to 20 letters, digits, dashes or underscores, e.g. STD-12', field: 'code' };
+    }
+    if (!name || name.length > 100) {
+        return { error: 'Give the product a name of up to 100 characters', field: 'name' };
+    }
+
+    const data = { code, name, active: input.active === undefined ? true : [true, 'true', 'on', '1'].includes(input.active) };
+    for (const [field, label] of [
+        ['list_price', 'List price'],
+        ['standard_cost', 'Standard cost'],
+        ['standard_labour_hours', 'Standard labour hours']
+    ]) {
+        const value = isBlank(input[field]) ? 0 : Number(input[field]);
+        if (isNaN(value) || value < 0) {
+            return { error: `${label} must be a non-negative number`, field };
+        }
+        data[field] = value;
+    }
+
+    let warning = null;
+    if (data.standard_cost > data.list_price) {
+        warning = `Standard cost is more than the list price, so every ${code} sold at list loses money.`;
+    }
+    return { warning, data };
+}
+
+/**
+ * A week's quantities by product, as posted by the sales or production form:
+ * a list of { product_id, boxes_sold, box_revenue } (or boxes_produced and
+ * boxes_over_cost). Body parsing turns long lists into objects keyed by
+ * index, so either is accepted. Blank products are left out. The quantities cannot add up
+ * to more than the week's totals (weekData, from validateSalesWeek or
+ * validateProductionWeek). Returns { error, field } or { data } with a list
+ * of { product_id, ...quantities }.
+ */
+function validateProductBreakdown(table, input, products, weekData) {
+    const fields = PRODUCT_FIELDS[table];
+    const byId = new Map(products.map(product => [String(product.id), product]));
+    const items = [];
+
+    for (const quantities of Object.values(input || {})) {
+        const product = byId.get(String(quantities.product_id));
+        if (!product) {
+            return { error: 'Unknown product in the breakdown', field: 'products' };
+        }
+        if (fields.every(({ field }) => isBlank(quantities[field]))) continue;
+
+        const item = { product_id: product.id };
+        for (const { field, label, type } of fields) {
+            const value = isBlank(quantities[field]) ? 0 : Number(quantities[field]);
+            if (isNaN(value) || value < 0 || (type === 'integer' && !Number.isInteger(value))) {
+                return {
+                    error: `${product.code} ${label} must be a non-negative ${type === 'integer' ? 'whole number' : 'amount'}`,
+                    field: `products.${product.id}.${field}`
+                };
+            }
+            item[field] = value;
+        }
+        if (table === 'production_weekly' && item.boxes_over_cost > item.boxes_produced) {
+            return {
+                error: `${product.code} boxes over cost cannot be more than its boxes produced`,
+                field: `products.${product.id}.boxes_over_cost`
+            };
+        }
+        items.push(item);
+    }
+
+    for (const { field, label } of fields) {
+        const total = items.reduce((sum, item) => sum + item[field], 0);
+        const weekTotal = parseFloat(weekData[field]) || 0;
+        if (total > weekTotal + 0.005) {
+            return {
+                error: `The products add up to ${total} ${label}, more than the ${weekTotal} for the week`,
+                field: 'products'
+            };
+        }
+    }
+
+    return { warning: null, data: items };
+}
+
+module.exports = {
+    SETTINGS_NUMERIC_FIELDS,
+    SETTINGS_FRACTION_FIELDS,
+    validateSalesWeek,
+    validateProductionWeek,
+    validateRightFirstTime,
+    validateRagThresholds,
+    validateSettingsUpdate,
+    validateShutdown,
+    validatePlannedHoliday,
+    validateProductionPlan,
+    validateInstall,
+    validateProduct,
+    validateProductBreakdown
+};
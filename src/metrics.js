@@ -0,0 +1,323 @@
+// Dashboard metrics for Box Control Dashboard
+// Loads the weekly figures for a reporting period and works out every KPI
+// shown on the dashboard (the maths is in lib/kpis.js), so the dashboard, the
+// exports and the API report the same numbers.
+const db = require('./db');
+const { comparisonPeriod, isCurrentPeriod, evaluationDate, monthPeriod, parseDate, addDays, mondayOf, toDateString, toDateKey } = require('./lib/periods');
+const { buildForecast, combineWithPipeline } = require('./lib/forecast');
+const { calculateKpis, contributionFor, buildRate, getRAGThresholds, getRAGStatuses } = require('./lib/kpis');
+const { checkCompleteness } = require('./lib/completeness');
+const { productMix } = require('./lib/products');
+const { weekCost, periodCosts } = require('./lib/costing');
+const { capacityModel, weekCapacity, planWeeks, monthOutlook, capacityWarnings } = require('./lib/capacity');
+const { installStats } = require('./lib/installs');
+const { reconcileWeeks, backlogAt } = require('./lib/backlog');
+
+// Actual against standard cost over the period's own weeks (see
+// lib/costing.js), each week at the labour rate and standard cost per box in
+// force that week
+async function loadPeriodCosts(period) {
+    const products = await db.getProducts();
+    const weeks = await db.getProductionCostWeeks(period.start, period.end);
+    const settingsAt = await db.getSettingsResolver();
+    const weekCosts = weeks.map(week => weekCost(week, week.products, products, settingsAt(week.week_commencing)));
+    return periodCosts(weekCosts, toDateKey(period.start), toDateKey(period.end), await db.getCalendar());
+}
+
+// Install backlog on the evaluation date and lead time of the installs
+// completed in the period up to then (see lib/installs.js)
+async function loadPeriodInstalls(period, asAt) {
+    const installs = await db.getPeriodInstalls(period.start, asAt);
+    return installStats(installs, toDateKey(period.start), toDateKey(period.end), asAt);
+}
+
+// Boxes sold and produced reconciled week by week up to a date, from the
+// first recorded week. The opening backlog describes the past rather than a
+// target, so the current value is used throughout.
+async function loadBoxFlow(endKey, fromKey = null) {
+    const settings = await db.getSettings();
+    return reconcileWeeks(await db.getBoxFlowWeeks(endKey), settings.opening_backlog_boxes, fromKey);
+}
+
+// Order backlog as at a date, from the last week with both sales and
+// production recorded (see lib/backlog.js)
+async function loadPeriodBacklog(asAt) {
+    const week = backlogAt(await loadBoxFlow(asAt), asAt);
+    return {
+        weekCommencing: week ? week.week_commencing : null,
+        boxes: week ? week.backlog : null,
+        buildRate: week ? week.buildRate : null,
+        weeks: week ? week.backlogWeeks : null
+    };
+}
+
+// Order backlog page: the weeks of the last rangeWeeks, with cumulative sold
+// and produced counted from the first of them, and the backlog today
+async function loadBacklog(today, rangeWeeks) {
+    const todayKey = toDateString(today);
+    const fromKey = toDateString(addDays(parseDate(mondayOf(todayKey)), -7 * (rangeWeeks - 1)));
+    return {
+        fromKey,
+        weeks: await loadBoxFlow(todayKey, fromKey),
+        current: await loadPeriodBacklog(todayKey)
+    };
+}
+
+// Load every dashboard metric for one reporting period.
+// Mix and guardrail KPIs (install %, extras %, cost compliance, rework,
+// right first time, average boxes/week) use the last 4 recorded weeks to the end of a month,
+// because a single month is too short to be stable; longer periods use all
+// of their weeks. Cost variance is over the period's own weeks, as money
+// lost adds up rather than averaging out. The install and order backlogs are
+// taken on the same date the targets are.
+async function loadPeriodMetrics(period, today) {
+    const asAt = evaluationDate(period, today);
+    const periodSettings = await db.getSettingsAt(asAt);
+
+    const salesTotals = await db.getSalesTotals(period.start, period.end);
+    const productionTotals = await db.getProductionTotals(period.start, period.end);
+
+    const useTrailingWeeks = period.type === 'month';
+    const salesWeeks = useTrailingWeeks
+        ? await db.getSalesLast4Weeks(period.end)
+        : await db.getSalesWeeksBetween(period.start, period.end);
+    const productionWeeks = useTrailingWeeks
+        ? await db.getProductionLast4Weeks(period.end)
+        : await db.getProductionWeeksBetween(period.start, period.end);
+
+    const kpis = calculateKpis({
+        salesTotals,
+        productionTotals,
+        salesWeeks,
+        productionWeeks,
+        settings: periodSettings,
+        months: period.months
+    });
+
+    const costs = await loadPeriodCosts(period);
+    const installs = await loadPeriodInstalls(period, asAt);
+    const backlog = await loadPeriodBacklog(asAt);
+
+    // Date range actually covered by the mix window
+    let windowStart = null;
+    let windowEnd = null;
+    if (salesWeeks.length > 0) {
+        const dates = salesWeeks.map(w => toDateKey(w.week_commencing)).sort();
+        windowStart = dates[0];
+        windowEnd = dates[dates.length - 1];
+    }
+
+    return {
+        period,
+        periodSettings,
+        salesTotals,
+        productionTotals,
+        salesWeeks,
+        productionWeeks,
+        useTrailingWeeks,
+        windowStart,
+        windowEnd,
+        costs,
+        installs,
+        backlog,
+        ...kpis,
+        costVariancePct: costs.variancePct,
+        installBacklog: installs.backlog,
+        installLeadTimeDays: installs.averageLeadTimeDays,
+        orderBacklogBoxes: backlog.boxes,
+        orderBacklogWeeks: backlog.weeks
+    };
+}
+
+// Sales and production weeks missing between two dates as at today (see
+// lib/completeness.js)
+async function loadCompleteness(startKey, endKey, today) {
+    return checkCompleteness({
+        startKey,
+        endKey,
+        todayKey: toDateString(today),
+        calendar: await db.getCalendar(),
+        salesRows: await db.getSalesWeeksBetween(startKey, endKey),
+        productionRows: await db.getProductionWeeksBetween(startKey, endKey),
+        firstWeeks: {
+            sales: await db.getEarliestWeek('sales_weekly'),
+            production: await db.getEarliestWeek('production_weekly')
+        }
+    });
+}
+
+// Weeks missing from the figures a period's KPIs are based on: the weeks in
+// the period and, for a month, the trailing 4-week window
+async function loadPeriodCompleteness(metrics, today) {
+    const { period } = metrics;
+    let start = mondayOf(period.start);
+    if (metrics.useTrailingWeeks) {
+        const lastDue = toDateString(addDays(parseDate(mondayOf(toDateString(today))), -7));
+        const periodLastWeek = mondayOf(period.end);
+        const windowEnd = periodLastWeek < lastDue ? periodLastWeek : lastDue;
+        const windowStart = toDateString(addDays(parseDate(windowEnd), -21));
+        if (windowStart < start) start = windowStart;
+    }
+    return loadCompleteness(start, period.end, today);
+}
+
+// Boxes, revenue, contribution and over-cost counts by product for a period's
+// weeks (see lib/products.js)
+async function loadProductMix(metrics) {
+    const { period } = metrics;
+    return productMix({
+        products: await db.getProducts(),
+        salesByProduct: await db.getProductTotals('sales_weekly', period.start, period.end),
+        productionByProduct: await db.getProductTotals('production_weekly', period.start, period.end),
+        salesTotals: metrics.salesTotals,
+        productionTotals: metrics.productionTotals
+    });
+}
+
+// Modelled capacity for each week (see lib/capacity.js), keyed by week
+// commencing, with the capacity settings in force that week
+async function loadWeekCapacities(weekKeys) {
+    const calendar = await db.getCalendar();
+    const lastDay = toDateString(addDays(parseDate(weekKeys[weekKeys.length - 1]), 6));
+    const holidays = await db.getPlannedHolidays(weekKeys[0], lastDay);
+    const capacities = new Map();
+    for (const weekCommencing of weekKeys) {
+        const model = capacityModel(await db.getSettingsAt(weekCommencing));
+        capacities.set(weekCommencing, weekCapacity(weekCommencing, model, calendar, holidays));
+    }
+    return capacities;
+}
+
+// Forward look from today: forecast the coming weeks (horizonWeeks, 4–13)
+// from two years of history and set them against the pipeline and capacity
+async function loadForwardLook(today, horizonWeeks) {
+    const thisMonth = monthPeriod(today.getFullYear(), today.getMonth());
+    const thisMonthSettings = await db.getSettingsAt(toDateString(today));
+    const thisMonthSales = await db.getSalesTotals(thisMonth.start, thisMonth.end);
+    const forecastHistory = await db.getSalesWeeksBetween(
+        toDateString(addDays(today, -2 * 365)),
+        toDateString(today)
+    );
+    const forecast = buildForecast({
+        history: forecastHistory,
+        settings: thisMonthSettings,
+        monthToDate: { contribution: contributionFor(thisMonthSales, thisMonthSettings) },
+        horizonWeeks,
+        today
+    });
+
+    // Booked pipeline for the same weeks, and each week's capacity: modelled
+    // where the capacity settings are set, otherwise the recent build rate
+    const forecastStart = forecast.weeks[0].week_commencing;
+    const forecastEnd = forecast.weeks[forecast.weeks.length - 1].week_commencing;
+    const pipelineOrders = await db.getPipelineOrdersBetween(forecastStart, toDateString(addDays(new Date(forecastEnd), 6)));
+    const capacityPerWeek = buildRate(await db.getProductionLast4Weeks());
+    const capacities = await loadWeekCapacities(forecast.weeks.map(week => week.week_commencing));
+    const modelled = weekCommencing => capacities.get(weekCommencing).boxes !== null;
+    const forwardLook = combineWithPipeline(
+        forecast.weeks,
+        pipelineOrders,
+        weekCommencing => modelled(weekCommencing) ? capacities.get(weekCommencing).boxes : capacityPerWeek
+    ).map(week => ({ ...week, capacityModelled: modelled(week.week_commencing) }));
+
+    return { forecast, forwardLook, capacityPerWeek, capacities };
+}
+
+/**
+ * The Capacity page: the forward look's weeks with their hours and plan, each
+ * month they run to the end of against its box target, and the warnings to
+ * show (see lib/capacity.js). A month's boxes produced so far are those
+ * recorded before the first week shown; its target is the one in force from
+ * today, or from the month's start for a later month.
+ */
+async function loadCapacityPlan(today, horizonWeeks) {
+    const { forecast, forwardLook, capacityPerWeek, capacities } = await loadForwardLook(today, horizonWeeks);
+    const firstWeek = forwardLook[0].week_commencing;
+    const lastDay = toDateString(addDays(parseDate(forwardLook[forwardLook.length - 1].week_commencing), 6));
+    const weeks = planWeeks(forwardLook, capacities, await db.getProductionPlan(firstWeek, lastDay));
+
+    const todayKey = toDateString(today);
+    const monthRows = [];
+    const monthOf = dateKey => monthPeriod(parseDate(dateKey).getUTCFullYear(), parseDate(dateKey).getUTCMonth());
+    for (let month = monthOf(firstWeek); month.start <= lastDay; month = monthOf(toDateString(addDays(parseDate(month.end), 1)))) {
+        const settings = await db.getSettingsAt(month.start > todayKey ? month.start : todayKey);
+        const produced = month.start < firstWeek
+            ? await db.getProductionTotals(month.start, toDateString(addDays(parseDate(firstWeek), -1)))
+            : { boxes_produced: 0 };
+        monthRows.push({
+            label: month.label,
+            start: month.start,
+            end: month.end,
+            target: settings.target_boxes_per_month,
+            produced: produced.boxes_produced
+        });
+    }
+    const months = monthOutlook(monthRows, weeks, await db.getCalendar());
+
+    return {
+        forecast,
+        weeks,
+        months,
+        warnings: capacityWarnings(weeks, months),
+        model: capacityModel(await db.getSettingsAt(todayKey)),
+        capacityPerWeek
+    };
+}
+
+/**
+ * Everything the dashboard shows for a period: its metrics, RAG statuses and thresholds,
+ * the change against the comparison period, the forward look from today
+ * (forecast combined with the pipeline and production capacity), the
+ * split by product and the weeks missing from its figures.
+ * Options: forecastWeeks (horizon for the forward look).
+ */
+async function loadDashboardMetrics(period, today, options = {}) {
+    const comparison = comparisonPeriod(period, today);
+    const inProgress = isCurrentPeriod(period, today);
+
+    // Each period is judged against the targets in force at the time
+    const current = await loadPeriodMetrics(period, today);
+    const previous = await loadPeriodMetrics(comparison, today);
+
+    // Change against the comparison period for each card
+    const deltaKeys = [
+        'contribution', 'installPct', 'extrasPct', 'contributionPerBox',
+        'costCompliancePct', 'reworkPerBox', 'rightFirstTimePct', 'periodRightFirstTimePct', 'avgBoxesPerWeek',
+        'installBacklog', 'installLeadTimeDays', 'orderBacklogBoxes', 'orderBacklogWeeks'
+    ];
+    const deltas = {};
+    for (const key of deltaKeys) {
+        deltas[key] = { current: current[key], previous: previous[key] };
+    }
+    // Variance is null for a period with no costed weeks
+    const variance = metrics => metrics.costs.weeksCosted > 0 ? metrics.costs.variance : null;
+    deltas.costVariance = { current: variance(current), previous: variance(previous) };
+    deltas.boxesSold = { current: current.salesTotals.boxes_sold, previous: previous.salesTotals.boxes_sold };
+    deltas.boxesProduced = { current: current.productionTotals.boxes_produced, previous: previous.productionTotals.boxes_produced };
+
+    const { forecast, forwardLook, capacityPerWeek } = await loadForwardLook(today, options.forecastWeeks);
+
+    return {
+        period,
+        comparison,
+        inProgress,
+        current,
+        previous,
+        rag: getRAGStatuses(current, current.periodSettings),
+        thresholds: getRAGThresholds(current, current.periodSettings),
+        deltas,
+        forecast,
+        forwardLook,
+        capacityPerWeek,
+        productMix: await loadProductMix(current),
+        completeness: await loadPeriodCompleteness(current, today)
+    };
+}
+
+module.exports = {
+    loadPeriodMetrics,
+    loadDashboardMetrics,
+    loadCapacityPlan,
+    loadBacklog,
+    loadCompleteness
+};
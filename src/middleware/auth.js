@@ -1,44 +1,203 @@
 // Authentication Middleware for Box Control Dashboard
-// Simple passcode-based authentication with session cookies
+// Named user accounts with roles, signed in through the session. Until the
+// first user exists the app is open in dev mode (no APP_PASSCODE), or asks for
+// APP_PASSCODE once to set up the first admin account. Requests to /api/* may
+// instead send an API token as "Authorization: Bearer <token>".
 
-function requireAuth(req, res, next) {
-    // Skip authentication for login routes (handled separately in server.js)
-    if (req.path === '/login') {
-        return next();
+const crypto = require('crypto');
+const db = require('../db');
+const { hashToken, tokenFromRequest, scopeAllows, createRateLimiter } = require('../lib/apiTokens');
+
+const ROLES = [
+    { value: 'admin', label: 'Admin', description: 'Everything, including settings and user accounts' },
+    { value: 'sales', label: 'Sales', description: 'Sales figures, order ledger and pipeline' },
+    { value: 'production', label: 'Production', description: 'Production figures' },
+    { value: 'viewer', label: 'Viewer', description: 'Read only' }
+];
+
+const ALL_ROLES = ROLES.map(role => role.value);
+
+// Roles allowed each kind of change; reading is open to every signed-in user.
+// The read permissions exist so API tokens can be scoped to them.
+const PERMISSIONS = {
+    'sales:read': ALL_ROLES,
+    'production:read': ALL_ROLES,
+    'settings:read': ALL_ROLES,
+    'kpis:read': ALL_ROLES,
+    'sales:write': ['admin', 'sales'],
+    'production:write': ['admin', 'production'],
+    'settings:write': ['admin'],
+    'users:manage': ['admin'],
+    'tokens:manage': ['admin']
+};
+
+// Stand-in user while no accounts exist and no APP_PASSCODE is set
+const DEV_USER = { id: null, username: 'dev mode', display_name: 'Dev mode', role: 'admin' };
+
+function isDevMode() {
+    return !process.env.APP_PASSCODE || process.env.APP_PASSCODE.trim() === '';
+}
+
+function hasPermission(user, permission) {
+    return Boolean(user && PERMISSIONS[permission] && PERMISSIONS[permission].includes(user.role));
+}
+
+// Requests from fetch() (DELETE, JSON bodies) and the API expect JSON errors
+function wantsJson(req) {
+    return req.path.startsWith('/api/') || req.method === 'DELETE' || Boolean(req.is('application/json'));
+}
+
+function setUser(req, res, user) {
+    req.user = user;
+    res.locals.currentUser = user;
+    res.locals.can = permission => hasPermission(user, permission);
+}
+
+const takeRateLimit = createRateLimiter();
+
+// The user a token acts as: its owner for a personal token, or a stand-in
+// with no role for a service token (scopes alone decide what it may do)
+function tokenUser(token) {
+    if (token.kind === 'service') {
+        return { id: null, username: `service:${token.name}`, display_name: token.name, role: null };
     }
+    return {
+        id: token.user_id,
+        username: token.owner_username,
+        display_name: token.owner_display_name,
+        role: token.owner_role,
+        active: token.owner_active
+    };
+}
 
-    // If APP_PASSCODE is not set, allow access (dev mode)
-    if (!process.env.APP_PASSCODE || process.env.APP_PASSCODE.trim() === '') {
-        return next();
+// Sign in an /api/* request by its bearer token, or answer 401/429
+async function authenticateToken(req, res, next, token) {
+    const record = token ? await db.getActiveApiTokenByHash(hashToken(token)) : null;
+    if (!record || (record.kind === 'personal' && !record.owner_active)) {
+        return res.status(401).json({ success: false, error: 'Invalid or revoked API token', code: 'unauthorized' });
     }
 
-    // Check if user is authenticated via session
-    if (req.session && req.session.authenticated) {
+    const limit = takeRateLimit(record.id, record.rate_limit_per_minute);
+    res.set('X-RateLimit-Limit', String(limit.limit));
+    res.set('X-RateLimit-Remaining', String(limit.remaining));
+    if (!limit.allowed) {
+        res.set('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({
+            success: false,
+            error: `Rate limit of ${limit.limit} requests per minute exceeded; retry in ${limit.retryAfter}s`,
+            code: 'rate_limited'
+        });
+    }
+
+    await db.recordApiTokenUse(record.id);
+    req.apiToken = record;
+    setUser(req, res, tokenUser(record));
+    return next();
+}
+
+// Whether this request may do something: the user's role decides, and a
+// token's scopes narrow that further (a service token has only its scopes)
+function requestHasPermission(req, permission) {
+    if (req.apiToken) {
+        const roleAllows = req.apiToken.kind === 'service' || hasPermission(req.user, permission);
+        return roleAllows && scopeAllows(req.apiToken.scopes, permission);
+    }
+    return hasPermission(req.user, permission);
+}
+
+async function requireAuth(req, res, next) {
+    // Skip authentication for login routes (handled separately in routes/auth.js)
+    if (req.path === '/login') {
         return next();
     }
 
+    try {
+        await db.initializeSchema();
+
+        // API clients authenticate with a token instead of the session cookie
+        const token = req.path.startsWith('/api/') ? tokenFromRequest(req) : null;
+        if (token !== null) {
+            return await authenticateToken(req, res, next, token);
+        }
+
+        if (req.session && req.session.userId) {
+            const user = await db.getUserById(req.session.userId);
+            if (user && user.active) {
+                setUser(req, res, user);
+                return next();
+            }
+            // Account removed or deactivated since signing in
+            delete req.session.userId;
+        } else if (isDevMode() && await db.countUsers() === 0) {
+            setUser(req, res, DEV_USER);
+            return next();
+        }
+    } catch (error) {
+        console.error('Error checking login:', error);
+        if (wantsJson(req)) {
+            return res.status(500).json({ success: false, error: 'Error checking login: ' + error.message });
+        }
+        return res.status(500).render('error', {
+            message: 'Error checking login. Please check the database connection.',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+
     // If not authenticated and trying to access API, return 401
-    if (req.path.startsWith('/api/')) {
-        return res.status(401).json({ error: 'Authentication required' });
+    if (wantsJson(req)) {
+        return res.status(401).json({ success: false, error: 'Authentication required', code: 'unauthorized' });
     }
 
     // Show login page
-    return res.render('login', { 
-        error: null,
-        redirect: req.originalUrl
-    });
+    return res.redirect('/login?redirect=' + encodeURIComponent(req.originalUrl));
+}
+
+// Use after requireAuth: refuse the request unless the user's role allows it
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (requestHasPermission(req, permission)) {
+            return next();
+        }
+        const message = 'Your account does not have permission to do that';
+        if (wantsJson(req)) {
+            return res.status(403).json({ success: false, error: message, code: 'forbidden' });
+        }
+        return res.status(403).render('error', { message, error: null });
+    };
 }
 
 function isAuthenticated(req) {
-    // If APP_PASSCODE is not set, always return true (dev mode)
-    if (!process.env.APP_PASSCODE || process.env.APP_PASSCODE.trim() === '') {
-        return true;
+    return Boolean(req.user);
+}
+
+// Label recorded against changes (who made them)
+function getActor(req) {
+    return req.user ? req.user.username : 'anonymous';
+}
+
+// Who made a change, for the audit trail. The session is recorded as a short
+// fingerprint so the log never holds a usable session id; API token requests
+// record the token's display prefix instead.
+function getAuditContext(req) {
+    if (req.apiToken) {
+        return { changedBy: getActor(req), sessionId: `token:${req.apiToken.token_prefix}` };
     }
-    return req.session && req.session.authenticated === true;
+    return {
+        changedBy: getActor(req),
+        sessionId: req.sessionID
+            ? crypto.createHash('sha256').update(req.sessionID).digest('hex').slice(0, 12)
+            : null
+    };
 }
 
 module.exports = {
+    ROLES,
+    PERMISSIONS,
+    isDevMode,
+    hasPermission,
     requireAuth,
-    isAuthenticated
+    requirePermission,
+    isAuthenticated,
+    getActor,
+    getAuditContext
 };
-
@@ -0,0 +1,184 @@
+// Versioned migration runner for Box Control Dashboard
+// Applies every migrations/NNN_name.sql file exactly once, in order, and
+// records each one in schema_migrations with a checksum of its contents.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+// Arbitrary key so concurrent app instances don't run migrations side by side
+const MIGRATION_LOCK_KEY = 482193;
+
+const CREATE_TRACKING_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+function checksum(sql) {
+    return crypto.createHash('sha256').update(sql, 'utf8').digest('hex');
+}
+
+// Discover migration files ordered by their numeric prefix
+function discoverMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(filename => {
+            const match = filename.match(MIGRATION_FILE_PATTERN);
+            if (!match) return null;
+            const sql = fs.readFileSync(path.join(dir, filename), 'utf8');
+            return {
+                version: match[1],
+                name: match[2],
+                filename,
+                sql,
+                checksum: checksum(sql)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => parseInt(a.version, 10) - parseInt(b.version, 10));
+
+    const seen = new Set();
+    for (const migration of migrations) {
+        if (seen.has(migration.version)) {
+            throw new Error(`Duplicate migration version ${migration.version} (${migration.filename})`);
+        }
+        seen.add(migration.version);
+    }
+
+    return migrations;
+}
+
+async function getAppliedMigrations(client) {
+    await client.query(CREATE_TRACKING_TABLE_SQL);
+    const result = await client.query(
+        'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    const applied = new Map();
+    for (const row of result.rows) {
+        applied.set(row.version, row);
+    }
+    return applied;
+}
+
+// Compare files on disk with the tracking table
+async function getMigrationStatus(pool) {
+    const client = await pool.connect();
+    try {
+        const applied = await getAppliedMigrations(client);
+        return discoverMigrations().map(migration => {
+            const record = applied.get(migration.version);
+            let state = 'pending';
+            if (record) {
+                state = record.checksum === migration.checksum ? 'applied' : 'modified';
+            }
+            return {
+                version: migration.version,
+                name: migration.name,
+                filename: migration.filename,
+                state,
+                appliedAt: record ? record.applied_at : null
+            };
+        });
+    } finally {
+        client.release();
+    }
+}
+
+// Apply all pending migrations, each inside its own transaction
+async function runMigrations(pool) {
+    const client = await pool.connect();
+    const appliedNow = [];
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        try {
+            const applied = await getAppliedMigrations(client);
+            const migrations = discoverMigrations();
+
+            // Refuse to continue if an already-applied file has been edited
+            for (const migration of migrations) {
+                const record = applied.get(migration.version);
+                if (record && record.checksum !== migration.checksum) {
+                    throw new Error(
+                        `Migration ${migration.filename} has changed since it was applied. ` +
+                        'Add a new migration instead of editing an applied one.'
+                    );
+                }
+            }
+
+            for (const migration of migrations) {
+                if (applied.has(migration.version)) continue;
+
+                try {
+                    await client.query('BEGIN');
+                    await client.query(migration.sql);
+                    await client.query(
+                        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                        [migration.version, migration.name, migration.checksum]
+                    );
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    error.message = `Migration ${migration.filename} failed: ${error.message}`;
+                    throw error;
+                }
+
+                console.log(`✅ Applied migration ${migration.filename}`);
+                appliedNow.push(migration.filename);
+            }
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+    return appliedNow;
+}
+
+// CLI: `npm run migrate` / `npm run migrate:status`
+async function main() {
+    require('dotenv').config();
+    const db = require('./db');
+    const pool = db.initializePool();
+    const command = process.argv[2] || 'up';
+
+    try {
+        if (command === 'status') {
+            const status = await getMigrationStatus(pool);
+            for (const migration of status) {
+                const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+                console.log(`${migration.state.padEnd(8)} ${migration.filename} ${appliedAt}`.trim());
+            }
+            if (status.some(m => m.state === 'modified')) {
+                process.exitCode = 1;
+            }
+        } else if (command === 'up') {
+            const applied = await runMigrations(pool);
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s)`
+                : '✅ Database schema is up to date');
+        } else {
+            console.error(`Unknown command "${command}". Use "up" or "status".`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Migration error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    discoverMigrations,
+    getMigrationStatus,
+    runMigrations
+};
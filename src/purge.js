@@ -0,0 +1,69 @@
+// Purge of deleted weeks for Box Control Dashboard
+// Deleting a sales or production week only marks it deleted. It stays
+// restorable for DELETED_RETENTION_DAYS (default 30) and is then removed for
+// good by a daily job started with the server, or by `npm run purge`.
+
+const db = require('./db');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+function getRetentionDays() {
+    const days = parseInt(process.env.DELETED_RETENTION_DAYS, 10);
+    return isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+}
+
+// Date a week deleted at deletedAt will be purged
+function purgeDateFor(deletedAt) {
+    const date = new Date(deletedAt);
+    date.setDate(date.getDate() + getRetentionDays());
+    return date;
+}
+
+async function purgeDeletedWeeks() {
+    const retentionDays = getRetentionDays();
+    const purged = await db.purgeDeletedWeeks(retentionDays);
+    if (purged.sales > 0 || purged.production > 0) {
+        console.log(`🧹 Purged ${purged.sales} sales and ${purged.production} production week(s) deleted more than ${retentionDays} days ago`);
+    }
+    return purged;
+}
+
+// Purge now and then once a day. Failures are logged and retried next time.
+function schedulePurge() {
+    const run = () => purgeDeletedWeeks().catch(error => {
+        console.error('❌ Failed to purge deleted weeks:', error.message);
+    });
+    run();
+    const timer = setInterval(run, PURGE_INTERVAL_MS);
+    // Don't keep the process alive just for the purge
+    timer.unref();
+    return timer;
+}
+
+// CLI: `npm run purge`
+async function main() {
+    require('dotenv').config();
+    const pool = db.initializePool();
+    try {
+        await db.initializeSchema();
+        const purged = await purgeDeletedWeeks();
+        console.log(`✅ Purge complete (${purged.sales} sales, ${purged.production} production)`);
+    } catch (error) {
+        console.error('❌ Purge error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    getRetentionDays,
+    purgeDateFor,
+    purgeDeletedWeeks,
+    schedulePurge
+};
@@ -0,0 +1,113 @@
+// Missing-data reminders for Box Control Dashboard
+// Once a day (started with the server, or on demand with `npm run reminders`)
+// this checks the last REMINDER_LOOKBACK_WEEKS weeks (default 8) for sales and
+// production weeks that have ended without figures, records a reminder for
+// each new one (shown in the app) and emails the list to
+// REMINDER_EMAIL_SALES / REMINDER_EMAIL_PRODUCTION, or REMINDER_EMAIL_TO.
+
+const db = require('./db');
+const { loadCompleteness } = require('./metrics');
+const { TABLES } = require('./lib/completeness');
+const { parseRecipients, sendMail } = require('./lib/mailer');
+const { parseDate, addDays, mondayOf, toDateString, toDateKey, formatUK } = require('./lib/periods');
+
+const DEFAULT_LOOKBACK_WEEKS = 8;
+const REMINDER_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+function getLookbackWeeks() {
+    const weeks = parseInt(process.env.REMINDER_LOOKBACK_WEEKS, 10);
+    return isNaN(weeks) || weeks < 1 ? DEFAULT_LOOKBACK_WEEKS : weeks;
+}
+
+function recipientsFor(tableName) {
+    const specific = parseRecipients(process.env[`REMINDER_EMAIL_${tableName.toUpperCase()}`]);
+    return specific.length > 0 ? specific : parseRecipients(process.env.REMINDER_EMAIL_TO);
+}
+
+function reminderEmail(tableName, reminders) {
+    const appUrl = String(process.env.APP_URL || '').replace(/\/$/, '');
+    const lines = reminders.map(reminder => {
+        const week = toDateKey(reminder.week_commencing);
+        const link = appUrl ? `: ${appUrl}/${tableName}?week_commencing=${week}` : '';
+        return `- Week commencing ${formatUK(parseDate(week))}${link}`;
+    });
+    return {
+        subject: `Box Control: ${tableName} figures missing for ${reminders.length} week${reminders.length === 1 ? '' : 's'}`,
+        text: `No ${tableName} figures have been entered for:\n\n${lines.join('\n')}\n\n` +
+            'The dashboard KPIs for these weeks are incomplete until they are entered.'
+    };
+}
+
+// Email new reminders for one table. Without recipients they are only shown
+// in the app; a failed send is recorded against them and logged.
+async function emailReminders(tableName, reminders) {
+    const to = recipientsFor(tableName);
+    if (reminders.length === 0 || to.length === 0) return;
+    const ids = reminders.map(reminder => reminder.id);
+    try {
+        await sendMail({ to, ...reminderEmail(tableName, reminders) });
+        await db.markRemindersEmailed(ids);
+    } catch (error) {
+        console.error(`❌ Failed to email ${tableName} reminders:`, error.message);
+        await db.markRemindersEmailed(ids, error.message);
+    }
+}
+
+// Record (and email) reminders for weeks missing as at today; returns the new
+// reminders. Weeks before a table's first entry are never missing.
+async function generateReminders(today = new Date()) {
+    const todayKey = toDateString(today);
+    const lookbackStart = toDateString(addDays(parseDate(mondayOf(todayKey)), -7 * getLookbackWeeks()));
+    await db.resolveReminders();
+    const completeness = await loadCompleteness(lookbackStart, todayKey, today);
+
+    const created = [];
+    for (const tableName of TABLES) {
+        const reminders = await db.createReminders(tableName, completeness[tableName]);
+        await emailReminders(tableName, reminders);
+        created.push(...reminders);
+    }
+
+    if (created.length > 0) {
+        console.log(`🔔 Recorded ${created.length} reminder(s) for missing weeks`);
+    }
+    return created;
+}
+
+// Check now and then once a day. Failures are logged and retried next time.
+function scheduleReminders() {
+    const run = () => generateReminders().catch(error => {
+        console.error('❌ Failed to generate reminders:', error.message);
+    });
+    run();
+    const timer = setInterval(run, REMINDER_INTERVAL_MS);
+    // Don't keep the process alive just for the reminders
+    timer.unref();
+    return timer;
+}
+
+// CLI: `npm run reminders`
+async function main() {
+    require('dotenv').config();
+    const pool = db.initializePool();
+    try {
+        await db.initializeSchema();
+        const created = await generateReminders();
+        console.log(`✅ Reminders checked (${created.length} new)`);
+    } catch (error) {
+        console.error('❌ Reminder error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    getLookbackWeeks,
+    generateReminders,
+    scheduleReminders
+};
@@ -0,0 +1,344 @@
+// Versioned JSON REST API for Box Control Dashboard (/api/v1)
+// For external tools: sales and production weeks, settings and the dashboard
+// KPIs. Every response is JSON: { success: true, data[, pagination] } or
+// { success: false, error, code[, field] }. The OpenAPI spec is served at
+// /api/v1/openapi.json.
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, requirePermission, getAuditContext } = require('../middleware/auth');
+const { validateSalesWeek, validateProductionWeek, validateSettingsUpdate, SETTINGS_NUMERIC_FIELDS } = require('../lib/validation');
+const { resolveTargets, DERIVED_FIELDS } = require('../lib/targets');
+const { resolvePeriod, parseDate, toDateKey } = require('../lib/periods');
+const { resolveRagThresholds } = require('../lib/kpis');
+const { loadDashboardMetrics } = require('../metrics');
+const { buildOpenApiSpec } = require('../lib/openapi');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// The weekly tables, each exposed as /api/v1/<name>
+const WEEK_RESOURCES = {
+    sales: {
+        label: 'Sales',
+        permission: 'sales:write',
+        requiredFields: ['boxes_sold', 'installs_sold'],
+        integerFields: ['boxes_sold', 'installs_sold'],
+        numberFields: ['box_revenue', 'extras_revenue', 'install_revenue'],
+        validate: validateSalesWeek,
+        get: db.getSalesWeekly,
+        page: db.getSalesWeeklyPage,
+        upsert: db.upsertSalesWeekly,
+        remove: db.deleteSalesWeekly
+    },
+    production: {
+        label: 'Production',
+        permission: 'production:write',
+        requiredFields: ['boxes_produced', 'installs_completed'],
+        integerFields: ['boxes_produced', 'installs_completed', 'boxes_over_cost', 'boxes_inspected', 'boxes_passed'],
+        numberFields: ['rework_hours', 'material_cost', 'labour_hours', 'right_first_time_pct'],
+        validate: validateProductionWeek,
+        get: db.getProductionWeekly,
+        page: db.getProductionWeeklyPage,
+        upsert: db.upsertProductionWeekly,
+        remove: db.deleteProductionWeekly
+    }
+};
+
+function toNumberOrNull(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+// A weekly row as returned by the API: dates as YYYY-MM-DD, numbers as numbers
+function serializeWeek(resource, row) {
+    const week = {
+        week_commencing: toDateKey(row.week_commencing),
+        notes: row.notes || null,
+        created_at: row.created_at
+    };
+    for (const field of [...resource.integerFields, ...resource.numberFields]) {
+        week[field] = toNumberOrNull(row[field]);
+    }
+    return week;
+}
+
+function serializeSettings(settings) {
+    const data = { updated_at: settings.updated_at };
+    for (const field of SETTINGS_NUMERIC_FIELDS) {
+        data[field] = toNumberOrNull(settings[field]);
+    }
+    for (const field of DERIVED_FIELDS) {
+        data[`${field}_manual`] = Boolean(settings[`${field}_manual`]);
+    }
+    data.rag_thresholds = resolveRagThresholds(settings);
+    return data;
+}
+
+// ?limit=&offset= (and optional ?from=&to= week commencing dates).
+// Returns { error, field } or { data } like the validators.
+function parsePagination(query) {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`, field: 'limit' };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a whole number of 0 or more', field: 'offset' };
+    }
+    for (const field of ['from', 'to']) {
+        if (query[field] !== undefined && !parseDate(query[field])) {
+            return { error: `${field} must be a valid date (YYYY-MM-DD)`, field };
+        }
+    }
+    return { data: { limit, offset, from: query.from || null, to: query.to || null } };
+}
+
+function sendError(res, status, code, error, field = null) {
+    const body = { success: false, error, code };
+    if (field) body.field = field;
+    return res.status(status).json(body);
+}
+
+function sendValidationError(res, error, field) {
+    return sendError(res, 400, 'validation_error', error, field);
+}
+
+function sendInvalidWeek(res) {
+    return sendValidationError(res, 'Week commencing must be a valid date (YYYY-MM-DD)', 'week_commencing');
+}
+
+// Wrap a handler so unexpected errors become JSON 500 responses
+function handle(fn) {
+    return async (req, res) => {
+        try {
+            await db.initializeSchema();
+            await fn(req, res);
+        } catch (error) {
+            console.error('API error:', error);
+            sendError(res, 500, 'internal_error', 'Internal error: ' + error.message);
+        }
+    };
+}
+
+// OpenAPI spec for this API
+router.get('/api/v1/openapi.json', (req, res) => {
+    res.json(buildOpenApiSpec({
+        resources: WEEK_RESOURCES,
+        settingsFields: SETTINGS_NUMERIC_FIELDS,
+        maxPageSize: MAX_PAGE_SIZE,
+        defaultPageSize: DEFAULT_PAGE_SIZE
+    }));
+});
+
+for (const [name, resource] of Object.entries(WEEK_RESOURCES)) {
+    // List weeks, newest first
+    router.get(`/api/v1/${name}`, requireAuth, requirePermission(`${name}:read`), handle(async (req, res) => {
+        const { error, field, data: options } = parsePagination(req.query);
+        if (error) {
+            return sendValidationError(res, error, field);
+        }
+
+        const { rows, total } = await resource.page(options);
+        res.json({
+            success: true,
+            data: rows.map(row => serializeWeek(resource, row)),
+            pagination: { total, limit: options.limit, offset: options.offset }
+        });
+    }));
+
+    // One week
+    router.get(`/api/v1/${name}/:weekCommencing`, requireAuth, requirePermission(`${name}:read`), handle(async (req, res) => {
+        const weekCommencing = req.params.weekCommencing;
+        if (!parseDate(weekCommencing)) {
+            return sendInvalidWeek(res);
+        }
+
+        const week = await resource.get(weekCommencing);
+        if (!week) {
+            return sendError(res, 404, 'not_found', `No ${name} data for that week`);
+        }
+        res.json({ success: true, data: serializeWeek(resource, week) });
+    }));
+
+    // Create or replace a week. The week in the path wins over one in the body.
+    router.put(`/api/v1/${name}/:weekCommencing`, requireAuth, requirePermission(resource.permission), handle(async (req, res) => {
+        const weekCommencing = req.params.weekCommencing;
+        if (!parseDate(weekCommencing)) {
+            return sendInvalidWeek(res);
+        }
+
+        const { error, field, data, warning } = resource.validate({ ...req.body, week_commencing: weekCommencing });
+        if (error) {
+            return sendValidationError(res, error, field);
+        }
+
+        // A week given by a day other than Monday is saved against its Monday
+        const existing = await resource.get(data.week_commencing);
+        const saved = await resource.upsert(data, { ...getAuditContext(req), note: 'Saved through the API' });
+        res.status(existing ? 200 : 201).json({ success: true, data: serializeWeek(resource, saved), warning });
+    }));
+
+    // Delete a week (soft delete: it can be restored until it is purged)
+    router.delete(`/api/v1/${name}/:weekCommencing`, requireAuth, requirePermission(resource.permission), handle(async (req, res) => {
+        const weekCommencing = req.params.weekCommencing;
+        if (!parseDate(weekCommencing)) {
+            return sendInvalidWeek(res);
+        }
+
+        const deleted = await resource.remove(weekCommencing, getAuditContext(req));
+        if (!deleted) {
+            return sendError(res, 404, 'not_found', `No ${name} data for that week`);
+        }
+        res.json({ success: true, data: serializeWeek(resource, deleted) });
+    }));
+}
+
+// Current settings, with how each derived target was arrived at
+router.get('/api/v1/settings', requireAuth, requirePermission('settings:read'), handle(async (req, res) => {
+    const settings = await db.getSettings();
+    res.json({ success: true, data: serializeSettings(settings), targets: resolveTargets(settings).fields });
+}));
+
+// Change any subset of the settings (valid_from and change_note as for /api/settings)
+router.put('/api/v1/settings', requireAuth, requirePermission('settings:write'), handle(async (req, res) => {
+    // A partial change is checked and merged over the settings in force on
+    // its effective date
+    const effectiveFrom = parseDate(String(req.body.valid_from || '')) ? String(req.body.valid_from) : toDateKey(new Date());
+    const current = await db.getSettingsAt(effectiveFrom);
+    const { error, field, data } = validateSettingsUpdate(req.body, current);
+    if (error) {
+        return sendValidationError(res, error, field);
+    }
+
+    const updated = await db.updateSettings(data.updates, {
+        ...getAuditContext(req),
+        validFrom: data.validFrom,
+        note: data.changeNote
+    });
+    res.json({ success: true, data: serializeSettings(updated), targets: resolveTargets(updated).fields });
+}));
+
+// Settings can't be deleted; say so rather than 404
+router.delete('/api/v1/settings', requireAuth, (req, res) => {
+    sendError(res, 405, 'method_not_allowed', 'Settings cannot be deleted');
+});
+
+// Dashboard KPIs for a period: ?period=month&month=2026-03 and the other
+// period parameters the dashboard takes. Percentages are fractions (0.8 = 80%).
+router.get('/api/v1/kpis', requireAuth, requirePermission('kpis:read'), handle(async (req, res) => {
+    const today = new Date();
+    let period;
+    try {
+        period = resolvePeriod(req.query, today);
+    } catch (periodError) {
+        return sendValidationError(res, 'Invalid period: ' + periodError.message, 'period');
+    }
+
+    const dashboard = await loadDashboardMetrics(period, today, { forecastWeeks: req.query.forecast_weeks });
+    const { current, previous, rag, thresholds, forecast, forwardLook } = dashboard;
+    const periodSettings = current.periodSettings;
+
+    const kpi = (key, target = null) => ({
+        value: current[key],
+        previous: previous[key],
+        target,
+        rag: rag[key] || null,
+        thresholds: thresholds[key]
+            ? { red: thresholds[key].red, green: thresholds[key].green, lower_is_better: thresholds[key].lowerIsBetter }
+            : null
+    });
+
+    res.json({
+        success: true,
+        data: {
+            period: {
+                type: period.type,
+                value: period.value,
+                label: period.label,
+                start: period.start,
+                end: period.end,
+                in_progress: dashboard.inProgress
+            },
+            comparison: {
+                label: dashboard.comparison.label,
+                start: dashboard.comparison.start,
+                end: dashboard.comparison.end
+            },
+            mix_window: current.useTrailingWeeks
+                ? { trailing_weeks: 4, start: current.windowStart, end: current.windowEnd }
+                : { trailing_weeks: null, start: period.start, end: period.end },
+            totals: {
+                boxes_sold: Number(current.salesTotals.boxes_sold || 0),
+                installs_sold: Number(current.salesTotals.installs_sold || 0),
+                box_revenue: Number(current.salesTotals.box_revenue || 0),
+                extras_revenue: Number(current.salesTotals.extras_revenue || 0),
+                install_revenue: Number(current.salesTotals.install_revenue || 0),
+                total_revenue: current.totalRevenue,
+                boxes_produced: Number(current.productionTotals.boxes_produced || 0),
+                installs_completed: Number(current.productionTotals.installs_completed || 0),
+                boxes_over_cost: Number(current.productionTotals.boxes_over_cost || 0),
+                rework_hours: Number(current.productionTotals.rework_hours || 0),
+                boxes_inspected: Number(current.productionTotals.boxes_inspected || 0),
+                boxes_passed: Number(current.productionTotals.boxes_passed || 0),
+                material_cost: Number(current.productionTotals.material_cost || 0),
+                labour_hours: Number(current.productionTotals.labour_hours || 0)
+            },
+            completeness: {
+                complete: dashboard.completeness.complete,
+                missing_sales_weeks: dashboard.completeness.sales,
+                missing_production_weeks: dashboard.completeness.production
+            },
+            kpis: {
+                contribution: {
+                    ...kpi('contribution', current.contributionTarget),
+                    survival: current.survivalTarget
+                },
+                install_pct: kpi('installPct', parseFloat(periodSettings.target_install_pct)),
+                extras_pct: kpi('extrasPct', parseFloat(periodSettings.target_extras_pct)),
+                contribution_per_box: kpi('contributionPerBox', parseFloat(periodSettings.contribution_per_box)),
+                cost_compliance_pct: kpi('costCompliancePct', parseFloat(periodSettings.cost_compliance_target)),
+                cost_variance_pct: {
+                    ...kpi('costVariancePct'),
+                    variance: dashboard.deltas.costVariance.current,
+                    previous_variance: dashboard.deltas.costVariance.previous,
+                    actual_cost: current.costs.actualCost,
+                    standard_cost: current.costs.standardCost,
+                    variance_per_box: current.costs.variancePerBox,
+                    weeks_costed: current.costs.weeksCosted
+                },
+                rework_per_box: kpi('reworkPerBox'),
+                right_first_time_pct: {
+                    ...kpi('rightFirstTimePct', parseFloat(periodSettings.right_first_time_target)),
+                    period_value: current.periodRightFirstTimePct
+                },
+                avg_boxes_per_week: kpi('avgBoxesPerWeek', parseFloat(periodSettings.target_boxes_per_week)),
+                install_backlog: {
+                    ...kpi('installBacklog'),
+                    unscheduled: current.installs.unscheduled,
+                    oldest_sold_date: current.installs.oldestSoldDate
+                },
+                install_lead_time_days: {
+                    ...kpi('installLeadTimeDays'),
+                    installs_completed: current.installs.completed
+                },
+                order_backlog_weeks: {
+                    ...kpi('orderBacklogWeeks'),
+                    backlog_boxes: current.backlog.boxes,
+                    build_rate: current.backlog.buildRate,
+                    week_commencing: current.backlog.weekCommencing
+                }
+            },
+            forward_look: {
+                month_end: forecast.monthEnd,
+                weeks: forwardLook
+            }
+        }
+    });
+}));
+
+// Anything else under /api/v1 is JSON too
+router.all('/api/v1/*', (req, res) => {
+    sendError(res, 404, 'not_found', 'No such API endpoint');
+});
+
+module.exports = router;
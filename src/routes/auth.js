@@ -0,0 +1,118 @@
+// Login routes for Box Control Dashboard
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { isDevMode } = require('../middleware/auth');
+const { hashPassword, verifyPassword, checkUsername, checkPasswordStrength } = require('../lib/credentials');
+
+// Only redirect within this site after login
+function safeRedirect(value) {
+    return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/dashboard';
+}
+
+// First run: no accounts yet, so the login page sets up the first admin
+async function needsSetup() {
+    return await db.countUsers() === 0;
+}
+
+function renderLogin(res, status, locals) {
+    res.status(status).render('login', {
+        error: null,
+        setup: false,
+        username: '',
+        ...locals
+    });
+}
+
+// Start a fresh session for the user (prevents session fixation)
+function signIn(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((error) => {
+            if (error) return reject(error);
+            req.session.userId = user.id;
+            resolve();
+        });
+    });
+}
+
+// Login page (GET)
+router.get('/login', async (req, res) => {
+    const redirect = safeRedirect(req.query.redirect);
+    try {
+        await db.initializeSchema();
+        const setup = await needsSetup();
+
+        // Nothing to sign in to in dev mode until the first account is created
+        if (setup && isDevMode()) {
+            return res.redirect(redirect);
+        }
+        renderLogin(res, 200, { setup, redirect });
+    } catch (error) {
+        console.error('Error loading login page:', error);
+        res.status(500).render('error', {
+            message: 'Error loading login page. Please check the database connection.',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Login route (handle POST)
+router.post('/login', async (req, res) => {
+    const redirect = safeRedirect(req.body.redirect);
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const password = req.body.password || '';
+
+    try {
+        await db.initializeSchema();
+
+        if (await needsSetup()) {
+            if (isDevMode()) {
+                return res.redirect(redirect);
+            }
+
+            const fail = (message) => renderLogin(res, 400, { setup: true, redirect, username, error: message });
+            if (req.body.passcode !== process.env.APP_PASSCODE) {
+                return renderLogin(res, 401, { setup: true, redirect, username, error: 'Invalid passcode' });
+            }
+            const credentialError = checkUsername(username) || checkPasswordStrength(password);
+            if (credentialError) {
+                return fail(credentialError);
+            }
+            if (password !== req.body.confirm_password) {
+                return fail('Passwords do not match');
+            }
+
+            const admin = await db.createUser({
+                username,
+                display_name: req.body.display_name || null,
+                password_hash: await hashPassword(password),
+                role: 'admin'
+            });
+            console.log(`✅ First admin account created: ${admin.username}`);
+            await signIn(req, admin);
+            return res.redirect('/users');
+        }
+
+        const user = await db.getUserByUsername(username);
+        const valid = user && user.active && await verifyPassword(password, user.password_hash);
+        if (!valid) {
+            return renderLogin(res, 401, { redirect, username, error: 'Invalid username or password' });
+        }
+
+        await db.recordUserLogin(user.id);
+        await signIn(req, user);
+        res.redirect(redirect);
+    } catch (error) {
+        console.error('Error logging in:', error);
+        renderLogin(res, 500, { redirect, username, error: 'Error logging in: ' + error.message });
+    }
+});
+
+// Logout
+router.post('/logout', (req, res) => {
+    req.session.destroy(() => {
+        res.redirect('/login');
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+// Order backlog routes for Box Control Dashboard
+// Reconciles boxes sold with boxes produced: cumulative sold against produced,
+// the backlog of boxes sold and not yet built, and how many weeks of work it
+// is at the recent build rate.
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth } = require('../middleware/auth');
+const { renderLineChart } = require('../lib/charts');
+const { BUILD_RATE_WEEKS } = require('../lib/backlog');
+const { resolveRagThresholds, ragBands, getRAGStatus } = require('../lib/kpis');
+const { parseDate, addDays, toDateString } = require('../lib/periods');
+const { loadBacklog } = require('../metrics');
+
+const RANGE_LIMITS = { min: 4, max: 104, default: 26 };
+
+// Order backlog page: /backlog?weeks=26
+router.get('/backlog', requireAuth, async (req, res) => {
+    res.locals.currentPage = 'backlog';
+    res.locals.title = 'Order Backlog';
+    try {
+        await db.initializeSchema();
+
+        let range = parseInt(req.query.weeks, 10);
+        if (isNaN(range)) range = RANGE_LIMITS.default;
+        range = Math.min(Math.max(range, RANGE_LIMITS.min), RANGE_LIMITS.max);
+
+        const today = new Date();
+        const { fromKey, weeks, current } = await loadBacklog(today, range);
+
+        // Lead time bands follow the thresholds in force at each week's end
+        const settingsAt = await db.getSettingsResolver();
+        const points = weeks.map(week => {
+            const weekEnd = toDateString(addDays(parseDate(week.week_commencing), 6));
+            return {
+                week,
+                label: parseDate(week.week_commencing).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', timeZone: 'UTC' }),
+                thresholds: ragBands(resolveRagThresholds(settingsAt(weekEnd)).orderBacklogWeeks, {})
+            };
+        });
+
+        const charts = [
+            {
+                title: 'Cumulative Sold vs Produced',
+                svg: renderLineChart({
+                    title: 'Cumulative boxes sold and produced (weekly)',
+                    legend: { value: 'Sold', compare: 'Produced' },
+                    points: points.map(({ week, label }) => ({ label, value: week.cumulativeSold, compare: week.cumulativeProduced }))
+                })
+            },
+            {
+                title: 'Order Backlog (boxes)',
+                svg: renderLineChart({
+                    title: 'Order backlog in boxes (weekly)',
+                    points: points.map(({ week, label }) => ({ label, value: week.complete ? week.backlog : null }))
+                })
+            },
+            {
+                title: 'Estimated Lead Time (weeks)',
+                svg: renderLineChart({
+                    title: 'Order backlog in weeks of production (weekly)',
+                    points: points.map(({ week, label, thresholds }) => ({
+                        label,
+                        value: week.complete ? week.backlogWeeks : null,
+                        thresholds
+                    }))
+                })
+            }
+        ];
+
+        const thresholds = ragBands(resolveRagThresholds(settingsAt(today)).orderBacklogWeeks, {});
+        const rag = current.weeks !== null && thresholds ? getRAGStatus(current.weeks, thresholds) : null;
+
+        res.render('backlog', {
+            charts,
+            weeks: weeks.slice().reverse(),
+            current,
+            rag,
+            thresholds,
+            fromKey,
+            range,
+            limits: RANGE_LIMITS,
+            buildRateWeeks: BUILD_RATE_WEEKS,
+            openingBacklog: parseFloat((await db.getSettings()).opening_backlog_boxes) || 0
+        });
+    } catch (error) {
+        console.error('Error loading order backlog:', error);
+        res.status(500).render('error', {
+            message: 'Error loading order backlog',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+module.exports = router;
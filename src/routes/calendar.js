@@ -0,0 +1,116 @@
+// Week calendar routes for Box Control Dashboard
+// Everyone can see the calendar; admins record factory shutdowns, which count
+// as non-working days when totals are attributed to months.
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, requirePermission, getActor } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const { isoYearWeeks, ukBankHolidays } = require('../lib/calendar');
+const { validateShutdown } = require('../lib/validation');
+const { MONTH_NAMES, parseDate, formatUK, toDateString } = require('../lib/periods');
+
+function monthLabel(dateKey) {
+    return MONTH_NAMES[Number(dateKey.slice(5, 7)) - 1].slice(0, 3);
+}
+
+function monthEnd(dateKey) {
+    const date = parseDate(dateKey);
+    return toDateString(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)));
+}
+
+// Each week of an ISO year, with how a week split by a month end is shared
+// between the two months (none when all its working days fall in one)
+async function buildWeeks(year) {
+    const calendar = await db.getCalendar();
+    return isoYearWeeks(year).map(weekCommencing => {
+        const week = calendar.week(weekCommencing);
+        const before = calendar.share(weekCommencing, weekCommencing, monthEnd(weekCommencing));
+        const split = before > 0 && before < 1
+            ? [
+                { month: monthLabel(week.week_commencing), share: before },
+                { month: monthLabel(week.week_ending), share: 1 - before }
+            ]
+            : null;
+        return { ...week, split };
+    });
+}
+
+// Render the calendar for locals.year
+async function renderCalendar(req, res, status, locals) {
+    res.locals.currentPage = 'calendar';
+    res.locals.title = 'Calendar';
+    const year = locals.year;
+    return renderOrFail(res, 'calendar', async () => ({
+        year,
+        weeks: await buildWeeks(year),
+        bankHolidays: ukBankHolidays(year),
+        shutdowns: await db.getShutdowns(year),
+        formatUK: dateKey => formatUK(parseDate(dateKey)),
+        error: null,
+        success: null,
+        newShutdown: {},
+        ...locals
+    }), { status, message: 'Error loading calendar' });
+}
+
+function yearFrom(value) {
+    const year = parseInt(value, 10);
+    return !isNaN(year) && year >= 2000 && year <= 2100 ? year : new Date().getUTCFullYear();
+}
+
+// Calendar for one year: ISO weeks, working days, bank holidays and shutdowns
+router.get('/calendar', requireAuth, async (req, res) => {
+    try {
+        await db.initializeSchema();
+        await renderCalendar(req, res, 200, {
+            year: yearFrom(req.query.year),
+            success: req.query.deleted ? 'Shutdown removed' : (req.query.added ? 'Shutdown added' : null)
+        });
+    } catch (error) {
+        console.error('Error loading calendar:', error);
+        res.status(500).render('error', {
+            message: 'Error loading calendar',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Record a factory shutdown
+router.post('/calendar/shutdowns', requireAuth, requirePermission('settings:write'), async (req, res) => {
+    const year = yearFrom(req.body.year);
+    try {
+        await db.initializeSchema();
+
+        const { error, data } = validateShutdown(req.body);
+        if (error) {
+            return await renderCalendar(req, res, 400, { year, error, newShutdown: req.body });
+        }
+
+        await db.createShutdown({ ...data, created_by: getActor(req) });
+        res.redirect(`/calendar?year=${data.start_date.slice(0, 4)}&added=1`);
+    } catch (error) {
+        console.error('Error adding shutdown:', error);
+        await renderCalendar(req, res, 500, { year, error: 'Error adding shutdown: ' + error.message, newShutdown: req.body });
+    }
+});
+
+// Remove a factory shutdown
+router.post('/calendar/shutdowns/:id/delete', requireAuth, requirePermission('settings:write'), async (req, res) => {
+    const year = yearFrom(req.body.year);
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const deleted = isNaN(id) ? null : await db.deleteShutdown(id);
+        if (!deleted) {
+            return await renderCalendar(req, res, 404, { year, error: 'Shutdown not found' });
+        }
+        res.redirect(`/calendar?year=${year}&deleted=1`);
+    } catch (error) {
+        console.error('Error removing shutdown:', error);
+        await renderCalendar(req, res, 500, { year, error: 'Error removing shutdown: ' + error.message });
+    }
+});
+
+module.exports = router;
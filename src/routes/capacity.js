@@ -0,0 +1,112 @@
+// Capacity planning routes for Box Control Dashboard
+// Everyone can see the capacity plan; production users set the boxes planned
+// for each week and record staff holidays. The capacity model itself
+// (headcount, hours and standard hours per box) is in the dashboard settings.
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, requirePermission, getActor } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const { validatePlannedHoliday, validateProductionPlan } = require('../lib/validation');
+const { MAX_HORIZON_WEEKS, clampHorizon } = require('../lib/forecast');
+const { mondayOf, toDateString } = require('../lib/periods');
+const { loadCapacityPlan } = require('../metrics');
+
+function horizonFrom(value) {
+    return clampHorizon(value === undefined || value === '' ? MAX_HORIZON_WEEKS : value);
+}
+
+// Render the capacity page
+async function renderCapacity(req, res, status, locals) {
+    res.locals.currentPage = 'capacity';
+    res.locals.title = 'Capacity';
+    return renderOrFail(res, 'capacity', async () => {
+        const today = new Date();
+        const plan = await loadCapacityPlan(today, locals.horizon);
+        return {
+            ...plan,
+            holidays: await db.getPlannedHolidays(mondayOf(toDateString(today))),
+            error: null,
+            success: null,
+            newHoliday: {},
+            ...locals
+        };
+    }, { status, message: 'Error loading capacity plan' });
+}
+
+// Capacity, plan and demand for the coming weeks
+router.get('/capacity', requireAuth, async (req, res) => {
+    try {
+        await db.initializeSchema();
+        const messages = { saved: 'Plan saved', added: 'Holiday added', deleted: 'Holiday removed' };
+        const done = Object.keys(messages).find(key => req.query[key]);
+        await renderCapacity(req, res, 200, {
+            horizon: horizonFrom(req.query.weeks),
+            success: done ? messages[done] : null
+        });
+    } catch (error) {
+        console.error('Error loading capacity plan:', error);
+        res.status(500).render('error', {
+            message: 'Error loading capacity plan',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Save the boxes planned for each week shown
+router.post('/capacity/plan', requireAuth, requirePermission('production:write'), async (req, res) => {
+    const horizon = horizonFrom(req.body.weeks);
+    try {
+        await db.initializeSchema();
+
+        const { error, data } = validateProductionPlan(req.body.plan);
+        if (error) {
+            return await renderCapacity(req, res, 400, { horizon, error });
+        }
+
+        await db.saveProductionPlan(data, getActor(req));
+        res.redirect(`/capacity?weeks=${horizon}&saved=1`);
+    } catch (error) {
+        console.error('Error saving production plan:', error);
+        await renderCapacity(req, res, 500, { horizon, error: 'Error saving production plan: ' + error.message });
+    }
+});
+
+// Record a staff holiday
+router.post('/capacity/holidays', requireAuth, requirePermission('production:write'), async (req, res) => {
+    const horizon = horizonFrom(req.body.weeks);
+    try {
+        await db.initializeSchema();
+
+        const { error, data } = validatePlannedHoliday(req.body);
+        if (error) {
+            return await renderCapacity(req, res, 400, { horizon, error, newHoliday: req.body });
+        }
+
+        await db.createPlannedHoliday({ ...data, created_by: getActor(req) });
+        res.redirect(`/capacity?weeks=${horizon}&added=1`);
+    } catch (error) {
+        console.error('Error adding holiday:', error);
+        await renderCapacity(req, res, 500, { horizon, error: 'Error adding holiday: ' + error.message, newHoliday: req.body });
+    }
+});
+
+// Remove a staff holiday
+router.post('/capacity/holidays/:id/delete', requireAuth, requirePermission('production:write'), async (req, res) => {
+    const horizon = horizonFrom(req.body.weeks);
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const deleted = isNaN(id) ? null : await db.deletePlannedHoliday(id);
+        if (!deleted) {
+            return await renderCapacity(req, res, 404, { horizon, error: 'Holiday not found' });
+        }
+        res.redirect(`/capacity?weeks=${horizon}&deleted=1`);
+    } catch (error) {
+        console.error('Error removing holiday:', error);
+        await renderCapacity(req, res, 500, { horizon, error: 'Error removing holiday: ' + error.message });
+    }
+});
+
+module.exports = router;
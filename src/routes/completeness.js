@@ -0,0 +1,87 @@
+// Missing weeks routes for Box Control Dashboard
+// Lists the sales and production weeks that have ended without figures, with
+// the reminders recorded for them (see src/reminders.js).
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, hasPermission, getActor } = require('../middleware/auth');
+const { loadCompleteness } = require('../metrics');
+const { TABLES } = require('../lib/completeness');
+const { parseDate, addDays, mondayOf, toDateString, toDateKey } = require('../lib/periods');
+
+const RANGE_LIMITS = { min: 4, max: 104, default: 13 };
+
+// Missing weeks page
+router.get('/completeness', requireAuth, async (req, res) => {
+    res.locals.currentPage = 'completeness';
+    res.locals.title = 'Missing Weeks';
+    try {
+        await db.initializeSchema();
+
+        let weeks = parseInt(req.query.weeks, 10);
+        if (isNaN(weeks)) weeks = RANGE_LIMITS.default;
+        weeks = Math.min(Math.max(weeks, RANGE_LIMITS.min), RANGE_LIMITS.max);
+
+        const today = new Date();
+        const todayKey = toDateString(today);
+        const start = toDateString(addDays(parseDate(mondayOf(todayKey)), -7 * weeks));
+        const completeness = await loadCompleteness(start, todayKey, today);
+
+        // Reminder for each missing week, where one has been recorded
+        const reminders = new Map();
+        for (const reminder of await db.getReminders({ from: start })) {
+            reminders.set(`${reminder.table_name} ${toDateKey(reminder.week_commencing)}`, reminder);
+        }
+        const missing = {};
+        for (const tableName of TABLES) {
+            missing[tableName] = completeness[tableName].map(week => ({
+                week_commencing: week,
+                reminder: reminders.get(`${tableName} ${week}`) || null
+            }));
+        }
+
+        res.render('completeness', {
+            weeks,
+            limits: RANGE_LIMITS,
+            start,
+            expected: completeness.expected,
+            missing,
+            success: req.query.dismissed ? 'Reminder dismissed' : null
+        });
+    } catch (error) {
+        console.error('Error loading missing weeks:', error);
+        res.status(500).render('error', {
+            message: 'Error loading missing weeks',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Dismiss a reminder, e.g. for a week before the dashboard was in use. Only
+// users who can enter the reminder's table can dismiss it.
+router.post('/completeness/reminders/:id/dismiss', requireAuth, async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const reminder = isNaN(id) ? null : await db.getReminder(id);
+        if (!reminder) {
+            return res.status(404).render('error', { message: 'Reminder not found', error: null });
+        }
+        if (!hasPermission(req.user, `${reminder.table_name}:write`)) {
+            return res.status(403).render('error', { message: 'Your account does not have permission to do that', error: null });
+        }
+
+        await db.dismissReminder(id, getActor(req));
+        const weeks = parseInt(req.body.weeks, 10);
+        res.redirect('/completeness?dismissed=1' + (isNaN(weeks) ? '' : `&weeks=${weeks}`));
+    } catch (error) {
+        console.error('Error dismissing reminder:', error);
+        res.status(500).render('error', {
+            message: 'Error dismissing reminder',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+// Export routes for Box Control Dashboard
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth } = require('../middleware/auth');
+const { loadPeriodMetrics } = require('../metrics');
+const { salesRevenue } = require('../lib/kpis');
+const { EXPORT_FORMATS, renderExport } = require('../lib/exporter');
+const { resolvePeriod, monthPeriod, customPeriod, parseDate, toDateKey } = require('../lib/periods');
+
+const SALES_COLUMNS = [
+    { key: 'week_commencing', label: 'Week Commencing', format: 'date' },
+    { key: 'boxes_sold', label: 'Boxes Sold', format: 'int' },
+    { key: 'installs_sold', label: 'Installs Sold', format: 'int' },
+    { key: 'box_revenue', label: 'Box Revenue', format: 'gbp' },
+    { key: 'extras_revenue', label: 'Extras Revenue', format: 'gbp' },
+    { key: 'install_revenue', label: 'Install Revenue', format: 'gbp' },
+    { key: 'total_revenue', label: 'Total Revenue', format: 'gbp' },
+    { key: 'notes', label: 'Notes' }
+];
+
+const PRODUCTION_COLUMNS = [
+    { key: 'week_commencing', label: 'Week Commencing', format: 'date' },
+    { key: 'boxes_produced', label: 'Boxes Produced', format: 'int' },
+    { key: 'installs_completed', label: 'Installs Completed', format: 'int' },
+    { key: 'boxes_over_cost', label: 'Boxes Over Cost', format: 'int' },
+    { key: 'rework_hours', label: 'Rework', format: 'hours' },
+    { key: 'material_cost', label: 'Material Cost', format: 'gbp' },
+    { key: 'labour_hours', label: 'Labour', format: 'hours' },
+    { key: 'boxes_inspected', label: 'Boxes Inspected', format: 'int' },
+    { key: 'boxes_passed', label: 'Boxes Passed', format: 'int' },
+    { key: 'right_first_time_pct', label: 'Right First Time %', format: 'pct' },
+    { key: 'notes', label: 'Notes' }
+];
+
+const SETTINGS_COLUMNS = [
+    { key: 'valid_from', label: 'Effective From', format: 'date' },
+    { key: 'annual_turnover', label: 'Annual Turnover', format: 'gbp' },
+    { key: 'base_box_price', label: 'Base Box Price', format: 'gbp' },
+    { key: 'gross_margin_pct', label: 'Gross Margin %', format: 'pct' },
+    { key: 'monthly_contribution_target', label: 'Monthly Contribution Target', format: 'gbp' },
+    { key: 'survival_contribution', label: 'Survival Contribution', format: 'gbp' },
+    { key: 'contribution_per_box', label: 'Contribution per Box', format: 'gbp' },
+    { key: 'target_boxes_per_month', label: 'Target Boxes per Month', format: 'int' },
+    { key: 'target_boxes_per_week', label: 'Target Boxes per Week', format: 'int' },
+    { key: 'target_install_pct', label: 'Target Install %', format: 'pct' },
+    { key: 'target_extras_pct', label: 'Target Extras %', format: 'pct' },
+    { key: 'cost_compliance_target', label: 'Cost Compliance Target %', format: 'pct' },
+    { key: 'right_first_time_target', label: 'Right First Time Target %', format: 'pct' },
+    { key: 'labour_rate', label: 'Labour Rate per Hour', format: 'gbp' },
+    { key: 'standard_cost_per_box', label: 'Standard Cost per Box', format: 'gbp' },
+    { key: 'headcount', label: 'Headcount', format: 'int' },
+    { key: 'hours_per_week', label: 'Hours per Week per Person', format: 'hours' },
+    { key: 'standard_hours_per_box', label: 'Standard Hours per Box', format: 'hours' },
+    { key: 'opening_backlog_boxes', label: 'Opening Order Backlog (boxes)', format: 'number' },
+    { key: 'changed_by', label: 'Changed By' },
+    { key: 'change_note', label: 'Note' },
+    { key: 'changed_at', label: 'Changed At', format: 'datetime' }
+];
+
+const METRICS_COLUMNS = [
+    { key: 'period', label: 'Period' },
+    { key: 'start', label: 'Start', format: 'date' },
+    { key: 'end', label: 'End', format: 'date' },
+    { key: 'boxes_sold', label: 'Boxes Sold', format: 'int' },
+    { key: 'installs_sold', label: 'Installs Sold', format: 'int' },
+    { key: 'box_revenue', label: 'Box Revenue', format: 'gbp' },
+    { key: 'extras_revenue', label: 'Extras Revenue', format: 'gbp' },
+    { key: 'install_revenue', label: 'Install Revenue', format: 'gbp' },
+    { key: 'total_revenue', label: 'Total Revenue', format: 'gbp' },
+    { key: 'contribution', label: 'Contribution', format: 'gbp' },
+    { key: 'contribution_target', label: 'Contribution Target', format: 'gbp' },
+    { key: 'survival_contribution', label: 'Survival Contribution', format: 'gbp' },
+    { key: 'contribution_per_box', label: 'Contribution per Box', format: 'gbp' },
+    { key: 'install_pct', label: 'Install %', format: 'pct' },
+    { key: 'extras_pct', label: 'Extras %', format: 'pct' },
+    { key: 'boxes_produced', label: 'Boxes Produced', format: 'int' },
+    { key: 'cost_compliance_pct', label: 'Cost Compliance %', format: 'pct' },
+    { key: 'actual_cost', label: 'Actual Production Cost', format: 'gbp' },
+    { key: 'standard_cost', label: 'Standard Production Cost', format: 'gbp' },
+    { key: 'cost_variance', label: 'Cost Variance', format: 'gbp' },
+    { key: 'rework_per_box', label: 'Rework per Box', format: 'hours' },
+    { key: 'right_first_time_pct', label: 'Right First Time %', format: 'pct' },
+    { key: 'avg_boxes_per_week', label: 'Average Boxes Produced per Week', format: 'number' },
+    { key: 'installs_completed', label: 'Installs Completed (Board)', format: 'int' },
+    { key: 'install_backlog', label: 'Install Backlog', format: 'int' },
+    { key: 'install_lead_time_days', label: 'Average Install Lead Time (days)', format: 'number' },
+    { key: 'order_backlog_boxes', label: 'Order Backlog (boxes)', format: 'number' },
+    { key: 'order_backlog_weeks', label: 'Order Backlog (weeks of production)', format: 'number' }
+];
+
+// Date range from ?start=&end= or the dashboard's period parameters
+function resolveRange(query, today) {
+    if (query.start !== undefined || query.end !== undefined) {
+        if (!parseDate(query.start) || !parseDate(query.end)) {
+            throw new Error('Start and end must be dates in the format YYYY-MM-DD');
+        }
+        if (query.start > query.end) {
+            throw new Error('Start date must be on or before end date');
+        }
+        // A range covering exactly one calendar month is reported as that month,
+        // so the figures match the dashboard's month view
+        const month = monthPeriod(parseInt(query.start.slice(0, 4), 10), parseInt(query.start.slice(5, 7), 10) - 1);
+        if (month.start === query.start && month.end === query.end) {
+            return month;
+        }
+        return resolvePeriod({ period: 'custom', start: query.start, end: query.end }, today);
+    }
+    return resolvePeriod(query, today);
+}
+
+// Whole months inside the range, with part months at either end trimmed to it
+function monthsWithin(range) {
+    const months = [];
+    let year = parseInt(range.start.slice(0, 4), 10);
+    let monthIndex = parseInt(range.start.slice(5, 7), 10) - 1;
+    for (;;) {
+        const month = monthPeriod(year, monthIndex);
+        if (month.start > range.end) break;
+        if (month.start >= range.start && month.end <= range.end) {
+            months.push(month);
+        } else {
+            const start = month.start < range.start ? range.start : month.start;
+            const end = month.end > range.end ? range.end : month.end;
+            months.push(customPeriod(parseDate(start), parseDate(end)));
+        }
+        monthIndex += 1;
+        if (monthIndex === 12) {
+            monthIndex = 0;
+            year += 1;
+        }
+    }
+    return months;
+}
+
+function metricsRow(metrics, label) {
+    return {
+        period: label,
+        start: metrics.period.start,
+        end: metrics.period.end,
+        boxes_sold: metrics.salesTotals.boxes_sold || 0,
+        installs_sold: metrics.salesTotals.installs_sold || 0,
+        box_revenue: metrics.salesTotals.box_revenue || 0,
+        extras_revenue: metrics.salesTotals.extras_revenue || 0,
+        install_revenue: metrics.salesTotals.install_revenue || 0,
+        total_revenue: metrics.totalRevenue,
+        contribution: metrics.contribution,
+        contribution_target: metrics.contributionTarget,
+        survival_contribution: metrics.survivalTarget,
+        contribution_per_box: metrics.contributionPerBox,
+        install_pct: metrics.installPct,
+        extras_pct: metrics.extrasPct,
+        boxes_produced: metrics.productionTotals.boxes_produced || 0,
+        cost_compliance_pct: metrics.costCompliancePct,
+        actual_cost: metrics.costs.actualCost,
+        standard_cost: metrics.costs.standardCost,
+        cost_variance: metrics.costs.variance,
+        rework_per_box: metrics.reworkPerBox,
+        right_first_time_pct: metrics.periodRightFirstTimePct,
+        avg_boxes_per_week: metrics.avgBoxesPerWeek,
+        installs_completed: metrics.installs.completed,
+        install_backlog: metrics.installBacklog,
+        install_lead_time_days: metrics.installLeadTimeDays,
+        order_backlog_boxes: metrics.orderBacklogBoxes,
+        order_backlog_weeks: metrics.orderBacklogWeeks
+    };
+}
+
+const DATASETS = {
+    sales: {
+        title: 'Sales Weekly',
+        columns: SALES_COLUMNS,
+        async rows(range) {
+            const weeks = await db.getSalesWeeksBetween(range.start, range.end);
+            return weeks.map(week => ({ ...week, total_revenue: salesRevenue(week) }));
+        }
+    },
+    production: {
+        title: 'Production Weekly',
+        columns: PRODUCTION_COLUMNS,
+        async rows(range) {
+            return db.getProductionWeeksBetween(range.start, range.end);
+        }
+    },
+    settings: {
+        title: 'Settings',
+        columns: SETTINGS_COLUMNS,
+        // Every target version in force at some point in the range
+        async rows(range) {
+            const versions = (await db.getSettingsHistory()).slice().reverse();
+            const rows = [];
+            versions.forEach((version, index) => {
+                const next = versions[index + 1];
+                const validFrom = toDateKey(version.valid_from);
+                const supersededBefore = next && toDateKey(next.valid_from) <= range.start;
+                if (validFrom <= range.end && !supersededBefore) {
+                    rows.push({
+                        ...version.settings,
+                        valid_from: validFrom,
+                        changed_by: version.changed_by,
+                        change_note: version.change_note,
+                        changed_at: version.changed_at
+                    });
+                }
+            });
+            return rows;
+        }
+    },
+    metrics: {
+        title: 'Dashboard Metrics',
+        columns: METRICS_COLUMNS,
+        // One row per month in the range, then the range as a whole
+        async rows(range, today) {
+            const rows = [];
+            if (range.type !== 'month') {
+                for (const month of monthsWithin(range)) {
+                    rows.push(metricsRow(await loadPeriodMetrics(month, today), month.label));
+                }
+            }
+            rows.push(metricsRow(await loadPeriodMetrics(range, today), `Total: ${range.label}`));
+            return rows;
+        }
+    }
+};
+
+// Export a dataset: /export?dataset=sales&format=csv&start=2026-01-01&end=2026-03-31
+router.get('/export', requireAuth, async (req, res) => {
+    try {
+        const name = req.query.dataset;
+        const format = req.query.format || 'csv';
+        const definition = Object.prototype.hasOwnProperty.call(DATASETS, name) ? DATASETS[name] : null;
+
+        if (!definition) {
+            return res.status(400).json({ success: false, error: `Dataset must be one of: ${Object.keys(DATASETS).join(', ')}` });
+        }
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ success: false, error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+
+        const today = new Date();
+        let range;
+        try {
+            range = resolveRange(req.query, today);
+        } catch (rangeError) {
+            return res.status(400).json({ success: false, error: 'Invalid date range: ' + rangeError.message });
+        }
+
+        await db.initializeSchema();
+
+        const { body, contentType, filename } = await renderExport({
+            name,
+            title: definition.title,
+            range: { start: range.start, end: range.end, label: range.label },
+            columns: definition.columns,
+            rows: await definition.rows(range, today)
+        }, format);
+
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(body);
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        res.status(500).json({ success: false, error: 'Error exporting data: ' + error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+// Spreadsheet import routes for Box Control Dashboard
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, hasPermission, getAuditContext } = require('../middleware/auth');
+const { IMPORT_TABLES, readSpreadsheet, guessMapping, buildPreview } = require('../lib/importer');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Parse the multipart form, keeping upload errors for the page rather than a 500
+function acceptUpload(req, res, next) {
+    upload.single('file')(req, res, (error) => {
+        if (error) {
+            req.uploadError = error.code === 'LIMIT_FILE_SIZE'
+                ? `File is too large (maximum ${MAX_UPLOAD_BYTES / 1024 / 1024} MB)`
+                : error.message;
+        }
+        next();
+    });
+}
+
+function tableKeyFrom(value) {
+    return Object.prototype.hasOwnProperty.call(IMPORT_TABLES, value) ? value : 'sales';
+}
+
+function renderImport(res, status, locals) {
+    const tableKey = locals.tableKey || 'sales';
+    res.locals.currentPage = tableKey;
+    res.locals.title = 'Import ' + IMPORT_TABLES[tableKey].label;
+    res.status(status).render('import', {
+        tables: IMPORT_TABLES,
+        tableKey,
+        table: IMPORT_TABLES[tableKey],
+        preview: null,
+        source: null,
+        error: null,
+        success: null,
+        ...locals
+    });
+}
+
+// Mapping chosen on the preview form: map_<field> = header index, blank = not imported
+function mappingFromBody(body, tableKey) {
+    const mapping = {};
+    for (const column of IMPORT_TABLES[tableKey].columns) {
+        const index = parseInt(body['map_' + column.field], 10);
+        if (!isNaN(index)) mapping[column.field] = index;
+    }
+    return mapping;
+}
+
+// The parsed file travels with the preview form so re-mapping and applying
+// don't need the upload again
+function sourceFromBody(body) {
+    try {
+        const source = JSON.parse(body.source || '');
+        if (Array.isArray(source.headers) && Array.isArray(source.rows)) return source;
+    } catch (error) {
+        // Fall through
+    }
+    return null;
+}
+
+async function loadExistingRows(tableKey) {
+    return tableKey === 'sales' ? await db.getSalesWeekly() : await db.getProductionWeekly();
+}
+
+// Importing overwrites weekly figures, so needs write access to that table
+function canImport(req, tableKey) {
+    return hasPermission(req.user, tableKey + ':write');
+}
+
+// Import page
+router.get('/import', requireAuth, async (req, res) => {
+    const tableKey = tableKeyFrom(req.query.table);
+    let success = null;
+    if (req.query.imported !== undefined) {
+        const created = parseInt(req.query.imported, 10) || 0;
+        const updated = parseInt(req.query.updated, 10) || 0;
+        success = `Imported ${created} new week${created === 1 ? '' : 's'} and updated ${updated} existing week${updated === 1 ? '' : 's'}.`;
+    }
+    renderImport(res, 200, { tableKey, success });
+});
+
+// Dry run: read the file (or re-map the one already read) and preview the changes
+router.post('/import/preview', requireAuth, acceptUpload, async (req, res) => {
+    const tableKey = tableKeyFrom(req.body.table);
+    try {
+        await db.initializeSchema();
+
+        if (!canImport(req, tableKey)) {
+            return renderImport(res, 403, { tableKey, error: `Your account cannot change ${IMPORT_TABLES[tableKey].label.toLowerCase()} figures` });
+        }
+        if (req.uploadError) {
+            return renderImport(res, 400, { tableKey, error: req.uploadError });
+        }
+
+        let source;
+        let mapping;
+        if (req.file) {
+            try {
+                source = await readSpreadsheet(req.file.buffer, req.file.originalname);
+            } catch (error) {
+                return renderImport(res, 400, { tableKey, error: 'Could not read file: ' + error.message });
+            }
+            mapping = guessMapping(source.headers, tableKey);
+        } else {
+            source = sourceFromBody(req.body);
+            if (!source) {
+                return renderImport(res, 400, { tableKey, error: 'Please choose a CSV or XLSX file to import' });
+            }
+            mapping = req.body.remap_table === tableKey ? mappingFromBody(req.body, tableKey) : guessMapping(source.headers, tableKey);
+        }
+
+        if (source.rows.length === 0) {
+            return renderImport(res, 400, { tableKey, error: 'The file has a header row but no data rows' });
+        }
+
+        const preview = buildPreview({
+            tableKey,
+            headers: source.headers,
+            rows: source.rows,
+            mapping,
+            existingRows: await loadExistingRows(tableKey)
+        });
+
+        renderImport(res, 200, { tableKey, preview, source });
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        renderImport(res, 500, { tableKey, error: 'Error previewing import: ' + error.message });
+    }
+});
+
+// Apply a previewed import in a single transaction
+router.post('/import/apply', requireAuth, acceptUpload, async (req, res) => {
+    const tableKey = tableKeyFrom(req.body.table);
+    try {
+        await db.initializeSchema();
+
+        if (!canImport(req, tableKey)) {
+            return renderImport(res, 403, { tableKey, error: `Your account cannot change ${IMPORT_TABLES[tableKey].label.toLowerCase()} figures` });
+        }
+
+        const source = sourceFromBody(req.body);
+        if (!source) {
+            return renderImport(res, 400, { tableKey, error: 'Import data is missing; please upload the file again' });
+        }
+
+        // Validate again: the data may have changed since the preview was shown
+        const preview = buildPreview({
+            tableKey,
+            headers: source.headers,
+            rows: source.rows,
+            mapping: mappingFromBody(req.body, tableKey),
+            existingRows: await loadExistingRows(tableKey)
+        });
+
+        if (!preview.canApply) {
+            return renderImport(res, 400, {
+                tableKey,
+                preview,
+                source,
+                error: preview.counts.error > 0 || preview.mappingErrors.length > 0
+                    ? 'Fix the errors below before importing'
+                    : 'Nothing to import: every week already matches'
+            });
+        }
+
+        const toWrite = preview.rows.filter(row => row.status === 'new' || row.status === 'update');
+        const audit = { ...getAuditContext(req), note: 'Spreadsheet import' };
+        await db.withTransaction(async (client) => {
+            for (const row of toWrite) {
+                if (tableKey === 'sales') {
+                    await db.upsertSalesWeekly(row.data, { ...audit, client });
+                } else {
+                    await db.upsertProductionWeekly(row.data, { ...audit, client });
+                }
+            }
+        });
+
+        res.redirect(`/import?table=${tableKey}&imported=${preview.counts.new}&updated=${preview.counts.update}`);
+    } catch (error) {
+        console.error('Error applying import:', error);
+        renderImport(res, 500, { tableKey, error: 'Error applying import (nothing was saved): ' + error.message });
+    }
+});
+
+module.exports = router;
@@ -2,21 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const { requireAuth, isAuthenticated } = require('../middleware/auth');
-
-// Helper function to calculate RAG status
-function getRAGStatus(value, thresholds) {
-    if (value < thresholds.red) return 'red';
-    if (value >= thresholds.red && value < thresholds.green) return 'amber';
-    return 'green';
-}
-
-// Helper function to get contribution RAG
-function getContributionRAG(contribution, survival, target) {
-    if (contribution < survival) return 'red';
-    if (contribution >= survival && contribution < target) return 'amber';
-    return 'green';
-}
+const { requireAuth, requirePermission, getAuditContext } = require('../middleware/auth');
+const { resolveTargets } = require('../lib/targets');
+const { validateSettingsUpdate } = require('../lib/validation');
+const { RAG_KPIS, resolveRagThresholds } = require('../lib/kpis');
+const { resolvePeriod, parseDate, toDateKey } = require('../lib/periods');
+const { loadDashboardMetrics } = require('../metrics');
 
 // Dashboard route
 router.get('/dashboard', requireAuth, async (req, res) => {
@@ -28,119 +19,79 @@ router.get('/dashboard', requireAuth, async (req, res) => {
             throw new Error('DATABASE_URL environment variable is not set. Please configure it in Railway.');
         }
 
+        // Resolve the requested period (defaults to the current month)
+        const today = new Date();
+        let period;
+        try {
+            period = resolvePeriod(req.query, today);
+        } catch (periodError) {
+            return res.status(400).render('error', {
+                message: 'Invalid period: ' + periodError.message,
+                error: null
+            });
+        }
+
         // Initialize schema if needed
         await db.initializeSchema();
 
-        // Get settings
+        // Get settings (working copy for the settings panel)
         const settings = await db.getSettings();
 
-        // Get MTD data
-        const salesMTD = await db.getSalesMTD();
-        const productionMTD = await db.getProductionMTD();
-
-        // Get last 4 weeks data
-        const salesLast4Weeks = await db.getSalesLast4Weeks();
-        const productionLast4Weeks = await db.getProductionLast4Weeks();
-
-        // Calculate metrics
-        // Use actual revenue × gross margin instead of boxes × contribution_per_box
-        const grossMarginPct = parseFloat(settings.gross_margin_pct || 0.35);
-        const totalRevenueMTD = parseFloat(salesMTD.box_revenue || 0) + 
-                                 parseFloat(salesMTD.extras_revenue || 0) + 
-                                 parseFloat(salesMTD.install_revenue || 0);
-        const contributionMTD = totalRevenueMTD * grossMarginPct;
-
-        // Install % (last 4 weeks weighted)
-        const totalBoxes4Weeks = salesLast4Weeks.reduce((sum, w) => sum + (w.boxes_sold || 0), 0);
-        const totalInstalls4Weeks = salesLast4Weeks.reduce((sum, w) => sum + (w.installs_sold || 0), 0);
-        const installPct = totalBoxes4Weeks > 0 ? totalInstalls4Weeks / totalBoxes4Weeks : 0;
-
-        // Extras % (last 4 weeks weighted)
-        const totalBoxRevenue4Weeks = salesLast4Weeks.reduce((sum, w) => sum + parseFloat(w.box_revenue || 0), 0);
-        const totalExtrasRevenue4Weeks = salesLast4Weeks.reduce((sum, w) => sum + parseFloat(w.extras_revenue || 0), 0);
-        const extrasPct = totalBoxRevenue4Weeks > 0 ? totalExtrasRevenue4Weeks / totalBoxRevenue4Weeks : 0;
-
-        // Contribution per box (MTD) - actual average
-        const contributionPerBox = salesMTD.boxes_sold > 0 
-            ? contributionMTD / salesMTD.boxes_sold 
-            : parseFloat(settings.contribution_per_box || 0);
-
-        // Cost compliance (last 4 weeks)
-        const totalBoxesProduced4Weeks = productionLast4Weeks.reduce((sum, w) => sum + (w.boxes_produced || 0), 0);
-        const totalBoxesOverCost4Weeks = productionLast4Weeks.reduce((sum, w) => sum + (w.boxes_over_cost || 0), 0);
-        const costCompliancePct = totalBoxesProduced4Weeks > 0
-            ? (totalBoxesProduced4Weeks - totalBoxesOverCost4Weeks) / totalBoxesProduced4Weeks
-            : 0;
-
-        // Rework per box (last 4 weeks)
-        const totalReworkHours4Weeks = productionLast4Weeks.reduce((sum, w) => sum + parseFloat(w.rework_hours || 0), 0);
-        const reworkPerBox = totalBoxesProduced4Weeks > 0
-            ? totalReworkHours4Weeks / totalBoxesProduced4Weeks
-            : 0;
-
-        // Average boxes per week (production last 4 weeks)
-        const avgBoxesPerWeek = productionLast4Weeks.length > 0
-            ? totalBoxesProduced4Weeks / productionLast4Weeks.length
-            : 0;
-
-        // Forward look
-        const forwardLook = await db.getForwardLook();
-
-        // Calculate period information for display
-        const now = new Date();
-        const currentMonth = now.toLocaleString('en-GB', { month: 'long', year: 'numeric' });
-        const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        const currentMonthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-        
-        // Get date range for last 4 weeks
-        let last4WeeksStart = null;
-        let last4WeeksEnd = null;
-        if (salesLast4Weeks.length > 0) {
-            const dates = salesLast4Weeks.map(w => new Date(w.week_commencing)).sort((a, b) => a - b);
-            last4WeeksStart = dates[0];
-            last4WeeksEnd = dates[dates.length - 1];
-        }
-
-        // Calculate RAG statuses
-        const contributionRAG = getContributionRAG(
-            contributionMTD,
-            parseFloat(settings.survival_contribution),
-            parseFloat(settings.monthly_contribution_target)
-        );
+        // Metrics for the selected period and the one before it, RAG statuses
+        // and the forward look
+        const dashboard = await loadDashboardMetrics(period, today, { forecastWeeks: req.query.forecast_weeks });
+        const { comparison, inProgress, current, rag, thresholds, deltas, forecast, forwardLook, capacityPerWeek, productMix, completeness } = dashboard;
+        const periodSettings = current.periodSettings;
 
-        const installRAG = installPct < parseFloat(settings.target_install_pct) ? 'red' : 'green';
-        const extrasRAG = extrasPct < parseFloat(settings.target_extras_pct) ? 'red' : 'green';
-        const contributionPerBoxRAG = getRAGStatus(contributionPerBox, { red: 600, green: 640 });
-        const costComplianceRAG = costCompliancePct < parseFloat(settings.cost_compliance_target) ? 'red' : 'green';
-        const reworkRAG = getRAGStatus(reworkPerBox, { red: 0.5, green: 0.25 });
-
-        const { isAuthenticated: checkAuth } = require('../middleware/auth');
         res.render('dashboard', {
             settings,
-            salesMTD,
-            productionMTD,
-            contributionMTD,
-            contributionRAG,
-            installPct: installPct * 100,
-            installRAG,
-            extrasPct: extrasPct * 100,
-            extrasRAG,
-            contributionPerBox,
-            contributionPerBoxRAG,
-            costCompliancePct: costCompliancePct * 100,
-            costComplianceRAG,
-            reworkPerBox,
-            reworkRAG,
-            avgBoxesPerWeek,
+            targets: resolveTargets(settings),
+            ragKpis: RAG_KPIS,
+            ragConfig: resolveRagThresholds(settings),
+            periodSettings,
+            period,
+            comparison,
+            inProgress,
+            periodSuffix: inProgress ? (period.type === 'month' ? 'MTD' : 'to date') : '',
+            query: req.query,
+            completeness,
+            productMix,
+            salesTotals: current.salesTotals,
+            productionTotals: current.productionTotals,
+            contribution: current.contribution,
+            contributionTarget: current.contributionTarget,
+            survivalTarget: current.survivalTarget,
+            contributionRAG: rag.contribution,
+            installPct: current.installPct * 100,
+            installRAG: rag.installPct,
+            extrasPct: current.extrasPct * 100,
+            extrasRAG: rag.extrasPct,
+            contributionPerBox: current.contributionPerBox,
+            contributionPerBoxRAG: rag.contributionPerBox,
+            costs: current.costs,
+            costVarianceRAG: rag.costVariancePct,
+            costCompliancePct: current.costCompliancePct,
+            reworkPerBox: current.reworkPerBox,
+            reworkRAG: rag.reworkPerBox,
+            rightFirstTimePct: current.rightFirstTimePct,
+            periodRightFirstTimePct: current.periodRightFirstTimePct,
+            rightFirstTimeRAG: rag.rightFirstTimePct,
+            installs: current.installs,
+            installBacklogRAG: rag.installBacklog,
+            installLeadTimeRAG: rag.installLeadTimeDays,
+            backlog: current.backlog,
+            orderBacklogRAG: rag.orderBacklogWeeks,
+            ragThresholds: thresholds,
+            avgBoxesPerWeek: current.avgBoxesPerWeek,
+            deltas,
+            forecast,
             forwardLook,
-            currentMonth,
-            currentMonthStart: currentMonthStart.toISOString().split('T')[0],
-            currentMonthEnd: currentMonthEnd.toISOString().split('T')[0],
-            last4WeeksStart: last4WeeksStart ? last4WeeksStart.toISOString().split('T')[0] : null,
-            last4WeeksEnd: last4WeeksEnd ? last4WeeksEnd.toISOString().split('T')[0] : null,
-            salesLast4Weeks,
-            productionLast4Weeks,
-            isAuthenticated: checkAuth(req)
+            capacityPerWeek,
+            useTrailingWeeks: current.useTrailingWeeks,
+            windowStart: current.windowStart,
+            windowEnd: current.windowEnd,
+            salesWeeks: current.salesWeeks,
+            productionWeeks: current.productionWeeks
         });
     } catch (error) {
         console.error('Error loading dashboard:', error);
@@ -164,57 +115,23 @@ router.get('/dashboard', requireAuth, async (req, res) => {
 });
 
 // Settings update API
-router.post('/api/settings', requireAuth, async (req, res) => {
+router.post('/api/settings', requireAuth, requirePermission('settings:write'), async (req, res) => {
     try {
-        const updates = req.body;
-        
-        // Validate numeric fields
-        const numericFields = [
-            'annual_turnover',
-            'base_box_price',
-            'gross_margin_pct',
-            'monthly_contribution_target',
-            'survival_contribution',
-            'target_boxes_per_month',
-            'target_boxes_per_week',
-            'target_install_pct',
-            'target_extras_pct',
-            'contribution_per_box',
-            'cost_compliance_target',
-            'right_first_time_target'
-        ];
-
-        // Validate install and extras percentages don't exceed reasonable limits
-        if (updates.target_install_pct !== undefined || updates.target_extras_pct !== undefined) {
-            const installPct = parseFloat(updates.target_install_pct || req.body.target_install_pct || 0);
-            const extrasPct = parseFloat(updates.target_extras_pct || req.body.target_extras_pct || 0);
-            if (installPct + extrasPct > 1.0) {
-                return res.status(400).json({ 
-                    error: 'Install % + Extras % cannot exceed 100%' 
-                });
-            }
+        // A partial change is checked and merged over the settings in force on
+        // its effective date
+        const effectiveFrom = parseDate(String(req.body.valid_from || '')) ? String(req.body.valid_from) : toDateKey(new Date());
+        const current = await db.getSettingsAt(effectiveFrom);
+        const { error, data } = validateSettingsUpdate(req.body, current);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        for (const field of numericFields) {
-            if (updates[field] !== undefined) {
-                const value = parseFloat(updates[field]);
-                if (isNaN(value) || value < 0) {
-                    return res.status(400).json({ 
-                        error: `Invalid value for ${field}` 
-                    });
-                }
-                // Special validation for percentages
-                if ((field === 'target_install_pct' || field === 'target_extras_pct' || field === 'gross_margin_pct' || 
-                     field === 'cost_compliance_target' || field === 'right_first_time_target') && value > 1) {
-                    return res.status(400).json({ 
-                        error: `${field} cannot exceed 1.0 (100%)` 
-                    });
-                }
-                updates[field] = value;
-            }
-        }
-
-        const updated = await db.updateSettings(updates);
+        const { updates, validFrom, changeNote } = data;
+        const updated = await db.updateSettings(updates, {
+            ...getAuditContext(req),
+            validFrom,
+            note: changeNote
+        });
         res.json({ success: true, settings: updated });
     } catch (error) {
         console.error('Error updating settings:', error);
@@ -222,6 +139,71 @@ router.post('/api/settings', requireAuth, async (req, res) => {
     }
 });
 
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+// The version a settings version replaced: of those recorded before it, the
+// one in force on its effective date, or for a change backdated before all of
+// them, the earliest (which dates before any version fall back to)
+function replacedVersion(versions, version) {
+    const validFrom = toDateKey(version.valid_from);
+    const earlier = versions.filter(other => other.id < version.id);
+    const inForce = earlier
+        .filter(other => toDateKey(other.valid_from) <= validFrom)
+        .sort((a, b) => toDateKey(b.valid_from).localeCompare(toDateKey(a.valid_from)) || b.id - a.id);
+    if (inForce.length > 0) return inForce[0];
+    return earlier.sort((a, b) => toDateKey(a.valid_from).localeCompare(toDateKey(b.valid_from)) || a.id - b.id)[0] || null;
+}
+
+// Settings history (effective-dated target versions)
+router.get('/settings/history', requireAuth, async (req, res) => {
+    res.locals.currentPage = 'dashboard';
+    res.locals.title = 'Target History';
+    try {
+        await db.initializeSchema();
+        const versions = await db.getSettingsHistory();
+
+        // Versions are newest first; diff each against the one it replaced,
+        // which for a backdated change is not the one listed after it
+        const history = versions.map(version => {
+            const previous = replacedVersion(versions, version);
+            const changes = [];
+            if (previous) {
+                for (const [key, value] of Object.entries(version.settings)) {
+                    const before = previous.settings[key];
+                    if (isObject(value) || isObject(before)) {
+                        // JSON settings (rag_thresholds) are compared entry by entry
+                        const keys = new Set([...Object.keys(before || {}), ...Object.keys(value || {})]);
+                        for (const entry of keys) {
+                            const entryBefore = (before || {})[entry];
+                            const entryAfter = (value || {})[entry];
+                            if (JSON.stringify(entryBefore) !== JSON.stringify(entryAfter)) {
+                                changes.push({
+                                    field: `${key} ${entry}`,
+                                    before: entryBefore === undefined ? null : JSON.stringify(entryBefore),
+                                    after: entryAfter === undefined ? null : JSON.stringify(entryAfter)
+                                });
+                            }
+                        }
+                    } else if (String(before) !== String(value)) {
+                        changes.push({ field: key, before, after: value });
+                    }
+                }
+            }
+            return { ...version, changes, isBaseline: !previous };
+        });
+
+        res.render('settings-history', { history });
+    } catch (error) {
+        console.error('Error loading settings history:', error);
+        res.status(500).render('error', {
+            message: 'Error loading settings history',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
 // Root redirect to dashboard
 router.get('/', (req, res) => {
     res.redirect('/dashboard');
@@ -0,0 +1,128 @@
+// Install board routes for Box Control Dashboard
+// Everyone can see the board; production users schedule installs with a date
+// and crew, mark them completed or cancelled, and add installs sold outside
+// the order ledger. Installs from orders follow their order's reference,
+// customer, sold date and boxes, so those are only changed on the order.
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, requirePermission, getActor } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const { validateInstall } = require('../lib/validation');
+const { INSTALL_STATUSES, RECENTLY_COMPLETED_DAYS, installStats, installBoard } = require('../lib/installs');
+const { parseDate, addDays, toDateString, toDateKey } = require('../lib/periods');
+
+const ORDER_FIELDS = ['reference', 'customer', 'installs', 'sold_date'];
+
+// Render the install board
+async function renderInstalls(res, status, locals) {
+    res.locals.currentPage = 'installs';
+    res.locals.title = 'Installs';
+    return renderOrFail(res, 'installs', async () => {
+        const todayKey = toDateString(new Date());
+        const since = toDateString(addDays(parseDate(todayKey), -RECENTLY_COMPLETED_DAYS));
+        const installs = await db.getBoardInstalls(since);
+        return {
+            board: installBoard(installs, todayKey),
+            summary: installStats(installs, since, todayKey, todayKey),
+            statuses: INSTALL_STATUSES,
+            RECENTLY_COMPLETED_DAYS,
+            todayKey,
+            editing: null,
+            form: {},
+            error: null,
+            warning: null,
+            success: null,
+            ...locals
+        };
+    }, { status, message: 'Error loading installs' });
+}
+
+// Form values for an existing install
+function installForm(install) {
+    const date = value => (value ? toDateKey(value) : '');
+    return {
+        ...install,
+        sold_date: date(install.sold_date),
+        install_date: date(install.install_date),
+        completed_date: date(install.completed_date)
+    };
+}
+
+// Install board, with ?id= to edit an install
+router.get('/installs', requireAuth, async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.query.id, 10);
+        const editing = isNaN(id) ? null : await db.getInstall(id);
+        if (req.query.id !== undefined && !editing) {
+            return await renderInstalls(res, 404, { error: 'Install not found' });
+        }
+
+        await renderInstalls(res, 200, {
+            editing,
+            form: editing ? installForm(editing) : {},
+            success: req.query.saved ? 'Install saved' : null,
+            warning: req.query.warning || null
+        });
+    } catch (error) {
+        console.error('Error loading installs:', error);
+        res.status(500).render('error', {
+            message: 'Error loading installs',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Add an install sold outside the order ledger
+router.post('/installs', requireAuth, requirePermission('production:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const { error, data, warning } = validateInstall(req.body, toDateString(new Date()));
+        if (error) {
+            return await renderInstalls(res, 400, { error, form: req.body });
+        }
+
+        await db.createInstall({ ...data, updated_by: getActor(req) });
+        res.redirect('/installs?saved=1' + (warning ? '&warning=' + encodeURIComponent(warning) : ''));
+    } catch (error) {
+        console.error('Error adding install:', error);
+        await renderInstalls(res, 500, { error: 'Error adding install: ' + error.message, form: req.body });
+    }
+});
+
+// Schedule, complete or cancel an install, or correct its details
+router.post('/installs/:id', requireAuth, requirePermission('production:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const existing = isNaN(id) ? null : await db.getInstall(id);
+        if (!existing) {
+            return await renderInstalls(res, 404, { error: 'Install not found' });
+        }
+
+        const input = { ...req.body };
+        if (existing.sales_order_id) {
+            const fromOrder = installForm(existing);
+            ORDER_FIELDS.forEach(field => {
+                input[field] = fromOrder[field];
+            });
+        }
+
+        const { error, data, warning } = validateInstall(input, toDateString(new Date()));
+        if (error) {
+            return await renderInstalls(res, 400, { error, editing: existing, form: { ...input, id } });
+        }
+
+        await db.updateInstall(id, { ...data, updated_by: getActor(req) });
+        res.redirect('/installs?saved=1' + (warning ? '&warning=' + encodeURIComponent(warning) : ''));
+    } catch (error) {
+        console.error('Error updating install:', error);
+        await renderInstalls(res, 500, { error: 'Error updating install: ' + error.message });
+    }
+});
+
+module.exports = router;
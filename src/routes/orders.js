@@ -0,0 +1,185 @@
+// Sales order ledger routes for Box Control Dashboard
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, requirePermission, getAuditContext } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const { mondayOf, parseDate, addDays, toDateString } = require('../lib/periods');
+
+// Render the ledger page, optionally filtered to one week
+async function renderOrders(res, status, locals) {
+    const week = locals.week || null;
+    return renderOrFail(res, 'orders', async () => ({
+        existingData: null,
+        error: null,
+        orders: week
+            ? await db.getSalesOrders(week, toDateString(addDays(parseDate(week), 6)))
+            : (await db.getSalesOrders()).slice(0, 50), // Show latest 50 orders
+        ...locals,
+        week
+    }), { status, message: 'Error loading sales orders' });
+}
+
+// Get ledger form and orders (with optional edit mode or week filter)
+router.get('/sales/orders', requireAuth, async (req, res) => {
+    res.locals.currentPage = 'sales';
+    res.locals.title = 'Sales Orders';
+    try {
+        await db.initializeSchema();
+
+        let existingData = null;
+        const id = parseInt(req.query.id, 10);
+        if (!isNaN(id)) {
+            existingData = await db.getSalesOrder(id);
+        }
+
+        const week = parseDate(req.query.week) ? mondayOf(req.query.week) : null;
+        await renderOrders(res, 200, { existingData, week });
+    } catch (error) {
+        console.error('Error loading sales orders:', error);
+        res.status(500).render('error', {
+            message: 'Error loading sales orders',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Create or update an order
+router.post('/sales/orders', requireAuth, requirePermission('sales:write'), async (req, res) => {
+    res.locals.currentPage = 'sales';
+    res.locals.title = 'Sales Orders';
+    try {
+        await db.initializeSchema();
+
+        const {
+            id,
+            order_ref,
+            customer,
+            order_date,
+            box_type,
+            boxes,
+            includes_install,
+            box_revenue,
+            extras_revenue,
+            install_revenue,
+            notes
+        } = req.body;
+
+        const fail = (message) => renderOrders(res, 400, { error: message, existingData: req.body });
+
+        // Validation
+        if (!order_ref || !order_ref.trim()) {
+            return await fail('Order reference is required');
+        }
+
+        if (!parseDate(order_date)) {
+            return await fail('Order date is required');
+        }
+
+        const boxCount = parseInt(boxes, 10);
+        if (isNaN(boxCount) || boxCount < 0) {
+            return await fail('Boxes must be a non-negative integer');
+        }
+
+        // Parse revenue fields (allow decimals)
+        const boxRev = parseFloat(box_revenue) || 0;
+        const extrasRev = parseFloat(extras_revenue) || 0;
+        const installRev = parseFloat(install_revenue) || 0;
+        if (boxRev < 0 || extrasRev < 0 || installRev < 0) {
+            return await fail('Revenue values must be non-negative');
+        }
+
+        const data = {
+            order_ref: order_ref.trim(),
+            customer: customer || null,
+            order_date,
+            box_type: box_type || null,
+            boxes: boxCount,
+            includes_install: includes_install === 'on' || includes_install === 'true' || includes_install === true,
+            box_revenue: boxRev,
+            extras_revenue: extrasRev,
+            install_revenue: installRev,
+            notes: notes || null
+        };
+
+        try {
+            if (id) {
+                const updated = await db.updateSalesOrder(parseInt(id, 10), data);
+                if (!updated) {
+                    return await fail('Sales order not found');
+                }
+            } else {
+                await db.createSalesOrder(data);
+            }
+        } catch (error) {
+            // Unique violation on order_ref
+            if (error.code === '23505') {
+                return await fail(`Order reference ${data.order_ref} already exists`);
+            }
+            throw error;
+        }
+
+        res.redirect('/sales/orders?week=' + encodeURIComponent(mondayOf(order_date)));
+    } catch (error) {
+        console.error('Error saving sales order:', error);
+        res.status(500).render('error', {
+            message: 'Error saving sales order: ' + error.message,
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Delete an order
+router.delete('/sales/orders/:id', requireAuth, requirePermission('sales:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const deleted = isNaN(id) ? null : await db.deleteSalesOrder(id);
+
+        if (deleted) {
+            res.json({ success: true, message: 'Sales order deleted successfully' });
+        } else {
+            res.status(404).json({ success: false, error: 'Sales order not found' });
+        }
+    } catch (error) {
+        console.error('Error deleting sales order:', error);
+        res.status(500).json({ success: false, error: 'Error deleting sales order: ' + error.message });
+    }
+});
+
+// Replace a week's sales figures with the ledger totals
+router.post('/sales/orders/apply/:weekCommencing', requireAuth, requirePermission('sales:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        if (!parseDate(req.params.weekCommencing)) {
+            return res.status(400).json({ success: false, error: 'Invalid week commencing date' });
+        }
+        const week = mondayOf(req.params.weekCommencing);
+        const weekEnd = toDateString(addDays(parseDate(week), 6));
+
+        const [totals] = await db.getSalesOrderWeeklyTotals(week, weekEnd);
+        if (!totals) {
+            return res.status(404).json({ success: false, error: 'No orders recorded for that week' });
+        }
+
+        const existing = await db.getSalesWeekly(week);
+        const updated = await db.upsertSalesWeekly({
+            week_commencing: week,
+            boxes_sold: totals.boxes_sold,
+            installs_sold: totals.installs_sold,
+            box_revenue: parseFloat(totals.box_revenue),
+            extras_revenue: parseFloat(totals.extras_revenue),
+            install_revenue: parseFloat(totals.install_revenue),
+            notes: existing ? existing.notes : null
+        }, { ...getAuditContext(req), note: 'Order ledger totals' });
+
+        res.json({ success: true, message: 'Weekly sales updated from the order ledger', data: updated });
+    } catch (error) {
+        console.error('Error applying ledger totals:', error);
+        res.status(500).json({ success: false, error: 'Error applying ledger totals: ' + error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+// Order pipeline routes for Box Control Dashboard
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const { mondayOf, toDateString, toDateKey } = require('../lib/periods');
+
+// Pipeline stages in order of certainty, with the default probability for each
+const PIPELINE_STAGES = [
+    { value: 'enquiry', label: 'Enquiry', probability: 0.2 },
+    { value: 'quoted', label: 'Quoted', probability: 0.5 },
+    { value: 'committed', label: 'Committed', probability: 0.9 },
+    { value: 'booked', label: 'Booked', probability: 1 }
+];
+
+// Render the pipeline page with upcoming orders
+async function renderPipeline(res, status, locals) {
+    return renderOrFail(res, 'pipeline', async () => {
+        const fromWeek = mondayOf(toDateString(new Date()));
+        const orders = await db.getPipelineOrders(fromWeek);
+
+        // Totals per week for the summary table
+        const weekTotals = new Map();
+        for (const order of orders) {
+            const week = mondayOf(toDateKey(order.week_commencing));
+            if (!weekTotals.has(week)) {
+                weekTotals.set(week, { week_commencing: week, orders: 0, boxes: 0, weightedBoxes: 0, bookedBoxes: 0, installs: 0 });
+            }
+            const totals = weekTotals.get(week);
+            totals.orders += 1;
+            totals.boxes += order.boxes;
+            totals.weightedBoxes += order.boxes * parseFloat(order.probability);
+            if (order.stage === 'booked') totals.bookedBoxes += order.boxes;
+            if (order.includes_install) totals.installs += order.boxes;
+        }
+
+        return {
+            existingData: null,
+            error: null,
+            orders,
+            weekTotals: [...weekTotals.values()],
+            stages: PIPELINE_STAGES,
+            ...locals
+        };
+    }, { status, message: 'Error loading pipeline' });
+}
+
+// Get pipeline form and upcoming orders (with optional edit mode)
+router.get('/pipeline', requireAuth, async (req, res) => {
+    res.locals.currentPage = 'pipeline';
+    res.locals.title = 'Pipeline';
+    try {
+        await db.initializeSchema();
+
+        let existingData = null;
+        const id = parseInt(req.query.id, 10);
+        if (!isNaN(id)) {
+            existingData = await db.getPipelineOrder(id);
+        }
+
+        await renderPipeline(res, 200, { existingData });
+    } catch (error) {
+        console.error('Error loading pipeline:', error);
+        res.status(500).render('error', {
+            message: 'Error loading pipeline',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Create or update a pipeline order
+router.post('/pipeline', requireAuth, requirePermission('sales:write'), async (req, res) => {
+    res.locals.currentPage = 'pipeline';
+    res.locals.title = 'Pipeline';
+    try {
+        await db.initializeSchema();
+
+        const {
+            id,
+            week_commencing,
+            order_ref,
+            customer,
+            boxes,
+            includes_install,
+            extras_value,
+            stage,
+            probability,
+            notes
+        } = req.body;
+
+        const fail = (message) => renderPipeline(res, 400, { error: message, existingData: req.body });
+
+        // Validation
+        if (!week_commencing || isNaN(Date.parse(week_commencing))) {
+            return await fail('Week commencing date is required');
+        }
+
+        const boxCount = parseInt(boxes, 10);
+        if (isNaN(boxCount) || boxCount < 0) {
+            return await fail('Boxes must be a non-negative integer');
+        }
+
+        const stageDefinition = PIPELINE_STAGES.find(s => s.value === stage);
+        if (!stageDefinition) {
+            return await fail('Please choose a valid stage');
+        }
+
+        // Blank probability takes the stage default
+        let probabilityValue = stageDefinition.probability;
+        if (probability !== undefined && probability !== '') {
+            probabilityValue = parseFloat(probability);
+            if (isNaN(probabilityValue) || probabilityValue < 0 || probabilityValue > 1) {
+                return await fail('Probability must be between 0 and 1');
+            }
+        }
+
+        const extrasValue = parseFloat(extras_value) || 0;
+        if (extrasValue < 0) {
+            return await fail('Extras value must be non-negative');
+        }
+
+        const data = {
+            week_commencing,
+            order_ref: order_ref || null,
+            customer: customer || null,
+            boxes: boxCount,
+            includes_install: includes_install === 'on' || includes_install === 'true' || includes_install === true,
+            extras_value: extrasValue,
+            stage: stageDefinition.value,
+            probability: probabilityValue,
+            notes: notes || null
+        };
+
+        if (id) {
+            const updated = await db.updatePipelineOrder(parseInt(id, 10), data);
+            if (!updated) {
+                return await fail('Pipeline order not found');
+            }
+        } else {
+            await db.createPipelineOrder(data);
+        }
+
+        res.redirect('/pipeline');
+    } catch (error) {
+        console.error('Error saving pipeline order:', error);
+        res.status(500).render('error', {
+            message: 'Error saving pipeline order: ' + error.message,
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Delete a pipeline order
+router.delete('/pipeline/:id', requireAuth, requirePermission('sales:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const deleted = isNaN(id) ? null : await db.deletePipelineOrder(id);
+
+        if (deleted) {
+            res.json({ success: true, message: 'Pipeline order deleted successfully' });
+        } else {
+            res.status(404).json({ success: false, error: 'Pipeline order not found' });
+        }
+    } catch (error) {
+        console.error('Error deleting pipeline order:', error);
+        res.status(500).json({ success: false, error: 'Error deleting pipeline order: ' + error.message });
+    }
+});
+
+module.exports = router;
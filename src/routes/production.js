@@ -2,7 +2,34 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requirePermission, getAuditContext } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const { buildWeekHistory } = require('../lib/audit');
+const { purgeDateFor } = require('../purge');
+const { validateProductionWeek, validateRightFirstTime, validateProductBreakdown } = require('../lib/validation');
+const { breakdownForm } = require('../lib/products');
+const { hasActualCosts, weekCost } = require('../lib/costing');
+const { isWeekStart } = require('../lib/calendar');
+const { toDateKey } = require('../lib/periods');
+
+// Weeks (newest first) with their actual against standard cost as cost, each
+// at the labour rate and standard cost per box in force that week
+async function withCosts(weeks) {
+    if (weeks.length === 0) return weeks;
+    const products = await db.getProducts();
+    const costWeeks = await db.getProductionCostWeeks(weeks[weeks.length - 1].week_commencing, weeks[0].week_commencing);
+    const breakdowns = new Map(costWeeks.map(week => [toDateKey(week.week_commencing), week.products]));
+
+    const costed = [];
+    for (const week of weeks) {
+        const key = toDateKey(week.week_commencing);
+        const cost = hasActualCosts(week)
+            ? weekCost(week, breakdowns.get(key) || [], products, await db.getSettingsAt(key))
+            : null;
+        costed.push({ ...week, cost });
+    }
+    return costed;
+}
 
 // Get production form (with optional edit mode)
 router.get('/production', requireAuth, async (req, res) => {
@@ -12,19 +39,34 @@ router.get('/production', requireAuth, async (req, res) => {
         await db.initializeSchema();
         
         const weekCommencing = req.query.week_commencing || null;
+        const warning = req.query.warning || null;
         let existingData = null;
+        let history = [];
+        let weekProducts = [];
 
         if (weekCommencing) {
             existingData = await db.getProductionWeekly(weekCommencing);
+            history = buildWeekHistory('production_weekly', await db.getAuditHistory('production_weekly', weekCommencing));
+            weekProducts = await db.getWeekProducts('production_weekly', weekCommencing);
         }
 
         // Get all production weeks for reference
         const allWeeks = await db.getProductionWeekly();
+        const deletedWeeks = (await db.getDeletedProductionWeekly()).map(week => ({
+            ...week,
+            purge_at: purgeDateFor(week.deleted_at)
+        }));
 
         res.render('production', {
             existingData,
-            allWeeks: allWeeks.slice(0, 10), // Show last 10 weeks
-            weekCommencing
+            allWeeks: await withCosts(allWeeks.slice(0, 10)), // Show last 10 weeks
+            weekCommencing,
+            weekInfo: weekCommencing && isWeekStart(weekCommencing) ? (await db.getCalendar()).week(weekCommencing) : null,
+            warning,
+            history,
+            deletedWeeks,
+            reminders: await db.getReminders({ tableName: 'production', openOnly: true }),
+            breakdown: breakdownForm(await db.getProducts(), weekProducts)
         });
     } catch (error) {
         console.error('Error loading production form:', error);
@@ -35,104 +77,55 @@ router.get('/production', requireAuth, async (req, res) => {
     }
 });
 
+// Re-show the form with what was posted and why it was not saved
+async function renderFormError(res, status, error, body) {
+    return renderOrFail(res, 'production', async () => ({
+        error,
+        existingData: body,
+        allWeeks: await db.getProductionWeekly(),
+        breakdown: breakdownForm(await db.getProducts(), Object.values(body.products || {}))
+    }), { status, message: 'Error loading production form' });
+}
+
 // Post production data
-router.post('/production', requireAuth, async (req, res) => {
+router.post('/production', requireAuth, requirePermission('production:write'), async (req, res) => {
     try {
         await db.initializeSchema();
 
-        const {
-            week_commencing,
-            boxes_produced,
-            installs_completed,
-            boxes_over_cost,
-            rework_hours,
-            right_first_time_pct,
-            notes
-        } = req.body;
-
-        // Validation
-        if (!week_commencing) {
-            return res.status(400).render('production', {
-                error: 'Week commencing date is required',
-                existingData: req.body,
-                allWeeks: await db.getProductionWeekly()
-            });
+        const { error, data, warning } = validateProductionWeek(req.body);
+        if (error) {
+            return await renderFormError(res, 400, error, req.body);
         }
 
-        // Validate integers
-        const boxesProduced = parseInt(boxes_produced, 10);
-        const installsCompleted = parseInt(installs_completed, 10);
-        const boxesOverCost = parseInt(boxes_over_cost, 10) || 0;
-
-        if (isNaN(boxesProduced) || boxesProduced < 0) {
-            return res.status(400).render('production', {
-                error: 'Boxes produced must be a non-negative integer',
-                existingData: req.body,
-                allWeeks: await db.getProductionWeekly()
-            });
-        }
-
-        if (isNaN(installsCompleted) || installsCompleted < 0) {
-            return res.status(400).render('production', {
-                error: 'Installs completed must be a non-negative integer',
-                existingData: req.body,
-                allWeeks: await db.getProductionWeekly()
-            });
-        }
-
-        if (isNaN(boxesOverCost) || boxesOverCost < 0) {
-            return res.status(400).render('production', {
-                error: 'Boxes over cost must be a non-negative integer',
-                existingData: req.body,
-                allWeeks: await db.getProductionWeekly()
-            });
+        // The breakdown by product is only posted when the catalogue has
+        // products; without it the week's breakdown is left as it is
+        if (req.body.products !== undefined) {
+            const breakdown = validateProductBreakdown('production_weekly', req.body.products, await db.getProducts(), data);
+            if (breakdown.error) {
+                return await renderFormError(res, 400, breakdown.error, req.body);
+            }
+            data.products = breakdown.data;
         }
 
-        // Parse numeric fields
-        const reworkHours = parseFloat(rework_hours) || 0;
-        const rightFirstTime = right_first_time_pct ? parseFloat(right_first_time_pct) : null;
+        await db.upsertProductionWeekly(data, getAuditContext(req));
 
-        if (reworkHours < 0) {
-            return res.status(400).render('production', {
-                error: 'Rework hours must be non-negative',
-                existingData: req.body,
-                allWeeks: await db.getProductionWeekly()
-            });
-        }
-
-        const data = {
-            week_commencing,
-            boxes_produced: boxesProduced,
-            installs_completed: installsCompleted,
-            boxes_over_cost: boxesOverCost,
-            rework_hours: reworkHours,
-            right_first_time_pct: rightFirstTime,
-            notes: notes || null
-        };
-
-        await db.upsertProductionWeekly(data);
-
-        res.redirect('/production?week_commencing=' + encodeURIComponent(week_commencing));
+        res.redirect('/production?week_commencing=' + encodeURIComponent(data.week_commencing) + (warning ? '&warning=' + encodeURIComponent(warning) : ''));
     } catch (error) {
         console.error('Error saving production data:', error);
-        res.status(500).render('production', {
-            error: 'Error saving production data: ' + error.message,
-            existingData: req.body,
-            allWeeks: await db.getProductionWeekly()
-        });
+        await renderFormError(res, 500, 'Error saving production data: ' + error.message, req.body);
     }
 });
 
 // Delete production data
-router.delete('/production/:weekCommencing', requireAuth, async (req, res) => {
+router.delete('/production/:weekCommencing', requireAuth, requirePermission('production:write'), async (req, res) => {
     try {
         await db.initializeSchema();
         
         const weekCommencing = req.params.weekCommencing;
-        const deleted = await db.deleteProductionWeekly(weekCommencing);
+        const deleted = await db.deleteProductionWeekly(weekCommencing, getAuditContext(req));
         
         if (deleted) {
-            res.json({ success: true, message: 'Production data deleted successfully' });
+            res.json({ success: true, message: 'Production data deleted (it can be restored from Recently Deleted)' });
         } else {
             res.status(404).json({ success: false, error: 'Production data not found' });
         }
@@ -142,5 +135,63 @@ router.delete('/production/:weekCommencing', requireAuth, async (req, res) => {
     }
 });
 
+// Undo the delete of a week (before it is purged)
+router.post('/production/deleted/:weekCommencing/restore', requireAuth, requirePermission('production:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        // Rows entered against a non-Monday date duplicated another week and
+        // were set aside when weeks were normalised; they cannot come back
+        if (!isWeekStart(req.params.weekCommencing)) {
+            return res.status(400).json({
+                success: false,
+                error: 'These figures were entered against a day other than Monday and duplicate another week, so they cannot be restored. Copy anything needed into the Monday week instead.'
+            });
+        }
+
+        const restored = await db.restoreDeletedProductionWeekly(req.params.weekCommencing, getAuditContext(req));
+
+        if (restored) {
+            res.json({ success: true, message: 'Production data restored', data: restored });
+        } else {
+            res.status(404).json({ success: false, error: 'No deleted production data for that week' });
+        }
+    } catch (error) {
+        console.error('Error restoring deleted production data:', error);
+        res.status(500).json({ success: false, error: 'Error restoring production data: ' + error.message });
+    }
+});
+
+// Restore a week to an earlier version from its history
+router.post('/production/history/:id/restore', requireAuth, requirePermission('production:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const entry = isNaN(id) ? null : await db.getAuditEntry(id);
+        if (!entry || entry.table_name !== 'production_weekly' || !entry.after_data) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        // Versions saved before right first time was counted have only the
+        // percentage, and those saved before products were recorded had no breakdown
+        const rightFirstTime = validateRightFirstTime(entry.after_data, entry.after_data.boxes_produced);
+        const restored = await db.upsertProductionWeekly({
+            ...entry.after_data,
+            ...rightFirstTime.data,
+            products: entry.after_data.products || []
+        }, {
+            ...getAuditContext(req),
+            action: 'restore',
+            note: `Restored the version saved ${new Date(entry.changed_at).toLocaleString('en-GB')}`
+        });
+
+        res.json({ success: true, message: 'Production data restored', data: restored });
+    } catch (error) {
+        console.error('Error restoring production data:', error);
+        res.status(500).json({ success: false, error: 'Error restoring production data: ' + error.message });
+    }
+});
+
 module.exports = router;
 
@@ -0,0 +1,110 @@
+// Product catalogue routes for Box Control Dashboard
+// Everyone can see the catalogue; admins add products and keep their list
+// prices, standard costs and labour hours up to date. Products are retired by
+// marking them inactive rather than deleted, so past breakdowns keep them.
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const { validateProduct } = require('../lib/validation');
+
+// Render the product catalogue
+async function renderProducts(res, status, locals) {
+    res.locals.currentPage = 'products';
+    res.locals.title = 'Products';
+    return renderOrFail(res, 'products', async () => ({
+        products: await db.getProducts(),
+        error: null,
+        warning: null,
+        success: null,
+        newProduct: {},
+        ...locals
+    }), { status, message: 'Error loading products' });
+}
+
+// Unique violation on the product code
+function duplicateCode(error, code) {
+    return error.code === '23505' ? `A product with code ${code} already exists` : null;
+}
+
+// Product catalogue
+router.get('/products', requireAuth, async (req, res) => {
+    try {
+        await db.initializeSchema();
+        await renderProducts(res, 200, {
+            success: req.query.saved ? 'Product saved' : null,
+            warning: req.query.warning || null
+        });
+    } catch (error) {
+        console.error('Error loading products:', error);
+        res.status(500).render('error', {
+            message: 'Error loading products',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Add a product
+router.post('/products', requireAuth, requirePermission('settings:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const { error, data, warning } = validateProduct({ ...req.body, active: true });
+        if (error) {
+            return await renderProducts(res, 400, { error, newProduct: req.body });
+        }
+
+        try {
+            await db.createProduct(data);
+        } catch (error) {
+            const message = duplicateCode(error, data.code);
+            if (message) {
+                return await renderProducts(res, 400, { error: message, newProduct: req.body });
+            }
+            throw error;
+        }
+
+        res.redirect('/products?saved=1' + (warning ? '&warning=' + encodeURIComponent(warning) : ''));
+    } catch (error) {
+        console.error('Error adding product:', error);
+        await renderProducts(res, 500, { error: 'Error adding product: ' + error.message, newProduct: req.body });
+    }
+});
+
+// Update a product, including retiring it (inactive products are no longer
+// offered on the sales and production forms)
+router.post('/products/:id', requireAuth, requirePermission('settings:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const existing = isNaN(id) ? null : await db.getProduct(id);
+        if (!existing) {
+            return await renderProducts(res, 404, { error: 'Product not found' });
+        }
+
+        const active = req.body.active === 'on' || req.body.active === 'true';
+        const { error, data, warning } = validateProduct({ ...req.body, active });
+        if (error) {
+            return await renderProducts(res, 400, { error: `${existing.code}: ${error}` });
+        }
+
+        try {
+            await db.updateProduct(id, data);
+        } catch (error) {
+            const message = duplicateCode(error, data.code);
+            if (message) {
+                return await renderProducts(res, 400, { error: message });
+            }
+            throw error;
+        }
+
+        res.redirect('/products?saved=1' + (warning ? '&warning=' + encodeURIComponent(warning) : ''));
+    } catch (error) {
+        console.error('Error updating product:', error);
+        await renderProducts(res, 500, { error: 'Error updating product: ' + error.message });
+    }
+});
+
+module.exports = router;
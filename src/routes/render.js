@@ -0,0 +1,23 @@
+// Page rendering helper shared by the routers
+// Most pages load their lists from the database before rendering, including
+// when they are re-rendered with a validation or save error. Express 4 does
+// not catch a rejected handler, so a failed load must not escape.
+
+/**
+ * Render view with the locals load() resolves to, at status. If loading
+ * fails, logs it and renders the error page with message instead, so the
+ * returned promise never rejects and callers can await it from a catch block.
+ */
+async function renderOrFail(res, view, load, { status = 200, message = 'Error loading page' } = {}) {
+    try {
+        res.status(status).render(view, await load());
+    } catch (error) {
+        console.error(`${message}:`, error);
+        res.status(500).render('error', {
+            message,
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+}
+
+module.exports = { renderOrFail };
@@ -2,7 +2,15 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requirePermission, getAuditContext } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const { buildWeekHistory } = require('../lib/audit');
+const { purgeDateFor } = require('../purge');
+const { reconcileWeeks } = require('../lib/ledger');
+const { validateSalesWeek, validateProductBreakdown } = require('../lib/validation');
+const { breakdownForm } = require('../lib/products');
+const { mondayOf, toDateKey } = require('../lib/periods');
+const { isWeekStart } = require('../lib/calendar');
 
 // Get sales form (with optional edit mode)
 router.get('/sales', requireAuth, async (req, res) => {
@@ -14,19 +22,43 @@ router.get('/sales', requireAuth, async (req, res) => {
         const weekCommencing = req.query.week_commencing || null;
         const warning = req.query.warning || null;
         let existingData = null;
+        let history = [];
+        let weekProducts = [];
 
         if (weekCommencing) {
             existingData = await db.getSalesWeekly(weekCommencing);
+            history = buildWeekHistory('sales_weekly', await db.getAuditHistory('sales_weekly', weekCommencing));
+            weekProducts = await db.getWeekProducts('sales_weekly', weekCommencing);
         }
 
         // Get all sales weeks for reference
         const allWeeks = await db.getSalesWeekly();
+        const deletedWeeks = (await db.getDeletedSalesWeekly()).map(week => ({
+            ...week,
+            purge_at: purgeDateFor(week.deleted_at)
+        }));
+
+        // Reconcile typed weekly figures against the order ledger
+        const reconciliation = reconcileWeeks(allWeeks, await db.getSalesOrderWeeklyTotals());
+        const discrepancies = [...reconciliation.values()]
+            .filter(week => week.status === 'mismatch' || week.status === 'ledger-only')
+            .sort((a, b) => b.week_commencing.localeCompare(a.week_commencing));
+        const recentWeeks = allWeeks.slice(0, 10).map(week => ({ // Show last 10 weeks
+            ...week,
+            ledger: reconciliation.get(mondayOf(toDateKey(week.week_commencing)))
+        }));
 
         res.render('sales', {
             existingData,
-            allWeeks: allWeeks.slice(0, 10), // Show last 10 weeks
+            allWeeks: recentWeeks,
+            discrepancies,
             weekCommencing,
-            warning
+            weekInfo: weekCommencing && isWeekStart(weekCommencing) ? (await db.getCalendar()).week(weekCommencing) : null,
+            warning,
+            history,
+            deletedWeeks,
+            reminders: await db.getReminders({ tableName: 'sales', openOnly: true }),
+            breakdown: breakdownForm(await db.getProducts(), weekProducts)
         });
     } catch (error) {
         console.error('Error loading sales form:', error);
@@ -37,94 +69,55 @@ router.get('/sales', requireAuth, async (req, res) => {
     }
 });
 
+// Re-show the form with what was posted and why it was not saved
+async function renderFormError(res, status, error, body) {
+    return renderOrFail(res, 'sales', async () => ({
+        error,
+        existingData: body,
+        allWeeks: await db.getSalesWeekly(),
+        breakdown: breakdownForm(await db.getProducts(), Object.values(body.products || {}))
+    }), { status, message: 'Error loading sales form' });
+}
+
 // Post sales data
-router.post('/sales', requireAuth, async (req, res) => {
+router.post('/sales', requireAuth, requirePermission('sales:write'), async (req, res) => {
     try {
         await db.initializeSchema();
 
-        const {
-            week_commencing,
-            boxes_sold,
-            installs_sold,
-            box_revenue,
-            extras_revenue,
-            install_revenue,
-            notes
-        } = req.body;
-
-        // Validation
-        if (!week_commencing) {
-            return res.status(400).render('sales', {
-                error: 'Week commencing date is required',
-                existingData: req.body,
-                allWeeks: await db.getSalesWeekly()
-            });
-        }
-
-        // Validate integers
-        const boxesSold = parseInt(boxes_sold, 10);
-        const installsSold = parseInt(installs_sold, 10);
-
-        if (isNaN(boxesSold) || boxesSold < 0) {
-            return res.status(400).render('sales', {
-                error: 'Boxes sold must be a non-negative integer',
-                existingData: req.body,
-                allWeeks: await db.getSalesWeekly()
-            });
-        }
-
-        if (isNaN(installsSold) || installsSold < 0) {
-            return res.status(400).render('sales', {
-                error: 'Installs sold must be a non-negative integer',
-                existingData: req.body,
-                allWeeks: await db.getSalesWeekly()
-            });
+        const { error, data, warning } = validateSalesWeek(req.body);
+        if (error) {
+            return await renderFormError(res, 400, error, req.body);
         }
 
-        // Warn if installs > boxes but allow
-        let warning = null;
-        if (installsSold > boxesSold) {
-            warning = 'Warning: Installs sold exceeds boxes sold. This is allowed but may indicate a data entry error.';
+        // The breakdown by product is only posted when the catalogue has
+        // products; without it the week's breakdown is left as it is
+        if (req.body.products !== undefined) {
+            const breakdown = validateProductBreakdown('sales_weekly', req.body.products, await db.getProducts(), data);
+            if (breakdown.error) {
+                return await renderFormError(res, 400, breakdown.error, req.body);
+            }
+            data.products = breakdown.data;
         }
 
-        // Parse revenue fields (allow decimals)
-        const boxRev = parseFloat(box_revenue) || 0;
-        const extrasRev = parseFloat(extras_revenue) || 0;
-        const installRev = parseFloat(install_revenue) || 0;
+        await db.upsertSalesWeekly(data, getAuditContext(req));
 
-        const data = {
-            week_commencing,
-            boxes_sold: boxesSold,
-            installs_sold: installsSold,
-            box_revenue: boxRev,
-            extras_revenue: extrasRev,
-            install_revenue: installRev,
-            notes: notes || null
-        };
-
-        await db.upsertSalesWeekly(data);
-
-        res.redirect('/sales?week_commencing=' + encodeURIComponent(week_commencing) + (warning ? '&warning=' + encodeURIComponent(warning) : ''));
+        res.redirect('/sales?week_commencing=' + encodeURIComponent(data.week_commencing) + (warning ? '&warning=' + encodeURIComponent(warning) : ''));
     } catch (error) {
         console.error('Error saving sales data:', error);
-        res.status(500).render('sales', {
-            error: 'Error saving sales data: ' + error.message,
-            existingData: req.body,
-            allWeeks: await db.getSalesWeekly()
-        });
+        await renderFormError(res, 500, 'Error saving sales data: ' + error.message, req.body);
     }
 });
 
 // Delete sales data
-router.delete('/sales/:weekCommencing', requireAuth, async (req, res) => {
+router.delete('/sales/:weekCommencing', requireAuth, requirePermission('sales:write'), async (req, res) => {
     try {
         await db.initializeSchema();
         
         const weekCommencing = req.params.weekCommencing;
-        const deleted = await db.deleteSalesWeekly(weekCommencing);
+        const deleted = await db.deleteSalesWeekly(weekCommencing, getAuditContext(req));
         
         if (deleted) {
-            res.json({ success: true, message: 'Sales data deleted successfully' });
+            res.json({ success: true, message: 'Sales data deleted (it can be restored from Recently Deleted)' });
         } else {
             res.status(404).json({ success: false, error: 'Sales data not found' });
         }
@@ -134,5 +127,57 @@ router.delete('/sales/:weekCommencing', requireAuth, async (req, res) => {
     }
 });
 
+// Undo the delete of a week (before it is purged)
+router.post('/sales/deleted/:weekCommencing/restore', requireAuth, requirePermission('sales:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        // Rows entered against a non-Monday date duplicated another week and
+        // were set aside when weeks were normalised; they cannot come back
+        if (!isWeekStart(req.params.weekCommencing)) {
+            return res.status(400).json({
+                success: false,
+                error: 'These figures were entered against a day other than Monday and duplicate another week, so they cannot be restored. Copy anything needed into the Monday week instead.'
+            });
+        }
+
+        const restored = await db.restoreDeletedSalesWeekly(req.params.weekCommencing, getAuditContext(req));
+
+        if (restored) {
+            res.json({ success: true, message: 'Sales data restored', data: restored });
+        } else {
+            res.status(404).json({ success: false, error: 'No deleted sales data for that week' });
+        }
+    } catch (error) {
+        console.error('Error restoring deleted sales data:', error);
+        res.status(500).json({ success: false, error: 'Error restoring sales data: ' + error.message });
+    }
+});
+
+// Restore a week to an earlier version from its history
+router.post('/sales/history/:id/restore', requireAuth, requirePermission('sales:write'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const entry = isNaN(id) ? null : await db.getAuditEntry(id);
+        if (!entry || entry.table_name !== 'sales_weekly' || !entry.after_data) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        // Versions saved before products were recorded had no breakdown
+        const restored = await db.upsertSalesWeekly({ ...entry.after_data, products: entry.after_data.products || [] }, {
+            ...getAuditContext(req),
+            action: 'restore',
+            note: `Restored the version saved ${new Date(entry.changed_at).toLocaleString('en-GB')}`
+        });
+
+        res.json({ success: true, message: 'Sales data restored', data: restored });
+    } catch (error) {
+        console.error('Error restoring sales data:', error);
+        res.status(500).json({ success: false, error: 'Error restoring sales data: ' + error.message });
+    }
+});
+
 module.exports = router;
 
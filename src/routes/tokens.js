@@ -0,0 +1,130 @@
+// API token routes for Box Control Dashboard
+// Everyone can create personal tokens for their own scripts; admins also
+// create service tokens and can see and revoke every token.
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, hasPermission, getActor } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const {
+    TOKEN_TABLES,
+    DEFAULT_RATE_LIMIT_PER_MINUTE,
+    MAX_RATE_LIMIT_PER_MINUTE,
+    generateToken,
+    hashToken,
+    displayPrefix,
+    parseScopes
+} = require('../lib/apiTokens');
+
+// Render the token list
+async function renderTokens(req, res, status, locals) {
+    res.locals.currentPage = 'tokens';
+    res.locals.title = 'API Tokens';
+    const manageAll = hasPermission(req.user, 'tokens:manage');
+    return renderOrFail(res, 'tokens', async () => ({
+        tokens: await db.getApiTokens(manageAll ? null : req.user.id),
+        tables: TOKEN_TABLES,
+        manageAll,
+        defaultRateLimit: DEFAULT_RATE_LIMIT_PER_MINUTE,
+        maxRateLimit: MAX_RATE_LIMIT_PER_MINUTE,
+        error: null,
+        success: null,
+        createdToken: null,
+        newToken: {},
+        ...locals
+    }), { status, message: 'Error loading API tokens' });
+}
+
+// Token list and create form
+router.get('/tokens', requireAuth, async (req, res) => {
+    try {
+        await db.initializeSchema();
+        await renderTokens(req, res, 200, { success: req.query.revoked ? 'Token revoked' : null });
+    } catch (error) {
+        console.error('Error loading API tokens:', error);
+        res.status(500).render('error', {
+            message: 'Error loading API tokens',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Create a token. The token itself is shown once, on the page this renders.
+router.post('/tokens', requireAuth, async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    const kind = req.body.kind === 'service' ? 'service' : 'personal';
+    const newToken = { ...req.body, name, kind };
+
+    try {
+        await db.initializeSchema();
+
+        const fail = (message) => renderTokens(req, res, 400, { error: message, newToken });
+        if (!name || name.length > 100) {
+            return await fail('Give the token a name of up to 100 characters, e.g. "ERP export"');
+        }
+        if (kind === 'service' && !hasPermission(req.user, 'tokens:manage')) {
+            return await fail('Only admins can create service tokens');
+        }
+        if (kind === 'personal' && !req.user.id) {
+            return await fail('Personal tokens need a user account; create one on the Users page first');
+        }
+
+        const { error: scopeError, data: scopes } = parseScopes(req.body.scopes);
+        if (scopeError) {
+            return await fail(scopeError);
+        }
+        // A personal token can never do more than its owner
+        if (kind === 'personal') {
+            const beyondRole = scopes.find(scope => !hasPermission(req.user, scope));
+            if (beyondRole) {
+                return await fail(`Your role does not allow ${beyondRole.replace(':', ' ')} access`);
+            }
+        }
+
+        const rateLimit = req.body.rate_limit_per_minute
+            ? parseInt(req.body.rate_limit_per_minute, 10)
+            : DEFAULT_RATE_LIMIT_PER_MINUTE;
+        if (isNaN(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT_PER_MINUTE) {
+            return await fail(`Rate limit must be from 1 to ${MAX_RATE_LIMIT_PER_MINUTE} requests per minute`);
+        }
+
+        const token = generateToken();
+        await db.createApiToken({
+            name,
+            kind,
+            user_id: kind === 'personal' ? req.user.id : null,
+            token_hash: hashToken(token),
+            token_prefix: displayPrefix(token),
+            scopes,
+            rate_limit_per_minute: rateLimit,
+            created_by: getActor(req)
+        });
+
+        await renderTokens(req, res, 201, { createdToken: { name, value: token } });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        await renderTokens(req, res, 500, { error: 'Error creating API token: ' + error.message, newToken });
+    }
+});
+
+// Revoke a token (its owner, or an admin for any token)
+router.post('/tokens/:id/revoke', requireAuth, async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const id = parseInt(req.params.id, 10);
+        const token = isNaN(id) ? null : await db.getApiToken(id);
+        const allowed = token && (hasPermission(req.user, 'tokens:manage') || (req.user.id && token.user_id === req.user.id));
+        if (!allowed) {
+            return await renderTokens(req, res, 404, { error: 'Token not found' });
+        }
+
+        await db.revokeApiToken(id, getActor(req));
+        res.redirect('/tokens?revoked=1');
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        await renderTokens(req, res, 500, { error: 'Error revoking API token: ' + error.message });
+    }
+});
+
+module.exports = router;
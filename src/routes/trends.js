@@ -0,0 +1,252 @@
+// Trend routes for Box Control Dashboard
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth } = require('../middleware/auth');
+const { renderLineChart } = require('../lib/charts');
+const { WEEKS_PER_MONTH } = require('../lib/targets');
+const { sumField, ratio, contributionFor, mixKpis, resolveRagThresholds, ragBands } = require('../lib/kpis');
+const { MONTH_NAMES, parseDate, addDays, mondayOf, toDateString, toDateKey } = require('../lib/periods');
+
+const RANGE_LIMITS = {
+    weekly: { min: 4, max: 104, default: 26 },
+    monthly: { min: 3, max: 36, default: 12 }
+};
+
+// Build empty buckets covering the requested range, oldest first
+function buildBuckets(granularity, range, today) {
+    const buckets = [];
+    const todayKey = toDateString(today);
+
+    if (granularity === 'weekly') {
+        let start = parseDate(mondayOf(todayKey));
+        start = addDays(start, -7 * (range - 1));
+        for (let i = 0; i < range; i++) {
+            const weekStart = addDays(start, 7 * i);
+            const weekEnd = addDays(weekStart, 6);
+            buckets.push({
+                key: toDateString(weekStart),
+                start: toDateString(weekStart),
+                end: toDateString(weekEnd),
+                label: weekStart.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', timeZone: 'UTC' }),
+                sales: [],
+                production: []
+            });
+        }
+    } else {
+        for (let i = range - 1; i >= 0; i--) {
+            const monthStart = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - i, 1));
+            const monthEnd = new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 0));
+            buckets.push({
+                key: toDateString(monthStart).slice(0, 7),
+                start: toDateString(monthStart),
+                end: toDateString(monthEnd),
+                label: `${MONTH_NAMES[monthStart.getUTCMonth()].slice(0, 3)} ${String(monthStart.getUTCFullYear()).slice(-2)}`,
+                sales: [],
+                production: []
+            });
+        }
+    }
+
+    // Targets are resolved as at the bucket end, or today for the current bucket
+    for (const bucket of buckets) {
+        bucket.evaluationDate = bucket.end < todayKey ? bucket.end : todayKey;
+    }
+    return buckets;
+}
+
+// Place each week in the buckets it falls in. Weekly buckets take whole
+// weeks; a week that runs over a month end goes into both months, its figures
+// scaled by its share of working days in each (see lib/calendar.js).
+function fillBuckets(buckets, granularity, field, rows, calendar) {
+    const bucketsByKey = new Map(buckets.map(bucket => [bucket.key, bucket]));
+    for (const row of rows) {
+        const weekCommencing = toDateKey(row.week_commencing);
+        if (granularity === 'weekly') {
+            const bucket = bucketsByKey.get(mondayOf(weekCommencing));
+            if (bucket) bucket[field].push(row);
+            continue;
+        }
+        const weekEnd = toDateString(addDays(parseDate(weekCommencing), 6));
+        for (const key of new Set([weekCommencing.slice(0, 7), weekEnd.slice(0, 7)])) {
+            const bucket = bucketsByKey.get(key);
+            if (!bucket) continue;
+            const weight = calendar.share(weekCommencing, bucket.start, bucket.end);
+            if (weight === 1) {
+                bucket[field].push(row);
+            } else if (weight > 0) {
+                bucket[field].push(scaleRow(row, weight));
+            }
+        }
+    }
+}
+
+// Copy of a weekly row with its numeric figures multiplied by a weight
+function scaleRow(row, weight) {
+    const scaled = { ...row };
+    for (const [field, value] of Object.entries(row)) {
+        if (field === 'id' || field === 'week_commencing' || value === null || value instanceof Date) continue;
+        const number = Number(value);
+        if (value !== '' && !isNaN(number)) scaled[field] = number * weight;
+    }
+    return scaled;
+}
+
+// KPI values for the weeks in one bucket (null where there is nothing to measure)
+function summariseBucket(bucket, settings) {
+    const hasSales = bucket.sales.length > 0;
+    const hasProduction = bucket.production.length > 0;
+    const boxesSold = sumField(bucket.sales, 'boxes_sold');
+    const contribution = contributionFor({
+        box_revenue: sumField(bucket.sales, 'box_revenue'),
+        extras_revenue: sumField(bucket.sales, 'extras_revenue'),
+        install_revenue: sumField(bucket.sales, 'install_revenue')
+    }, settings);
+    const mix = mixKpis(bucket.sales, bucket.production);
+
+    return {
+        contribution: hasSales ? contribution : null,
+        boxesSold: hasSales ? boxesSold : null,
+        boxesProduced: hasProduction ? sumField(bucket.production, 'boxes_produced') : null,
+        installPct: mix.installPct,
+        extrasPct: mix.extrasPct,
+        contributionPerBox: ratio(contribution, boxesSold),
+        costCompliancePct: mix.costCompliancePct,
+        reworkPerBox: mix.reworkPerBox,
+        rightFirstTimePct: mix.rightFirstTimePct
+    };
+}
+
+// Chart definitions: how to read the value, target and RAG thresholds for
+// each KPI. Thresholds follow the configuration in force for each bucket.
+function chartDefinitions(granularity) {
+    const perPeriod = value => granularity === 'weekly' ? value / WEEKS_PER_MONTH : value;
+    const boxTarget = settings => parseFloat(granularity === 'weekly' ? settings.target_boxes_per_week : settings.target_boxes_per_month);
+    const bands = (key, levels) => settings => ragBands(resolveRagThresholds(settings)[key], levels(settings));
+    const reworkBands = bands('reworkPerBox', () => ({}));
+
+    return [
+        {
+            key: 'contribution',
+            title: 'Contribution',
+            format: 'gbp',
+            target: settings => perPeriod(parseFloat(settings.monthly_contribution_target)),
+            thresholds: bands('contribution', settings => ({
+                target: perPeriod(parseFloat(settings.monthly_contribution_target)),
+                survival: perPeriod(parseFloat(settings.survival_contribution))
+            }))
+        },
+        { key: 'boxesSold', title: 'Boxes Sold', format: 'number', target: boxTarget },
+        { key: 'boxesProduced', title: 'Boxes Produced', format: 'number', target: boxTarget },
+        {
+            key: 'installPct',
+            title: 'Install %',
+            format: 'pct',
+            target: settings => parseFloat(settings.target_install_pct),
+            thresholds: bands('installPct', settings => ({ target: settings.target_install_pct }))
+        },
+        {
+            key: 'extrasPct',
+            title: 'Extras %',
+            format: 'pct',
+            target: settings => parseFloat(settings.target_extras_pct),
+            thresholds: bands('extrasPct', settings => ({ target: settings.target_extras_pct }))
+        },
+        {
+            key: 'contributionPerBox',
+            title: 'Contribution per Box',
+            format: 'gbp',
+            target: settings => parseFloat(settings.contribution_per_box),
+            thresholds: bands('contributionPerBox', settings => ({ target: settings.contribution_per_box }))
+        },
+        {
+            key: 'costCompliancePct',
+            title: 'Cost Compliance',
+            format: 'pct',
+            target: settings => parseFloat(settings.cost_compliance_target),
+            thresholds: bands('costCompliancePct', settings => ({ target: settings.cost_compliance_target }))
+        },
+        {
+            key: 'reworkPerBox',
+            title: 'Rework per Box',
+            format: 'hours',
+            // No separate target: the green threshold is what to aim for
+            target: settings => {
+                const thresholds = reworkBands(settings);
+                return thresholds ? thresholds.green : null;
+            },
+            thresholds: reworkBands
+        },
+        {
+            key: 'rightFirstTimePct',
+            title: 'Right First Time',
+            format: 'pct',
+            target: settings => parseFloat(settings.right_first_time_target),
+            thresholds: bands('rightFirstTimePct', settings => ({ target: settings.right_first_time_target }))
+        }
+    ];
+}
+
+// Trends page
+router.get('/trends', requireAuth, async (req, res) => {
+    res.locals.currentPage = 'trends';
+    res.locals.title = 'Trends';
+    try {
+        await db.initializeSchema();
+
+        const granularity = req.query.granularity === 'monthly' ? 'monthly' : 'weekly';
+        const limits = RANGE_LIMITS[granularity];
+        let range = parseInt(req.query.range, 10);
+        if (isNaN(range)) range = limits.default;
+        range = Math.min(Math.max(range, limits.min), limits.max);
+
+        const today = new Date();
+        const buckets = buildBuckets(granularity, range, today);
+        const rangeStart = buckets[0].start;
+        const rangeEnd = buckets[buckets.length - 1].end;
+
+        // Weeks commencing up to six days before the range may run into it
+        const fetchStart = toDateString(addDays(parseDate(rangeStart), -6));
+        const calendar = await db.getCalendar();
+        fillBuckets(buckets, granularity, 'sales', await db.getSalesWeeksBetween(fetchStart, rangeEnd), calendar);
+        fillBuckets(buckets, granularity, 'production', await db.getProductionWeeksBetween(fetchStart, rangeEnd), calendar);
+
+        const settingsAt = await db.getSettingsResolver();
+        const summaries = buckets.map(bucket => {
+            const settings = settingsAt(bucket.evaluationDate);
+            return { bucket, settings, values: summariseBucket(bucket, settings) };
+        });
+
+        const charts = chartDefinitions(granularity).map(definition => ({
+            key: definition.key,
+            title: definition.title,
+            svg: renderLineChart({
+                title: `${definition.title} (${granularity})`,
+                format: definition.format,
+                points: summaries.map(({ bucket, settings, values }) => ({
+                    label: bucket.label,
+                    value: values[definition.key],
+                    target: definition.target ? definition.target(settings) : null,
+                    thresholds: definition.thresholds ? definition.thresholds(settings) : null
+                }))
+            })
+        }));
+
+        res.render('trends', {
+            charts,
+            granularity,
+            range,
+            limits,
+            rangeStart,
+            rangeEnd
+        });
+    } catch (error) {
+        console.error('Error loading trends:', error);
+        res.status(500).render('error', {
+            message: 'Error loading trends',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+module.exports = router;
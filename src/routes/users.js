@@ -0,0 +1,130 @@
+// User management routes for Box Control Dashboard
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, requirePermission, ROLES } = require('../middleware/auth');
+const { renderOrFail } = require('./render');
+const { hashPassword, checkUsername, checkPasswordStrength } = require('../lib/credentials');
+
+const ROLE_VALUES = ROLES.map(role => role.value);
+
+// Render the user list
+async function renderUsers(res, status, locals) {
+    res.locals.currentPage = 'users';
+    res.locals.title = 'Users';
+    return renderOrFail(res, 'users', async () => ({
+        users: await db.getUsers(),
+        roles: ROLES,
+        error: null,
+        success: null,
+        newUser: {},
+        ...locals
+    }), { status, message: 'Error loading users' });
+}
+
+// User list and create form
+router.get('/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+        await renderUsers(res, 200, { success: req.query.saved ? 'User saved' : null });
+    } catch (error) {
+        console.error('Error loading users:', error);
+        res.status(500).render('error', {
+            message: 'Error loading users',
+            error: process.env.NODE_ENV === 'development' ? error : null
+        });
+    }
+});
+
+// Create a user
+router.post('/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const { display_name, role, password } = req.body;
+    const newUser = { username, display_name, role };
+
+    try {
+        await db.initializeSchema();
+
+        const fail = (message) => renderUsers(res, 400, { error: message, newUser });
+        const credentialError = checkUsername(username) || checkPasswordStrength(password);
+        if (credentialError) {
+            return await fail(credentialError);
+        }
+        if (!ROLE_VALUES.includes(role)) {
+            return await fail('Please choose a valid role');
+        }
+
+        try {
+            await db.createUser({
+                username,
+                display_name: display_name || null,
+                password_hash: await hashPassword(password),
+                role
+            });
+        } catch (error) {
+            // Unique violation on username
+            if (error.code === '23505') {
+                return await fail(`Username ${username} is already taken`);
+            }
+            throw error;
+        }
+
+        res.redirect('/users?saved=1');
+    } catch (error) {
+        console.error('Error creating user:', error);
+        await renderUsers(res, 500, { error: 'Error creating user: ' + error.message, newUser });
+    }
+});
+
+// Update role, display name, active flag and optionally reset the password
+router.post('/users/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        await db.initializeSchema();
+
+        const fail = (status, message) => renderUsers(res, status, { error: message });
+        const id = parseInt(req.params.id, 10);
+        const existing = isNaN(id) ? null : await db.getUserById(id);
+        if (!existing) {
+            return await fail(404, 'User not found');
+        }
+
+        const { display_name, role, password } = req.body;
+        const active = req.body.active === 'on' || req.body.active === 'true';
+        if (!ROLE_VALUES.includes(role)) {
+            return await fail(400, 'Please choose a valid role');
+        }
+
+        // Never lock everyone out: keep at least one active admin, and don't
+        // let admins deactivate or demote themselves by accident
+        const removesAdmin = existing.role === 'admin' && existing.active && (role !== 'admin' || !active);
+        if (removesAdmin && existing.id === req.user.id) {
+            return await fail(400, 'You cannot remove your own admin access; ask another admin');
+        }
+        if (removesAdmin && await db.countActiveAdmins() <= 1) {
+            return await fail(400, 'There must be at least one active admin');
+        }
+
+        let passwordHash = null;
+        if (password) {
+            const passwordError = checkPasswordStrength(password);
+            if (passwordError) {
+                return await fail(400, passwordError);
+            }
+            passwordHash = await hashPassword(password);
+        }
+
+        await db.updateUser(id, {
+            display_name: display_name || null,
+            role,
+            active,
+            password_hash: passwordHash
+        });
+
+        res.redirect('/users?saved=1');
+    } catch (error) {
+        console.error('Error updating user:', error);
+        await renderUsers(res, 500, { error: 'Error updating user: ' + error.message });
+    }
+});
+
+module.exports = router;
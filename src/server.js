@@ -44,52 +44,49 @@ app.get('/health', (req, res) => {
 app.use((req, res, next) => {
     res.locals.currentPage = '';
     res.locals.title = '';
+    res.locals.currentUser = null;
+    res.locals.can = () => false;
     next();
 });
 
-// Login route (handle POST)
-app.post('/login', (req, res) => {
-    const { requireAuth } = require('./middleware/auth');
-    
-    // If APP_PASSCODE is not set, allow access (dev mode)
-    if (!process.env.APP_PASSCODE || process.env.APP_PASSCODE.trim() === '') {
-        req.session.authenticated = true;
-        return res.redirect(req.body.redirect || '/dashboard');
-    }
-
-    const { passcode, redirect } = req.body;
-    
-    if (passcode === process.env.APP_PASSCODE) {
-        req.session.authenticated = true;
-        return res.redirect(redirect || '/dashboard');
-    } else {
-        return res.status(401).render('login', { 
-            error: 'Invalid passcode',
-            redirect: redirect || '/dashboard'
-        });
-    }
-});
-
-// Login page (GET)
-app.get('/login', (req, res) => {
-    // If APP_PASSCODE is not set, redirect to dashboard (dev mode)
-    if (!process.env.APP_PASSCODE || process.env.APP_PASSCODE.trim() === '') {
-        return res.redirect('/dashboard');
-    }
-    res.render('login', {
-        error: null,
-        redirect: req.query.redirect || '/dashboard'
-    });
-});
-
 // Routes
+const authRoutes = require('./routes/auth');
 const indexRoutes = require('./routes/index');
+const usersRoutes = require('./routes/users');
 const salesRoutes = require('./routes/sales');
 const productionRoutes = require('./routes/production');
-
+const trendsRoutes = require('./routes/trends');
+const pipelineRoutes = require('./routes/pipeline');
+const capacityRoutes = require('./routes/capacity');
+const installsRoutes = require('./routes/installs');
+const backlogRoutes = require('./routes/backlog');
+const ordersRoutes = require('./routes/orders');
+const importRoutes = require('./routes/import');
+const exportRoutes = require('./routes/exports');
+const apiRoutes = require('./routes/api');
+const tokensRoutes = require('./routes/tokens');
+const calendarRoutes = require('./routes/calendar');
+const productsRoutes = require('./routes/products');
+const completenessRoutes = require('./routes/completeness');
+
+app.use('/', authRoutes);
+app.use('/', apiRoutes);
 app.use('/', indexRoutes);
+app.use('/', ordersRoutes);
 app.use('/', salesRoutes);
 app.use('/', productionRoutes);
+app.use('/', trendsRoutes);
+app.use('/', pipelineRoutes);
+app.use('/', capacityRoutes);
+app.use('/', installsRoutes);
+app.use('/', backlogRoutes);
+app.use('/', calendarRoutes);
+app.use('/', productsRoutes);
+app.use('/', completenessRoutes);
+app.use('/', importRoutes);
+app.use('/', exportRoutes);
+app.use('/', usersRoutes);
+app.use('/', tokensRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -123,6 +120,8 @@ async function startServer() {
         const db = require('./db');
         await db.initializeSchema();
         console.log('✅ Database initialized');
+        require('./purge').schedulePurge();
+        require('./reminders').scheduleReminders();
     } catch (error) {
         console.error('❌ Failed to initialize database:', error);
         console.error('⚠️  Server is running but database is not available');
@@ -0,0 +1,54 @@
+// Tests for the sold vs produced reconciliation in src/lib/backlog.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reconcileWeeks, backlogWeeks, backlogAt } = require('../src/lib/backlog');
+
+const WEEKS = [
+    { week_commencing: '2026-09-07', boxes_sold: 10, boxes_produced: 8 },
+    { week_commencing: '2026-09-14', boxes_sold: 12, boxes_produced: 10 },
+    { week_commencing: '2026-09-21', boxes_sold: 9, boxes_produced: 12 },
+    { week_commencing: '2026-09-28', boxes_sold: 15, boxes_produced: 10 },
+    { week_commencing: '2026-10-05', boxes_sold: 14, boxes_produced: 8 },
+    // Sales are in for the latest week, production not yet
+    { week_commencing: '2026-10-12', boxes_sold: 11, boxes_produced: null }
+];
+
+test('the backlog is the opening backlog plus cumulative sold less produced', () => {
+    const weeks = reconcileWeeks(WEEKS, 20);
+    assert.deepEqual(weeks.map(week => week.backlog), [22, 24, 21, 26, 32, 43]);
+    assert.equal(weeks[4].cumulativeSold, 60);
+    assert.equal(weeks[4].cumulativeProduced, 48);
+});
+
+test('lead time is the backlog in weeks at the last 4 recorded production weeks', () => {
+    const weeks = reconcileWeeks(WEEKS, 20);
+    assert.equal(weeks[0].buildRate, 8);
+    assert.equal(weeks[0].backlogWeeks, 22 / 8);
+    // 10, 12, 10 and 8
+    assert.equal(weeks[4].buildRate, 10);
+    assert.equal(weeks[4].backlogWeeks, 3.2);
+    // Unrecorded production leaves the build rate as it was
+    assert.equal(weeks[5].buildRate, 10);
+});
+
+test('a week missing either side is incomplete and skipped when taking the backlog', () => {
+    const weeks = reconcileWeeks(WEEKS, 20);
+    assert.equal(weeks[5].complete, false);
+    assert.equal(backlogAt(weeks, '2026-10-19').week_commencing, '2026-10-05');
+    assert.equal(backlogAt(weeks, '2026-09-20').week_commencing, '2026-09-14');
+    assert.equal(backlogAt(weeks, '2026-09-01'), null);
+});
+
+test('cumulative figures count from the first week shown, the backlog from the first recorded', () => {
+    const weeks = reconcileWeeks(WEEKS.slice().reverse(), 0, '2026-09-28');
+    assert.deepEqual(weeks.map(week => week.week_commencing), ['2026-09-28', '2026-10-05', '2026-10-12']);
+    assert.equal(weeks[0].cumulativeSold, 15);
+    assert.equal(weeks[0].cumulativeProduced, 10);
+    assert.equal(weeks[0].backlog, 6);
+});
+
+test('no backlog is no weeks, and a backlog with nothing built has no lead time', () => {
+    assert.equal(backlogWeeks(-3, 10), 0);
+    assert.equal(backlogWeeks(0, 0), 0);
+    assert.equal(backlogWeeks(5, 0), null);
+});
@@ -0,0 +1,111 @@
+// Tests for the week calendar in src/lib/calendar.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isWeekStart,
+    normaliseWeekCommencing,
+    isoWeek,
+    isoYearWeeks,
+    ukBankHolidays,
+    createCalendar,
+    attributeTotals
+} = require('../src/lib/calendar');
+
+function holidayDates(year) {
+    return ukBankHolidays(year).map(holiday => `${holiday.date} ${holiday.name}`);
+}
+
+test('only Mondays are week starts', () => {
+    assert.equal(isWeekStart('2026-03-30'), true);
+    assert.equal(isWeekStart('2026-03-29'), false);
+    assert.equal(isWeekStart('2026-04-01'), false);
+    assert.equal(isWeekStart('not a date'), false);
+});
+
+test('a Sunday moves to the Monday after it and any other day to its own Monday', () => {
+    assert.equal(normaliseWeekCommencing('2026-03-29'), '2026-03-30');
+    assert.equal(normaliseWeekCommencing('2026-03-30'), '2026-03-30');
+    assert.equal(normaliseWeekCommencing('2026-04-03'), '2026-03-30');
+    assert.equal(normaliseWeekCommencing('2026-04-04'), '2026-03-30');
+});
+
+test('ISO weeks belong to the year holding their Thursday', () => {
+    assert.deepEqual(isoWeek('2025-12-29'), { year: 2026, week: 1 });
+    assert.deepEqual(isoWeek('2027-01-01'), { year: 2026, week: 53 });
+    assert.deepEqual(isoWeek('2026-03-30'), { year: 2026, week: 14 });
+    assert.equal(isoYearWeeks(2026).length, 53);
+    assert.equal(isoYearWeeks(2025).length, 52);
+    assert.equal(isoYearWeeks(2026)[0], '2025-12-29');
+});
+
+test('bank holidays follow Easter and move off weekends', () => {
+    assert.deepEqual(holidayDates(2026), [
+        '2026-01-01 New Year\'s Day',
+        '2026-04-03 Good Friday',
+        '2026-04-06 Easter Monday',
+        '2026-05-04 Early May bank holiday',
+        '2026-05-25 Spring bank holiday',
+        '2026-08-31 Summer bank holiday',
+        '2026-12-25 Christmas Day',
+        '2026-12-28 Boxing Day (substitute day)'
+    ]);
+    // Christmas on a Saturday and Boxing Day on a Sunday both need substitutes
+    assert.deepEqual(holidayDates(2021).slice(-2), [
+        '2021-12-27 Christmas Day (substitute day)',
+        '2021-12-28 Boxing Day (substitute day)'
+    ]);
+    // One-off and moved holidays
+    assert.ok(holidayDates(2022).includes('2022-06-02 Spring bank holiday'));
+    assert.ok(holidayDates(2022).includes('2022-06-03 Platinum Jubilee'));
+});
+
+test('weeks count working days less bank holidays and shutdowns', () => {
+    const calendar = createCalendar([{ start_date: '2026-08-03', end_date: '2026-08-14', reason: 'Summer shutdown' }]);
+
+    const easter = calendar.week('2026-04-06');
+    assert.equal(easter.iso_week, 15);
+    assert.equal(easter.working_days, 4);
+    assert.deepEqual(easter.bank_holidays, [{ date: '2026-04-06', name: 'Easter Monday' }]);
+
+    const shutdown = calendar.week('2026-08-10');
+    assert.equal(shutdown.working_days, 0);
+    assert.equal(shutdown.non_working, true);
+    assert.equal(shutdown.shutdowns[0].reason, 'Summer shutdown');
+    assert.equal(calendar.isWorkingDay('2026-08-17'), true);
+});
+
+test('a week split by a month end is shared by working days either side', () => {
+    const calendar = createCalendar();
+    // Mon 30 and Tue 31 March; Wed 1 to Fri 3 April, with Good Friday off
+    assert.equal(calendar.share('2026-03-30', '2026-03-01', '2026-03-31'), 0.5);
+    assert.equal(calendar.share('2026-03-30', '2026-04-01', '2026-04-30'), 0.5);
+    // Whole weeks, and weeks outside the range
+    assert.equal(calendar.share('2026-03-02', '2026-03-01', '2026-03-31'), 1);
+    assert.equal(calendar.share('2026-04-06', '2026-03-01', '2026-03-31'), 0);
+    // Only the weekend falls in March: nothing to attribute to it
+    assert.equal(calendar.share('2026-02-23', '2026-03-01', '2026-03-31'), 0);
+});
+
+test('a week with no working days is shared by calendar days', () => {
+    const calendar = createCalendar([{ start_date: '2026-06-29', end_date: '2026-07-03', reason: 'Stocktake' }]);
+    assert.equal(calendar.share('2026-06-29', '2026-06-01', '2026-06-30'), 2 / 7);
+});
+
+test('totals weight each week by its share of the range', () => {
+    const calendar = createCalendar();
+    const rows = [
+        { week_commencing: '2026-03-23', boxes_sold: 20, box_revenue: '20000' },
+        { week_commencing: new Date(2026, 2, 30), boxes_sold: 10, box_revenue: '10000' },
+        { week_commencing: '2026-04-06', boxes_sold: 30, box_revenue: null }
+    ];
+    assert.deepEqual(attributeTotals(rows, ['boxes_sold', 'box_revenue'], '2026-03-01', '2026-03-31', calendar), {
+        weeks_recorded: 2,
+        boxes_sold: 25,
+        box_revenue: 25000
+    });
+    assert.deepEqual(attributeTotals(rows, ['boxes_sold', 'box_revenue'], '2026-04-01', '2026-04-30', calendar), {
+        weeks_recorded: 2,
+        boxes_sold: 35,
+        box_revenue: 5000
+    });
+});
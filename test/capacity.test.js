@@ -0,0 +1,98 @@
+// Tests for capacity against plan, demand and box targets in src/lib/capacity.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { capacityModel, weekCapacity, planWeeks, monthOutlook, capacityWarnings } = require('../src/lib/capacity');
+const { createCalendar } = require('../src/lib/calendar');
+
+const SETTINGS = { headcount: '4', hours_per_week: '40', standard_hours_per_box: '20' };
+
+test('the model needs headcount, hours and standard hours per box', () => {
+    assert.equal(capacityModel(SETTINGS).configured, true);
+    assert.equal(capacityModel({ ...SETTINGS, standard_hours_per_box: '0' }).configured, false);
+    assert.equal(weekCapacity('2026-10-05', capacityModel({}), createCalendar()).boxes, null);
+});
+
+test('a full week builds headcount × hours ÷ standard hours per box', () => {
+    const week = weekCapacity('2026-10-05', capacityModel(SETTINGS), createCalendar());
+    assert.equal(week.workingDays, 5);
+    assert.equal(week.availableHours, 160);
+    assert.equal(week.boxes, 8);
+});
+
+test('bank holidays and shutdowns scale the week down to its working days', () => {
+    // Christmas Day and Boxing Day 2026 fall on Friday and Saturday; Boxing Day moves to Monday 28th
+    const calendar = createCalendar([{ start_date: '2026-12-29', end_date: '2026-12-31', reason: 'Christmas shutdown' }]);
+    const christmas = weekCapacity('2026-12-21', capacityModel(SETTINGS), calendar);
+    assert.equal(christmas.workingDays, 4);
+    assert.equal(christmas.boxes, 6.4);
+    assert.equal(weekCapacity('2026-12-28', capacityModel(SETTINGS), calendar).boxes, 0);
+});
+
+test('holidays take off working days only, and never more than the week has', () => {
+    const model = capacityModel(SETTINGS);
+    const calendar = createCalendar();
+    // One person away Thursday to the following Tuesday: two days in this week
+    const week = weekCapacity('2026-10-05', model, calendar, [
+        { start_date: '2026-10-08', end_date: '2026-10-13', people: 1 }
+    ]);
+    assert.equal(week.holidayHours, 16);
+    assert.equal(week.boxes, 7.2);
+
+    const everyone = weekCapacity('2026-10-05', model, calendar, [
+        { start_date: '2026-10-05', end_date: '2026-10-09', people: 10 },
+        { start_date: '2026-10-05', end_date: '2026-10-09', people: 1 }
+    ]);
+    assert.equal(everyone.availableHours, 0);
+    assert.equal(everyone.boxes, 0);
+});
+
+test('weeks are flagged when the plan is over capacity', () => {
+    const capacities = new Map([['2026-10-05', { boxes: 8 }], ['2026-10-12', { boxes: 8 }]]);
+    const weeks = planWeeks(
+        [
+            { week_commencing: '2026-10-05', capacity: 8, capacityModelled: true, demand: 9, overCapacity: true },
+            { week_commencing: '2026-10-12', capacity: 8, capacityModelled: true, demand: 6, overCapacity: false },
+            { week_commencing: '2026-10-19', capacity: 0, capacityModelled: false, demand: 6, overCapacity: false }
+        ],
+        capacities,
+        [
+            { week_commencing: '2026-10-05', planned_boxes: 8 },
+            { week_commencing: '2026-10-12', planned_boxes: 9 },
+            { week_commencing: '2026-10-19', planned_boxes: 5 }
+        ]
+    );
+    assert.deepEqual(weeks.map(week => week.planned), [8, 9, 5]);
+    assert.deepEqual(weeks.map(week => week.planOverCapacity), [false, true, false]);
+    assert.equal(weeks[2].hours, null);
+
+    const warnings = capacityWarnings(weeks, []);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /05\/10\/2026: demand of 9 boxes is over capacity of 8/);
+    assert.match(warnings[1], /12\/10\/2026: 9 boxes planned, over capacity of 8/);
+});
+
+test('a month\'s target is out of reach when produced plus remaining capacity falls short', () => {
+    const calendar = createCalendar();
+    // Weeks from 19 October; the week of 26 October runs into November
+    const weeks = ['2026-10-19', '2026-10-26', '2026-11-02'].map(weekCommencing => ({
+        week_commencing: weekCommencing, capacity: 10, demand: 12, planned: null
+    }));
+    weeks[0].planned = 10;
+    const months = monthOutlook([
+        { label: 'October 2026', start: '2026-10-01', end: '2026-10-31', target: 40, produced: 18 },
+        { label: 'November 2026', start: '2026-11-01', end: '2026-11-30', target: 40, produced: 0 }
+    ], weeks, calendar);
+
+    // November runs past the last week, so only October is judged
+    assert.equal(months.length, 1);
+    const october = months[0];
+    assert.equal(october.capacity, 18 + 10 + 10);
+    assert.equal(october.reachable, false);
+    assert.equal(october.planned, 28);
+    assert.equal(october.planShortfall, true);
+    assert.match(capacityWarnings([], months)[0], /October 2026: the target of 40 boxes is out of reach, with 18 produced and capacity for 20 more/);
+
+    const reachable = monthOutlook([{ label: 'October 2026', start: '2026-10-01', end: '2026-10-31', target: 38, produced: 18 }], weeks, calendar);
+    assert.equal(reachable[0].reachable, true);
+    assert.match(capacityWarnings([], reachable)[0], /the plan reaches 28 of the 38 box target/);
+});
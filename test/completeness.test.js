@@ -0,0 +1,45 @@
+// Tests for the missing-week checks in src/lib/completeness.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { expectedWeeks, missingWeeks, checkCompleteness } = require('../src/lib/completeness');
+const { createCalendar } = require('../src/lib/calendar');
+
+const CALENDAR = createCalendar([{ start_date: '2026-08-03', end_date: '2026-08-14', reason: 'Summer shutdown' }]);
+
+test('weeks are expected once they have ended', () => {
+    // Wednesday 21 October: the week commencing 19 October is still running
+    assert.deepEqual(expectedWeeks('2026-09-28', '2026-10-31', '2026-10-21', CALENDAR), [
+        '2026-09-28',
+        '2026-10-05',
+        '2026-10-12'
+    ]);
+    // A range starting mid-week leaves out the week it starts in
+    assert.deepEqual(expectedWeeks('2026-09-30', '2026-10-31', '2026-10-21', CALENDAR), ['2026-10-05', '2026-10-12']);
+});
+
+test('shutdown weeks are not expected', () => {
+    assert.deepEqual(expectedWeeks('2026-07-27', '2026-08-23', '2026-09-01', CALENDAR), ['2026-07-27', '2026-08-17']);
+});
+
+test('missing weeks are the expected weeks with no row', () => {
+    const rows = [{ week_commencing: '2026-10-05' }, { week_commencing: new Date(2026, 8, 28) }];
+    assert.deepEqual(missingWeeks(['2026-09-28', '2026-10-05', '2026-10-12'], rows), ['2026-10-12']);
+});
+
+test('weeks before a table was first used are not missing', () => {
+    const result = checkCompleteness({
+        startKey: '2026-09-07',
+        endKey: '2026-10-18',
+        todayKey: '2026-10-19',
+        calendar: CALENDAR,
+        salesRows: [{ week_commencing: '2026-09-21' }, { week_commencing: '2026-10-12' }],
+        productionRows: [],
+        firstWeeks: { sales: '2026-09-21', production: null }
+    });
+    assert.deepEqual(result, {
+        expected: 6,
+        sales: ['2026-09-28', '2026-10-05'],
+        production: [],
+        complete: false
+    });
+});
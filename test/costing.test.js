@@ -0,0 +1,69 @@
+// Tests for actual against standard cost in src/lib/costing.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hasActualCosts, weekCost, periodCosts } = require('../src/lib/costing');
+const { createCalendar } = require('../src/lib/calendar');
+
+const PRODUCTS = [
+    { id: 1, code: 'STD-12', standard_cost: '1800' },
+    { id: 2, code: 'LRG-14', standard_cost: '2600' }
+];
+const SETTINGS = { labour_rate: '25', standard_cost_per_box: '2000' };
+
+test('weeks without material cost or labour hours are not costed', () => {
+    assert.equal(hasActualCosts({ material_cost: null, labour_hours: null }), false);
+    assert.equal(hasActualCosts({ material_cost: '0', labour_hours: null }), true);
+    assert.equal(weekCost({ boxes_produced: 5, rework_hours: 4 }, [], PRODUCTS, SETTINGS), null);
+});
+
+test('actual cost is material plus labour and rework hours at the labour rate', () => {
+    const cost = weekCost(
+        { week_commencing: '2026-10-05', boxes_produced: 5, material_cost: '6000', labour_hours: '120', rework_hours: '8' },
+        [],
+        PRODUCTS,
+        SETTINGS
+    );
+    assert.equal(cost.material_cost, 6000);
+    assert.equal(cost.labour_cost, 3000);
+    assert.equal(cost.rework_cost, 200);
+    assert.equal(cost.actual_cost, 9200);
+    // Nothing split by product: every box at the standard cost per box
+    assert.equal(cost.standard_cost, 10000);
+    assert.equal(cost.variance, -800);
+});
+
+test('standard cost uses each product\'s standard cost, and the default for the rest', () => {
+    const cost = weekCost(
+        { boxes_produced: 6, material_cost: '7000', labour_hours: '160', rework_hours: '0' },
+        [{ product_id: 1, boxes_produced: 3 }, { product_id: 2, boxes_produced: 1 }],
+        PRODUCTS,
+        SETTINGS
+    );
+    assert.equal(cost.standard_cost, 3 * 1800 + 2600 + 2 * 2000);
+    assert.equal(cost.actual_cost, 11000);
+    assert.equal(cost.variance, -1000);
+});
+
+test('period costs add up the costed weeks, sharing split weeks between months', () => {
+    const calendar = createCalendar([]);
+    const weeks = [
+        // Monday 28 September: 3 of its 5 working days are in September
+        { week_commencing: '2026-09-28', boxes_costed: 5, material_cost: 5000, labour_cost: 2500, rework_cost: 0, actual_cost: 7500, standard_cost: 7000, variance: 500 },
+        { week_commencing: '2026-10-05', boxes_costed: 4, material_cost: 4000, labour_cost: 2000, rework_cost: 100, actual_cost: 6100, standard_cost: 6000, variance: 100 },
+        null
+    ];
+    const october = periodCosts(weeks, '2026-10-01', '2026-10-31', calendar);
+    assert.equal(october.weeksCosted, 2);
+    assert.equal(october.boxesCosted, 4 + 5 * 2 / 5);
+    assert.equal(october.variance, 100 + 500 * 2 / 5);
+    assert.equal(october.variancePct, 300 / (6000 + 7000 * 2 / 5));
+    assert.equal(october.variancePerBox, 300 / 6);
+});
+
+test('a period with nothing costed has no variance ratios', () => {
+    const costs = periodCosts([], '2026-10-01', '2026-10-31', createCalendar([]));
+    assert.equal(costs.weeksCosted, 0);
+    assert.equal(costs.variance, 0);
+    assert.equal(costs.variancePerBox, null);
+    assert.equal(costs.variancePct, null);
+});
@@ -0,0 +1,45 @@
+// Tests for the month-end projection in src/lib/forecast.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildForecast } = require('../src/lib/forecast');
+
+const SETTINGS = {
+    gross_margin_pct: '0.35',
+    monthly_contribution_target: '55000',
+    survival_contribution: '41900'
+};
+
+// With no history nothing more is forecast, so the month ends on what it has
+function monthEnd(settings, contribution) {
+    return buildForecast({
+        history: [],
+        settings,
+        monthToDate: { contribution },
+        horizonWeeks: 4,
+        today: new Date(2026, 9, 19)
+    }).monthEnd;
+}
+
+test('the month-end projection is banded between survival and target by default', () => {
+    assert.equal(monthEnd(SETTINGS, 40000).rag, 'red');
+    assert.equal(monthEnd(SETTINGS, 45000).rag, 'amber');
+    assert.equal(monthEnd(SETTINGS, 55000).rag, 'green');
+});
+
+test('the month-end projection follows the contribution thresholds in the settings', () => {
+    const settings = {
+        ...SETTINGS,
+        rag_thresholds: { contribution: { direction: 'higher', basis: 'absolute', red: 30000, green: 40000 } }
+    };
+    assert.equal(monthEnd(settings, 25000).rag, 'red');
+    assert.equal(monthEnd(settings, 35000).rag, 'amber');
+    assert.equal(monthEnd(settings, 45000).rag, 'green');
+
+    const ofTarget = { ...SETTINGS, rag_thresholds: JSON.stringify({ contribution: { basis: 'target', red: 0.5, green: 0.8 } }) };
+    assert.equal(monthEnd(ofTarget, 45000).rag, 'green');
+    assert.equal(monthEnd(ofTarget, 30000).rag, 'amber');
+});
+
+test('the month-end projection reads green when survival and target are not set', () => {
+    assert.equal(monthEnd({ gross_margin_pct: '0.35' }, 1000).rag, 'green');
+});
@@ -0,0 +1,106 @@
+// Tests for install backlog, lead time and the board in src/lib/installs.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isOutstanding, leadTimeDays, installStats, installBoard, orderInstallUpdate } = require('../src/lib/installs');
+
+const INSTALLS = [
+    { id: 1, status: 'completed', installs: 2, sold_date: '2026-08-20', install_date: '2026-09-10', crew: 'A', completed_date: '2026-09-10' },
+    { id: 2, status: 'completed', installs: 1, sold_date: '2026-09-01', install_date: '2026-10-06', crew: 'B', completed_date: '2026-10-06' },
+    { id: 3, status: 'scheduled', installs: 3, sold_date: '2026-09-15', install_date: '2026-10-12', crew: 'A', completed_date: null },
+    { id: 4, status: 'sold', installs: 1, sold_date: '2026-10-02', install_date: null, crew: null, completed_date: null },
+    { id: 5, status: 'cancelled', installs: 4, sold_date: '2026-09-05', install_date: null, crew: null, completed_date: null }
+];
+
+test('an install is outstanding from its sale until it is completed', () => {
+    assert.equal(isOutstanding(INSTALLS[1], '2026-08-31'), false);
+    assert.equal(isOutstanding(INSTALLS[1], '2026-09-01'), true);
+    assert.equal(isOutstanding(INSTALLS[1], '2026-10-05'), true);
+    assert.equal(isOutstanding(INSTALLS[1], '2026-10-06'), false);
+    assert.equal(isOutstanding(INSTALLS[4], '2026-10-01'), false);
+});
+
+test('lead time is days from sale to completion, for completed installs only', () => {
+    assert.equal(leadTimeDays(INSTALLS[0]), 21);
+    assert.equal(leadTimeDays(INSTALLS[1]), 35);
+    assert.equal(leadTimeDays(INSTALLS[2]), null);
+});
+
+test('the backlog is taken on the as-at date and lead time is weighted by installs', () => {
+    // September: installs 2, 3 and 1's sale are in; 1 completed on the 10th
+    const september = installStats(INSTALLS, '2026-09-01', '2026-09-30', '2026-09-30');
+    assert.equal(september.backlog, 4);
+    assert.equal(september.backlogJobs, 2);
+    assert.equal(september.unscheduled, 0);
+    assert.equal(september.oldestSoldDate, '2026-09-01');
+    assert.equal(september.oldestAgeDays, 29);
+    assert.equal(september.completed, 2);
+    assert.equal(september.averageLeadTimeDays, 21);
+
+    // October to date: 2 completed, 3 scheduled and 4 still to schedule
+    const october = installStats(INSTALLS, '2026-10-01', '2026-10-31', '2026-10-19');
+    assert.equal(october.backlog, 4);
+    assert.equal(october.unscheduled, 1);
+    assert.equal(october.completed, 1);
+    assert.equal(october.averageLeadTimeDays, 35);
+
+    // Both months together: (2 × 21 + 1 × 35) / 3
+    const both = installStats(INSTALLS, '2026-09-01', '2026-10-31', '2026-10-19');
+    assert.equal(both.completed, 3);
+    assert.ok(Math.abs(both.averageLeadTimeDays - 77 / 3) < 1e-9);
+});
+
+test('lead time is null and the backlog empty when there is nothing to count', () => {
+    const stats = installStats([], '2026-10-01', '2026-10-31', '2026-10-19');
+    assert.equal(stats.backlog, 0);
+    assert.equal(stats.oldestSoldDate, null);
+    assert.equal(stats.oldestAgeDays, null);
+    assert.equal(stats.averageLeadTimeDays, null);
+});
+
+test('the board lists installs to schedule, scheduled and recently completed', () => {
+    const board = installBoard(INSTALLS, '2026-10-19');
+    assert.deepEqual(board.sold.map(install => install.id), [4]);
+    assert.equal(board.sold[0].waitingDays, 17);
+    assert.deepEqual(board.scheduled.map(install => install.id), [3]);
+    assert.equal(board.scheduled[0].overdue, true);
+    // Install 1 was completed more than 28 days ago; cancelled installs are left off
+    assert.deepEqual(board.completed.map(install => install.id), [2]);
+    assert.equal(board.completed[0].leadTimeDays, 35);
+    assert.equal(installBoard(INSTALLS, '2026-10-12').scheduled[0].overdue, false);
+});
+
+const ORDER = { id: 7, order_ref: 'SO-7', customer: 'Smith', order_date: '2026-09-14', boxes: 2, includes_install: true };
+
+test('an order install follows the order, and unticking removes or cancels it', () => {
+    const created = orderInstallUpdate(null, null, ORDER);
+    assert.deepEqual(created, { reference: 'SO-7', customer: 'Smith', installs: 2, sold_date: '2026-09-14', status: 'sold', install_date: null, crew: null });
+    const sold = { id: 1, ...created };
+    assert.deepEqual(orderInstallUpdate(sold, ORDER, { ...ORDER, boxes: 3 }), { reference: 'SO-7', customer: 'Smith', installs: 3, sold_date: '2026-09-14' });
+
+    const unticked = { ...ORDER, includes_install: false };
+    assert.deepEqual(orderInstallUpdate(sold, ORDER, unticked), { remove: true });
+    assert.deepEqual(orderInstallUpdate({ ...sold, status: 'scheduled' }, ORDER, unticked), { status: 'cancelled' });
+    assert.equal(orderInstallUpdate({ ...sold, status: 'completed' }, ORDER, null), null);
+});
+
+test('ticking installs again reopens the install cancelled when they were unticked', () => {
+    const scheduled = { id: 1, status: 'scheduled', reference: 'SO-7', installs: 2, sold_date: '2026-09-14', install_date: '2026-10-20', crew: 'A' };
+    const unticked = { ...ORDER, includes_install: false };
+    const cancelled = { ...scheduled, ...orderInstallUpdate(scheduled, ORDER, unticked) };
+    assert.equal(cancelled.status, 'cancelled');
+
+    const reopened = { ...cancelled, ...orderInstallUpdate(cancelled, unticked, ORDER) };
+    assert.equal(reopened.status, 'sold');
+    assert.equal(reopened.install_date, null);
+    assert.equal(reopened.crew, null);
+    assert.equal(isOutstanding(reopened, '2026-10-19'), true);
+    assert.equal(installBoard([reopened], '2026-10-19').sold.length, 1);
+
+    // Boxes back above none count as ticking again
+    assert.equal(orderInstallUpdate(cancelled, { ...ORDER, boxes: 0 }, ORDER).status, 'sold');
+});
+
+test('an install cancelled on the board stays cancelled when its order is edited', () => {
+    const cancelled = { id: 1, status: 'cancelled', reference: 'SO-7', installs: 2, sold_date: '2026-09-14' };
+    assert.equal(orderInstallUpdate(cancelled, ORDER, { ...ORDER, customer: 'Smyth' }), null);
+});
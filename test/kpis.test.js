@@ -0,0 +1,297 @@
+// Tests for the KPI calculations in src/lib/kpis.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    sumField,
+    ratio,
+    salesRevenue,
+    grossMargin,
+    contributionFor,
+    buildRate,
+    mixKpis,
+    calculateKpis,
+    resolveRagThresholds,
+    ragBands,
+    getRAGStatus,
+    getContributionRAG,
+    getRAGThresholds,
+    getRAGStatuses
+} = require('../src/lib/kpis');
+
+// Settings as read from box_control_settings (NUMERIC columns are strings)
+const SETTINGS = {
+    gross_margin_pct: '0.35',
+    monthly_contribution_target: '55000',
+    survival_contribution: '41900',
+    contribution_per_box: '640',
+    target_install_pct: '0.80',
+    target_extras_pct: '0.15',
+    cost_compliance_target: '0.95',
+    right_first_time_target: '0.95'
+};
+
+function salesWeek(weekCommencing, boxes, installs, boxRevenue, extrasRevenue = 0, installRevenue = 0) {
+    return {
+        week_commencing: weekCommencing,
+        boxes_sold: boxes,
+        installs_sold: installs,
+        box_revenue: String(boxRevenue),
+        extras_revenue: String(extrasRevenue),
+        install_revenue: String(installRevenue)
+    };
+}
+
+function productionWeek(weekCommencing, boxes, overCost = 0, reworkHours = 0, inspected = null, passed = null) {
+    return {
+        week_commencing: weekCommencing,
+        boxes_produced: boxes,
+        installs_completed: 0,
+        boxes_over_cost: overCost,
+        rework_hours: String(reworkHours),
+        boxes_inspected: inspected,
+        boxes_passed: passed,
+        right_first_time_pct: inspected ? String(passed / inspected) : null
+    };
+}
+
+function totalsOf(salesWeeks) {
+    return {
+        boxes_sold: sumField(salesWeeks, 'boxes_sold'),
+        installs_sold: sumField(salesWeeks, 'installs_sold'),
+        box_revenue: String(sumField(salesWeeks, 'box_revenue')),
+        extras_revenue: String(sumField(salesWeeks, 'extras_revenue')),
+        install_revenue: String(sumField(salesWeeks, 'install_revenue'))
+    };
+}
+
+const NO_PRODUCTION = { boxes_produced: 0, boxes_over_cost: 0, rework_hours: '0' };
+
+test('sumField adds numeric strings and treats null and missing as zero', () => {
+    const rows = [{ value: '1.5' }, { value: 2 }, { value: null }, {}];
+    assert.equal(sumField(rows, 'value'), 3.5);
+    assert.equal(sumField([], 'value'), 0);
+});
+
+test('ratio is null when there is nothing to divide by', () => {
+    assert.equal(ratio(5, 0), null);
+    assert.equal(ratio(0, 4), 0);
+    assert.equal(ratio(3, 4), 0.75);
+});
+
+test('contribution is total revenue times gross margin', () => {
+    const totals = { box_revenue: '10000', extras_revenue: '1500', install_revenue: '2500' };
+    assert.equal(salesRevenue(totals), 14000);
+    assert.equal(contributionFor(totals, SETTINGS), 14000 * 0.35);
+});
+
+test('contribution falls back to a 35% margin when none is set', () => {
+    assert.equal(contributionFor({ box_revenue: '1000' }, {}), 350);
+    assert.equal(grossMargin({ gross_margin_pct: null }), 0.35);
+});
+
+test('build rate is the average boxes produced per week recorded', () => {
+    assert.equal(buildRate([{ boxes_produced: 8 }, { boxes_produced: '12' }, { boxes_produced: null }]), 20 / 3);
+    assert.equal(buildRate([]), 0);
+});
+
+test('mix KPIs are weighted by volume, not averaged per week', () => {
+    const mix = mixKpis(
+        [salesWeek('2026-03-02', 10, 10, 10000, 1000), salesWeek('2026-03-09', 30, 15, 30000, 3000)],
+        [productionWeek('2026-03-02', 10, 1, 2), productionWeek('2026-03-09', 30, 1, 4)]
+    );
+    assert.equal(mix.installPct, 25 / 40);
+    assert.equal(mix.extrasPct, 4000 / 40000);
+    assert.equal(mix.costCompliancePct, 38 / 40);
+    assert.equal(mix.reworkPerBox, 6 / 40);
+    assert.equal(mix.avgBoxesPerWeek, 20);
+});
+
+test('mix KPIs are null when no boxes were sold or produced', () => {
+    const mix = mixKpis([salesWeek('2026-03-02', 0, 0, 0)], [productionWeek('2026-03-02', 0)]);
+    assert.equal(mix.installPct, null);
+    assert.equal(mix.extrasPct, null);
+    assert.equal(mix.costCompliancePct, null);
+    assert.equal(mix.reworkPerBox, null);
+    assert.equal(mix.avgBoxesPerWeek, 0);
+});
+
+test('right first time is weighted by boxes inspected and skips weeks not inspected', () => {
+    const mix = mixKpis([], [
+        productionWeek('2026-03-02', 20, 0, 0, 10, 9),
+        productionWeek('2026-03-09', 20),
+        productionWeek('2026-03-16', 40, 0, 0, 30, 24)
+    ]);
+    // 33 of 40 passed, not the 85% mean of the two weekly figures
+    assert.equal(mix.rightFirstTimePct, 33 / 40);
+});
+
+test('right first time is null when no week recorded it', () => {
+    const mix = mixKpis([], [productionWeek('2026-03-02', 20), productionWeek('2026-03-09', 20)]);
+    assert.equal(mix.rightFirstTimePct, null);
+});
+
+test('right first time rolls up over the period totals as well as the mix window', () => {
+    const weeks = [productionWeek('2026-03-02', 20, 0, 0, 20, 19), productionWeek('2026-02-23', 20, 0, 0, 20, 15)];
+    const kpis = calculateKpis({
+        salesTotals: totalsOf([]),
+        productionTotals: { ...NO_PRODUCTION, boxes_inspected: 20, boxes_passed: 19 },
+        salesWeeks: [],
+        productionWeeks: weeks,
+        settings: SETTINGS
+    });
+    assert.equal(kpis.periodRightFirstTimePct, 0.95);
+    assert.equal(kpis.rightFirstTimePct, 34 / 40);
+});
+
+test('zero boxes: KPIs read as 0 and contribution per box falls back to the target', () => {
+    const kpis = calculateKpis({
+        salesTotals: totalsOf([]),
+        productionTotals: NO_PRODUCTION,
+        salesWeeks: [],
+        productionWeeks: [],
+        settings: SETTINGS
+    });
+    assert.equal(kpis.contribution, 0);
+    assert.equal(kpis.installPct, 0);
+    assert.equal(kpis.extrasPct, 0);
+    assert.equal(kpis.costCompliancePct, 0);
+    assert.equal(kpis.reworkPerBox, 0);
+    assert.equal(kpis.avgBoxesPerWeek, 0);
+    assert.equal(kpis.contributionPerBox, 640);
+    assert.equal(kpis.rightFirstTimePct, null);
+    assert.equal(kpis.periodRightFirstTimePct, null);
+});
+
+test('missing weeks: averages cover only the weeks recorded', () => {
+    // Two of the four trailing weeks were never entered
+    const productionWeeks = [productionWeek('2026-03-23', 24), productionWeek('2026-03-02', 16)];
+    const kpis = calculateKpis({
+        salesTotals: totalsOf([]),
+        productionTotals: NO_PRODUCTION,
+        salesWeeks: [],
+        productionWeeks,
+        settings: SETTINGS
+    });
+    assert.equal(kpis.avgBoxesPerWeek, 20);
+});
+
+test('weeks straddling a month end: totals follow week commencing, the mix window may reach back', () => {
+    // March 2026: the week commencing 23 Feb runs into March but belongs to
+    // February, so it is not in March's totals. It is still one of the
+    // trailing 4 weeks the mix KPIs use at the end of March.
+    const straddling = salesWeek('2026-02-23', 10, 10, 10000, 2000);
+    const march = [
+        salesWeek('2026-03-02', 10, 5, 10000, 1000),
+        salesWeek('2026-03-09', 10, 5, 10000, 1000),
+        salesWeek('2026-03-30', 10, 5, 10000, 1000)
+    ];
+    const kpis = calculateKpis({
+        salesTotals: totalsOf(march),
+        productionTotals: NO_PRODUCTION,
+        salesWeeks: [...march, straddling],
+        productionWeeks: [],
+        settings: SETTINGS
+    });
+    assert.equal(kpis.totalRevenue, 33000);
+    assert.equal(kpis.contributionPerBox, 33000 * 0.35 / 30);
+    assert.equal(kpis.installPct, 25 / 40);
+    assert.equal(kpis.extrasPct, 5000 / 40000);
+});
+
+test('monthly targets scale with the length of the period', () => {
+    const kpis = calculateKpis({
+        salesTotals: totalsOf([]),
+        productionTotals: NO_PRODUCTION,
+        salesWeeks: [],
+        productionWeeks: [],
+        settings: SETTINGS,
+        months: 3
+    });
+    assert.equal(kpis.contributionTarget, 165000);
+    assert.equal(kpis.survivalTarget, 125700);
+});
+
+test('getRAGStatus bands a higher-is-better value', () => {
+    assert.equal(getRAGStatus(599, { red: 600, green: 640 }), 'red');
+    assert.equal(getRAGStatus(600, { red: 600, green: 640 }), 'amber');
+    assert.equal(getRAGStatus(640, { red: 600, green: 640 }), 'green');
+});
+
+test('getRAGStatus bands a lower-is-better value', () => {
+    const rework = { red: 0.5, green: 0.25, lowerIsBetter: true };
+    assert.equal(getRAGStatus(0.51, rework), 'red');
+    assert.equal(getRAGStatus(0.5, rework), 'amber');
+    assert.equal(getRAGStatus(0.25, rework), 'green');
+    assert.equal(getRAGStatus(0, rework), 'green');
+});
+
+test('getContributionRAG compares against survival and target', () => {
+    assert.equal(getContributionRAG(41899, 41900, 55000), 'red');
+    assert.equal(getContributionRAG(41900, 41900, 55000), 'amber');
+    assert.equal(getContributionRAG(55000, 41900, 55000), 'green');
+});
+
+const KPIS = {
+    contribution: 50000,
+    survivalTarget: 41900,
+    contributionTarget: 55000,
+    installPct: 0.8,
+    extrasPct: 0.1,
+    contributionPerBox: 650,
+    costCompliancePct: 0.94,
+    reworkPerBox: 0.6,
+    rightFirstTimePct: 0.9
+};
+
+test('getRAGStatuses judges each KPI against the period settings', () => {
+    const rag = getRAGStatuses(KPIS, SETTINGS);
+    assert.equal(rag.contribution, 'amber');
+    assert.equal(rag.installPct, 'green');
+    assert.equal(rag.extrasPct, 'red');
+    assert.equal(rag.contributionPerBox, 'green');
+    // 0.94 is within 95% of the 0.95 target
+    assert.equal(rag.costCompliancePct, 'amber');
+    // Lower rework is better, so 0.6 hours per box is red
+    assert.equal(rag.reworkPerBox, 'red');
+    // 0.9 is below 95% of the 0.95 target
+    assert.equal(rag.rightFirstTimePct, 'red');
+});
+
+test('a KPI with nothing to measure has no RAG status', () => {
+    assert.equal(getRAGStatuses({ ...KPIS, rightFirstTimePct: null }, SETTINGS).rightFirstTimePct, null);
+});
+
+test('settings without stored thresholds use the defaults', () => {
+    const thresholds = resolveRagThresholds(SETTINGS);
+    assert.deepEqual(thresholds.contributionPerBox, { direction: 'higher', basis: 'absolute', red: 600, green: 640 });
+    assert.deepEqual(thresholds.reworkPerBox, { direction: 'lower', basis: 'absolute', red: 0.5, green: 0.25 });
+});
+
+test('stored thresholds replace the defaults for their KPI only', () => {
+    const settings = {
+        ...SETTINGS,
+        rag_thresholds: { reworkPerBox: { direction: 'lower', basis: 'absolute', red: 1, green: 0.5 } }
+    };
+    const rag = getRAGStatuses(KPIS, settings);
+    assert.equal(rag.reworkPerBox, 'amber');
+    assert.equal(rag.contributionPerBox, 'green');
+});
+
+test('target-based thresholds are fractions of the KPI target', () => {
+    const bands = ragBands({ direction: 'higher', basis: 'target', red: 0.9, green: 1 }, { target: '0.15' });
+    assert.ok(Math.abs(bands.red - 0.135) < 1e-9);
+    assert.equal(bands.green, 0.15);
+    assert.equal(bands.lowerIsBetter, false);
+    assert.equal(getRAGStatus(0.14, bands), 'amber');
+});
+
+test('survival-based thresholds use the survival and target levels', () => {
+    const thresholds = getRAGThresholds(KPIS, SETTINGS);
+    assert.deepEqual(thresholds.contribution, { red: 41900, green: 55000, lowerIsBetter: false });
+});
+
+test('a KPI whose target is not set has no thresholds and reads as green', () => {
+    const settings = { ...SETTINGS, target_install_pct: null };
+    assert.equal(getRAGThresholds(KPIS, settings).installPct, null);
+    assert.equal(getRAGStatuses({ ...KPIS, installPct: 0 }, settings).installPct, 'green');
+});
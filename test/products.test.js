@@ -0,0 +1,89 @@
+// Tests for the product mix in src/lib/products.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { productMix, breakdownForm } = require('../src/lib/products');
+
+const PRODUCTS = [
+    { id: 1, code: 'STD-12', name: 'Standard 12ft', list_price: '3000', standard_cost: '1800', active: true },
+    { id: 2, code: 'LRG-14', name: 'Large 14ft', list_price: '4000', standard_cost: '2600', active: true },
+    { id: 3, code: 'OLD-10', name: 'Old 10ft', list_price: '2000', standard_cost: '1500', active: false }
+];
+
+test('contribution is box revenue less standard cost × boxes sold', () => {
+    const { lines } = productMix({
+        products: PRODUCTS,
+        salesByProduct: { 1: { boxes_sold: 4, box_revenue: 11400 } },
+        productionByProduct: { 1: { boxes_produced: 5, boxes_over_cost: 1 } },
+        salesTotals: { boxes_sold: 4, box_revenue: 11400 },
+        productionTotals: { boxes_produced: 5, boxes_over_cost: 1 }
+    });
+    const standard = lines[0];
+    assert.equal(standard.product.code, 'STD-12');
+    assert.equal(standard.averagePrice, 2850);
+    assert.equal(standard.priceRealisation, 0.95);
+    assert.equal(standard.standardCost, 7200);
+    assert.equal(standard.contribution, 4200);
+    assert.equal(standard.contributionPerBox, 1050);
+    assert.equal(standard.overCostPct, 0.2);
+});
+
+test('products with no figures show no per-box ratios', () => {
+    const { lines } = productMix({
+        products: PRODUCTS,
+        salesByProduct: {},
+        productionByProduct: {},
+        salesTotals: {},
+        productionTotals: {}
+    });
+    // The inactive product is left out because it has no figures
+    assert.deepEqual(lines.map(line => line.product.code), ['STD-12', 'LRG-14']);
+    assert.equal(lines[1].averagePrice, null);
+    assert.equal(lines[1].contributionPerBox, null);
+    assert.equal(lines[1].overCostPct, null);
+});
+
+test('inactive products are listed while they have figures', () => {
+    const { lines } = productMix({
+        products: PRODUCTS,
+        salesByProduct: { 3: { boxes_sold: 1, box_revenue: 1900 } },
+        productionByProduct: {},
+        salesTotals: { boxes_sold: 1, box_revenue: 1900 },
+        productionTotals: {}
+    });
+    assert.deepEqual(lines.map(line => line.product.code), ['STD-12', 'LRG-14', 'OLD-10']);
+});
+
+test('totals not split by product are unassigned', () => {
+    const { unassigned } = productMix({
+        products: PRODUCTS,
+        salesByProduct: { 1: { boxes_sold: 2, box_revenue: 6000 } },
+        productionByProduct: { 2: { boxes_produced: 3, boxes_over_cost: 0 } },
+        salesTotals: { boxes_sold: '5', box_revenue: '14500' },
+        productionTotals: { boxes_produced: 4, boxes_over_cost: 1 }
+    });
+    assert.equal(unassigned.product, null);
+    assert.equal(unassigned.boxesSold, 3);
+    assert.equal(unassigned.boxRevenue, 8500);
+    assert.equal(unassigned.contribution, null);
+    assert.equal(unassigned.boxesProduced, 1);
+    assert.equal(unassigned.boxesOverCost, 1);
+});
+
+test('nothing is unassigned when the breakdown covers the totals', () => {
+    const { unassigned } = productMix({
+        products: PRODUCTS,
+        // Pro-rated split weeks leave fractions behind
+        salesByProduct: { 1: { boxes_sold: 1.6, box_revenue: 4800.001 } },
+        productionByProduct: {},
+        salesTotals: { boxes_sold: 1.6, box_revenue: 4800 },
+        productionTotals: {}
+    });
+    assert.equal(unassigned, null);
+});
+
+test('the form offers active products and any the week already has', () => {
+    const form = breakdownForm(PRODUCTS, [{ product_id: 3, boxes_sold: 1, box_revenue: '1900' }]);
+    assert.deepEqual(form.products.map(product => product.code), ['STD-12', 'LRG-14', 'OLD-10']);
+    assert.equal(form.values[3].box_revenue, '1900');
+    assert.deepEqual(breakdownForm(PRODUCTS, []).products.map(product => product.code), ['STD-12', 'LRG-14']);
+});
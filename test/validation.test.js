@@ -0,0 +1,36 @@
+// Tests for settings changes in src/lib/validation.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSettingsUpdate } = require('../src/lib/validation');
+
+// Settings in force, as read from the database (NUMERIC columns are strings)
+const CURRENT = {
+    target_install_pct: '0.80',
+    target_extras_pct: '0.15',
+    rag_thresholds: { installBacklog: { direction: 'lower', basis: 'absolute', red: 30, green: 15 } }
+};
+
+test('install % and extras % together are capped at 100%', () => {
+    const result = validateSettingsUpdate({ target_install_pct: '0.7', target_extras_pct: '0.4' }, CURRENT);
+    assert.equal(result.error, 'Install % + Extras % cannot exceed 100%');
+    assert.equal(result.field, 'target_extras_pct');
+});
+
+test('changing one of install % and extras % is capped against the other as it stands', () => {
+    const install = validateSettingsUpdate({ target_install_pct: '0.9' }, CURRENT);
+    assert.equal(install.error, 'Install % + Extras % cannot exceed 100%');
+    assert.equal(install.field, 'target_install_pct');
+
+    const extras = validateSettingsUpdate({ target_extras_pct: '0.25' }, CURRENT);
+    assert.equal(extras.field, 'target_extras_pct');
+
+    const within = validateSettingsUpdate({ target_install_pct: '0.85' }, CURRENT);
+    assert.equal(within.error, undefined);
+    assert.deepEqual(within.data.updates, { target_install_pct: 0.85 });
+});
+
+test('a partial threshold change is merged over the thresholds in force', () => {
+    const result = validateSettingsUpdate({ rag_thresholds: { installBacklog: { red: 40 } } }, CURRENT);
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.data.updates.rag_thresholds.installBacklog, { direction: 'lower', basis: 'absolute', red: 40, green: 15 });
+});